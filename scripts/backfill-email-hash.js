@@ -0,0 +1,137 @@
+// backfill-email-hash.js - One-time backfill of users.email_hash (blind index)
+//
+// Usage: npm run backfill:email-hash
+
+require('dotenv').config();
+const { DataTypes, Op } = require('sequelize');
+const { sequelize, User } = require('../src/models');
+const encryptionService = require('../src/services/encryptionService');
+
+const BATCH_SIZE = 500;
+const INDEX_NAME = 'users_email_hash';
+
+/**
+ * Add the email_hash column if the table predates it
+ */
+async function ensureEmailHashColumn() {
+  const queryInterface = sequelize.getQueryInterface();
+  const columns = await queryInterface.describeTable('users');
+
+  if (!columns.email_hash) {
+    await queryInterface.addColumn('users', 'email_hash', {
+      type: DataTypes.STRING(64),
+      allowNull: true
+    });
+    console.log('✅ Column users.email_hash added');
+  }
+}
+
+/**
+ * Compute email_hash for every user that does not have one yet
+ * @returns {Promise<Object>} - Counters for updated, failed and duplicate rows
+ */
+async function backfillEmailHashes() {
+  const stats = { updated: 0, failed: 0, duplicates: [] };
+  const seen = new Map();
+  let lastId = null;
+
+  // Hashes already present take precedence over rows being backfilled
+  const existing = await User.findAll({
+    where: { email_hash: { [Op.ne]: null } },
+    attributes: ['id', 'email_hash']
+  });
+  existing.forEach(user => seen.set(user.email_hash, user.id));
+
+  for (;;) {
+    const where = { email_hash: null };
+    if (lastId) {
+      where.id = { [Op.gt]: lastId };
+    }
+
+    const users = await User.findAll({
+      where,
+      attributes: ['id', 'email'],
+      order: [['id', 'ASC']],
+      limit: BATCH_SIZE
+    });
+
+    if (users.length === 0) break;
+
+    for (const user of users) {
+      const { email } = encryptionService.decryptFields(user.toJSON(), ['email']);
+
+      if (!email) {
+        stats.failed++;
+        console.log(`⚠️  Could not decrypt email for user ${user.id}`);
+        continue;
+      }
+
+      const emailHash = encryptionService.hashEmail(email);
+
+      if (seen.has(emailHash)) {
+        stats.duplicates.push({ id: user.id, duplicateOf: seen.get(emailHash) });
+        continue;
+      }
+
+      await user.update({ email_hash: emailHash });
+      seen.set(emailHash, user.id);
+      stats.updated++;
+    }
+
+    lastId = users[users.length - 1].id;
+    console.log(`… processed batch ending at ${lastId} (${stats.updated} updated so far)`);
+  }
+
+  return stats;
+}
+
+/**
+ * Create the unique index on email_hash once the data is consistent
+ */
+async function ensureUniqueIndex() {
+  const queryInterface = sequelize.getQueryInterface();
+  const indexes = await queryInterface.showIndex('users');
+
+  if (!indexes.some(index => index.name === INDEX_NAME)) {
+    await queryInterface.addIndex('users', ['email_hash'], {
+      unique: true,
+      name: INDEX_NAME
+    });
+    console.log('✅ Unique index on users.email_hash created');
+  }
+}
+
+async function main() {
+  console.log('🔑 Backfilling users.email_hash\n');
+
+  await sequelize.authenticate();
+  await ensureEmailHashColumn();
+
+  const stats = await backfillEmailHashes();
+
+  console.log(`\n✅ Updated: ${stats.updated}`);
+  console.log(`⚠️  Undecryptable: ${stats.failed}`);
+
+  if (stats.duplicates.length > 0) {
+    console.log(`❌ Duplicate emails (left without hash, resolve manually): ${stats.duplicates.length}`);
+    stats.duplicates.forEach(dup => console.log(`   user ${dup.id} duplicates ${dup.duplicateOf}`));
+  }
+
+  await ensureUniqueIndex();
+  await sequelize.close();
+}
+
+// Run if called directly
+if (require.main === module) {
+  main().catch(async (error) => {
+    console.error('❌ Backfill failed:', error);
+    await sequelize.close();
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  ensureEmailHashColumn,
+  backfillEmailHashes,
+  ensureUniqueIndex
+};
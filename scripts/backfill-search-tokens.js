@@ -0,0 +1,112 @@
+// backfill-search-tokens.js - Build users.search_tokens (blind-index search tokens)
+//
+// Usage: npm run backfill:search-tokens             # users without tokens only
+//        npm run backfill:search-tokens -- --rebuild # every user (e.g. after rotating BLIND_INDEX_KEY)
+
+require('dotenv').config();
+const { DataTypes, Op } = require('sequelize');
+const { sequelize, User } = require('../src/models');
+const encryptionService = require('../src/services/encryptionService');
+
+const BATCH_SIZE = 500;
+const INDEX_NAME = 'users_search_tokens';
+const { SEARCHABLE_FIELDS } = encryptionService;
+
+/**
+ * Add the search_tokens column and its GIN index if the table predates them
+ */
+async function ensureSearchTokensColumn() {
+  const queryInterface = sequelize.getQueryInterface();
+  const columns = await queryInterface.describeTable('users');
+
+  if (!columns.search_tokens) {
+    await queryInterface.addColumn('users', 'search_tokens', {
+      type: DataTypes.ARRAY(DataTypes.STRING(16)),
+      allowNull: true
+    });
+    console.log('✅ Column users.search_tokens added');
+  }
+
+  const indexes = await queryInterface.showIndex('users');
+  if (!indexes.some(index => index.name === INDEX_NAME)) {
+    await queryInterface.addIndex('users', ['search_tokens'], {
+      using: 'gin',
+      name: INDEX_NAME
+    });
+    console.log('✅ GIN index on users.search_tokens created');
+  }
+}
+
+/**
+ * Compute search tokens from the decrypted PII of each user
+ * @param {Object} options - rebuild to recompute tokens that already exist
+ * @returns {Promise<Object>} - Counters for updated and failed rows
+ */
+async function backfillSearchTokens(options = {}) {
+  const { rebuild = false } = options;
+  const stats = { updated: 0, failed: 0 };
+  let lastId = null;
+
+  for (;;) {
+    const where = rebuild ? {} : { search_tokens: null };
+    if (lastId) {
+      where.id = { [Op.gt]: lastId };
+    }
+
+    const users = await User.findAll({
+      where,
+      attributes: ['id', ...SEARCHABLE_FIELDS],
+      order: [['id', 'ASC']],
+      limit: BATCH_SIZE
+    });
+
+    if (users.length === 0) break;
+
+    for (const user of users) {
+      const plain = encryptionService.decryptFields(user.toJSON(), SEARCHABLE_FIELDS);
+
+      if (!plain.email) {
+        stats.failed++;
+        console.log(`⚠️  Could not decrypt PII for user ${user.id}`);
+        continue;
+      }
+
+      await user.update({ search_tokens: encryptionService.buildSearchTokens(plain) });
+      stats.updated++;
+    }
+
+    lastId = users[users.length - 1].id;
+    console.log(`… processed batch ending at ${lastId} (${stats.updated} updated so far)`);
+  }
+
+  return stats;
+}
+
+async function main() {
+  const rebuild = process.argv.includes('--rebuild');
+  console.log(`🔎 ${rebuild ? 'Rebuilding' : 'Backfilling'} users.search_tokens\n`);
+
+  await sequelize.authenticate();
+  await ensureSearchTokensColumn();
+
+  const stats = await backfillSearchTokens({ rebuild });
+
+  console.log(`\n✅ Updated: ${stats.updated}`);
+  console.log(`⚠️  Undecryptable: ${stats.failed}`);
+
+  await sequelize.close();
+}
+
+// Run if called directly
+if (require.main === module) {
+  main().catch(async (error) => {
+    console.error('❌ Backfill failed:', error);
+    await sequelize.close();
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  ensureSearchTokensColumn,
+  backfillSearchTokens
+};
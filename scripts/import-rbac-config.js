@@ -0,0 +1,74 @@
+// import-rbac-config.js - Apply an RBAC configuration exported with GET /api/rbac/export
+//
+// Usage: npm run rbac:import -- <file.json|file.yaml>
+//        npm run rbac:import -- <file> --dry-run   # print the diff without writing
+//
+// Meant for deploys: permissions and roles in the file are created or updated, each listed
+// role gets exactly the listed grants and listed assignments are created or updated. Nothing
+// missing from the file is deleted. Running servers pick the changes up once their permission
+// cache entries expire (PERMISSION_CACHE_TTL_SECONDS).
+
+require('dotenv').config();
+const fs = require('fs');
+const { sequelize } = require('../src/models');
+const rbacConfigService = require('../src/services/rbacConfigService');
+
+/**
+ * Print the changes of an import plan
+ * @param {Object} diff - Diff returned by rbacConfigService.importConfig
+ */
+function printDiff(diff) {
+  const list = (label, items) => {
+    if (items.length === 0) return;
+    console.log(`${label}:`);
+    items.forEach(item => console.log(`   ${item}`));
+  };
+
+  list('➕ Permissions to create', diff.permissions.created);
+  list('✏️  Permissions to update', diff.permissions.updated.map(change => `${change.name} (${Object.keys(change.changes).join(', ')})`));
+  list('➕ Roles to create', diff.roles.created);
+  list('✏️  Roles to update', diff.roles.updated.map(change => `${change.name} (${Object.keys(change.changes).join(', ')})`));
+  list('🔑 Grants', diff.grants.map(change => [
+    change.role,
+    change.added.length > 0 ? `+ ${change.added.join(', ')}` : null,
+    change.removed.length > 0 ? `- ${change.removed.join(', ')}` : null,
+    change.conditions_changed.length > 0 ? `~ ${change.conditions_changed.join(', ')}` : null
+  ].filter(Boolean).join('  ')));
+  list('👥 Assignments to create', diff.assignments.created.map(change => `${change.user_id} → ${change.role}`));
+  list('👥 Assignments to update', diff.assignments.updated.map(change => `${change.user_id} → ${change.role} (${Object.keys(change.changes).join(', ')})`));
+}
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  const file = process.argv.slice(2).find(arg => !arg.startsWith('--'));
+
+  if (!file) {
+    console.error('Usage: npm run rbac:import -- <file.json|file.yaml> [--dry-run]');
+    process.exit(1);
+  }
+
+  console.log(`🛡️  Importing RBAC configuration from ${file}${dryRun ? ' (dry run)' : ''}\n`);
+
+  const document = rbacConfigService.parse(fs.readFileSync(file, 'utf8'));
+
+  await sequelize.authenticate();
+  const { diff } = await rbacConfigService.importConfig(document, { dryRun });
+
+  printDiff(diff);
+  console.log(`\n✅ ${dryRun ? 'Dry run completed, nothing was written' : 'RBAC configuration imported'}`);
+
+  await sequelize.close();
+}
+
+// Run if called directly
+if (require.main === module) {
+  main().catch(async (error) => {
+    console.error('❌ Import failed:', error.message);
+    await sequelize.close();
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  printDiff
+};
@@ -0,0 +1,61 @@
+// migrate-access-conditions.js - Add the conditions columns to role_permissions and user_roles
+//
+// Usage: npm run migrate:access-conditions
+//
+// New installs get the columns from sequelize.sync(). Existing grants and assignments
+// keep no conditions, so nobody loses access until conditions are set through the API.
+
+require('dotenv').config();
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../src/models');
+
+const TABLES = ['role_permissions', 'user_roles'];
+
+/**
+ * Add the conditions column to each table that lacks it
+ * @returns {Promise<Array<string>>} - Tables that were changed
+ */
+async function migrateAccessConditions() {
+  const queryInterface = sequelize.getQueryInterface();
+  const changed = [];
+
+  for (const table of TABLES) {
+    const columns = await queryInterface.describeTable(table);
+
+    if (columns.conditions) {
+      console.log(`ℹ️  Column ${table}.conditions already exists`);
+      continue;
+    }
+
+    await queryInterface.addColumn(table, 'conditions', {
+      type: DataTypes.JSONB,
+      allowNull: true
+    });
+    console.log(`✅ Column ${table}.conditions added`);
+    changed.push(table);
+  }
+
+  return changed;
+}
+
+async function main() {
+  console.log('🗺️  Migrating access conditions\n');
+
+  await sequelize.authenticate();
+  await migrateAccessConditions();
+
+  await sequelize.close();
+}
+
+// Run if called directly
+if (require.main === module) {
+  main().catch(async (error) => {
+    console.error('❌ Migration failed:', error);
+    await sequelize.close();
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  migrateAccessConditions
+};
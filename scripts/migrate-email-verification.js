@@ -0,0 +1,63 @@
+// migrate-email-verification.js - Add users.email_verified_at to an existing database
+//
+// Usage: npm run migrate:email-verification
+//
+// Accounts created before email verification existed are marked as verified
+// (email_verified_at = created_at) so the new policy does not lock them out.
+
+require('dotenv').config();
+const { DataTypes } = require('sequelize');
+const { sequelize, User } = require('../src/models');
+
+/**
+ * Add the email_verified_at column and grandfather the users that predate it
+ * @returns {Promise<number>} - Number of users marked as verified
+ */
+async function migrateEmailVerification() {
+  const queryInterface = sequelize.getQueryInterface();
+  const columns = await queryInterface.describeTable('users');
+
+  if (columns.email_verified_at) {
+    console.log('ℹ️  Column users.email_verified_at already exists, nothing to do');
+    return 0;
+  }
+
+  return await sequelize.transaction(async (transaction) => {
+    await queryInterface.addColumn('users', 'email_verified_at', {
+      type: DataTypes.DATE,
+      allowNull: true
+    }, { transaction });
+    console.log('✅ Column users.email_verified_at added');
+
+    const [count] = await User.update(
+      { email_verified_at: sequelize.col('created_at') },
+      { where: {}, transaction, silent: true }
+    );
+
+    return count;
+  });
+}
+
+async function main() {
+  console.log('📬 Migrating email verification state\n');
+
+  await sequelize.authenticate();
+
+  const count = await migrateEmailVerification();
+  console.log(`✅ Existing users marked as verified: ${count}`);
+
+  await sequelize.close();
+}
+
+// Run if called directly
+if (require.main === module) {
+  main().catch(async (error) => {
+    console.error('❌ Migration failed:', error);
+    await sequelize.close();
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  migrateEmailVerification
+};
@@ -0,0 +1,87 @@
+// migrate-geospatial.js - Index tourist_registrations and route_waypoints for nearby search
+//
+// Usage: npm run migrate:geospatial
+//
+// With PostGIS (installed here when the database user may create extensions), each table gets
+// a geog geography(Point, 4326) column generated from latitude/longitude, with a GiST index.
+// Without it, only the (latitude, longitude) index behind the haversine search is created.
+// Restart running servers afterwards: they check for PostGIS once per process.
+
+require('dotenv').config();
+const { sequelize } = require('../src/models');
+
+const TABLES = ['tourist_registrations', 'route_waypoints'];
+
+/**
+ * Enable PostGIS if possible
+ * @returns {Promise<boolean>} - Whether PostGIS is available
+ */
+async function enablePostgis() {
+  try {
+    await sequelize.query('CREATE EXTENSION IF NOT EXISTS postgis');
+    console.log('✅ PostGIS available');
+    return true;
+  } catch (error) {
+    console.log(`ℹ️  PostGIS not available (${error.message}), nearby search will use haversine`);
+    return false;
+  }
+}
+
+/**
+ * Create the nearby search columns and indexes missing from each table
+ * @returns {Promise<Array<string>>} - Tables that were changed
+ */
+async function migrateGeospatial() {
+  const queryInterface = sequelize.getQueryInterface();
+  const postgis = await enablePostgis();
+  const changed = [];
+
+  for (const table of TABLES) {
+    // Same name as the index declared on the model, so sync() does not add a second one
+    await sequelize.query(`CREATE INDEX IF NOT EXISTS ${table}_latitude_longitude ON ${table} (latitude, longitude)`);
+
+    if (!postgis) continue;
+
+    const columns = await queryInterface.describeTable(table);
+    if (columns.geog) {
+      console.log(`ℹ️  Column ${table}.geog already exists`);
+    } else {
+      await sequelize.query(`
+        ALTER TABLE ${table} ADD COLUMN geog geography(Point, 4326)
+        GENERATED ALWAYS AS (
+          CASE WHEN latitude IS NOT NULL AND longitude IS NOT NULL
+            THEN ST_SetSRID(ST_MakePoint(longitude::float8, latitude::float8), 4326)::geography
+          END
+        ) STORED
+      `);
+      console.log(`✅ Column ${table}.geog added`);
+      changed.push(table);
+    }
+
+    await sequelize.query(`CREATE INDEX IF NOT EXISTS ${table}_geog_gist ON ${table} USING GIST (geog)`);
+  }
+
+  return changed;
+}
+
+async function main() {
+  console.log('🌍 Migrating geospatial search\n');
+
+  await sequelize.authenticate();
+  await migrateGeospatial();
+
+  await sequelize.close();
+}
+
+// Run if called directly
+if (require.main === module) {
+  main().catch(async (error) => {
+    console.error('❌ Migration failed:', error);
+    await sequelize.close();
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  migrateGeospatial
+};
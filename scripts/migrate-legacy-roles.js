@@ -0,0 +1,93 @@
+// migrate-legacy-roles.js - Create UserRole assignments from the legacy users.rol column
+//
+// Usage: npm run migrate:legacy-roles
+//        npm run migrate:legacy-roles -- --dry-run   # only count what would change
+//
+// Every user gets an active assignment of the RBAC role named like their users.rol value
+// (admin, user, guide, moderator, tourist). Existing assignments are left alone, so the
+// script can be re-run safely. Run it before setting ROLE_SOURCE=rbac; running servers
+// pick the new assignments up once their permission cache entries expire.
+
+require('dotenv').config();
+const { Op } = require('sequelize');
+const { sequelize, User } = require('../src/models');
+const rbacService = require('../src/services/rbacService');
+
+const BATCH_SIZE = 500;
+
+/**
+ * Assign the RBAC role matching users.rol to every user
+ * @param {Object} options - dryRun to count without writing
+ * @returns {Promise<Object>} - Counters for created, reactivated, unchanged and failed users
+ */
+async function migrateLegacyRoles(options = {}) {
+  const { dryRun = false } = options;
+  const stats = { created: 0, reactivated: 0, unchanged: 0, failed: [] };
+  let lastId = null;
+
+  for (;;) {
+    const where = {};
+    if (lastId) {
+      where.id = { [Op.gt]: lastId };
+    }
+
+    const users = await User.findAll({
+      where,
+      attributes: ['id', 'rol'],
+      order: [['id', 'ASC']],
+      limit: BATCH_SIZE
+    });
+
+    if (users.length === 0) break;
+
+    for (const user of users) {
+      try {
+        const result = await rbacService.syncLegacyRole(user.id, user.rol, null, { dryRun });
+        stats[result]++;
+      } catch (error) {
+        stats.failed.push({ id: user.id, rol: user.rol, reason: error.message });
+      }
+    }
+
+    lastId = users[users.length - 1].id;
+    console.log(`… processed batch ending at ${lastId}`);
+  }
+
+  return stats;
+}
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  console.log(`👥 Migrating users.rol to role assignments${dryRun ? ' (dry run)' : ''}\n`);
+
+  await sequelize.authenticate();
+
+  // Roles must exist before they can be assigned; this never touches their permissions
+  await rbacService.initializeDefaultRoles();
+
+  const stats = await migrateLegacyRoles({ dryRun });
+
+  console.log(`\n✅ ${dryRun ? 'To create' : 'Created'}: ${stats.created}`);
+  console.log(`✅ ${dryRun ? 'To reactivate' : 'Reactivated'}: ${stats.reactivated}`);
+  console.log(`ℹ️  Already assigned: ${stats.unchanged}`);
+
+  if (stats.failed.length > 0) {
+    console.log(`❌ Failed: ${stats.failed.length}`);
+    stats.failed.forEach(failure => console.log(`   user ${failure.id} (rol ${failure.rol}): ${failure.reason}`));
+  }
+
+  await sequelize.close();
+}
+
+// Run if called directly
+if (require.main === module) {
+  main().catch(async (error) => {
+    console.error('❌ Migration failed:', error);
+    await sequelize.close();
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  migrateLegacyRoles
+};
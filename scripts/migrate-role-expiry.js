@@ -0,0 +1,54 @@
+// migrate-role-expiry.js - Add user_roles.expiry_notified_at to an existing database
+//
+// Usage: npm run migrate:role-expiry
+//
+// New installs get the column from sequelize.sync(). Without it the role expiry
+// sweeper cannot record which holders were already told about an upcoming expiry.
+
+require('dotenv').config();
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../src/models');
+
+/**
+ * Add the expiry_notified_at column
+ * @returns {Promise<boolean>} - Whether the column was added
+ */
+async function migrateRoleExpiry() {
+  const queryInterface = sequelize.getQueryInterface();
+  const columns = await queryInterface.describeTable('user_roles');
+
+  if (columns.expiry_notified_at) {
+    console.log('ℹ️  Column user_roles.expiry_notified_at already exists, nothing to do');
+    return false;
+  }
+
+  await queryInterface.addColumn('user_roles', 'expiry_notified_at', {
+    type: DataTypes.DATE,
+    allowNull: true
+  });
+
+  console.log('✅ Column user_roles.expiry_notified_at added');
+  return true;
+}
+
+async function main() {
+  console.log('⏳ Migrating role assignment expiry\n');
+
+  await sequelize.authenticate();
+  await migrateRoleExpiry();
+
+  await sequelize.close();
+}
+
+// Run if called directly
+if (require.main === module) {
+  main().catch(async (error) => {
+    console.error('❌ Migration failed:', error);
+    await sequelize.close();
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  migrateRoleExpiry
+};
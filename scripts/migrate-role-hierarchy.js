@@ -0,0 +1,64 @@
+// migrate-role-hierarchy.js - Add roles.parent_role_id to an existing database
+//
+// Usage: npm run migrate:role-hierarchy
+//
+// New installs get the column from sequelize.sync(). Existing roles keep no parent,
+// so effective permissions are unchanged until a parent is set through the API.
+
+require('dotenv').config();
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../src/models');
+
+/**
+ * Add the parent_role_id column and its index
+ * @returns {Promise<boolean>} - Whether the column was added
+ */
+async function migrateRoleHierarchy() {
+  const queryInterface = sequelize.getQueryInterface();
+  const columns = await queryInterface.describeTable('roles');
+
+  if (columns.parent_role_id) {
+    console.log('ℹ️  Column roles.parent_role_id already exists, nothing to do');
+    return false;
+  }
+
+  await sequelize.transaction(async (transaction) => {
+    await queryInterface.addColumn('roles', 'parent_role_id', {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'roles',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    }, { transaction });
+
+    await queryInterface.addIndex('roles', ['parent_role_id'], { transaction });
+  });
+
+  console.log('✅ Column roles.parent_role_id added');
+  return true;
+}
+
+async function main() {
+  console.log('🌳 Migrating role hierarchy\n');
+
+  await sequelize.authenticate();
+  await migrateRoleHierarchy();
+
+  await sequelize.close();
+}
+
+// Run if called directly
+if (require.main === module) {
+  main().catch(async (error) => {
+    console.error('❌ Migration failed:', error);
+    await sequelize.close();
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  migrateRoleHierarchy
+};
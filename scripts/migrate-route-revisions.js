@@ -0,0 +1,98 @@
+// migrate-route-revisions.js - Start the revision history of existing routes
+//
+// Usage: npm run migrate:route-revisions
+//
+// The route_revisions table is created by sequelize.sync(); this adds
+// personalized_messages.route_revision, records a baseline revision 1 (the current state,
+// authored by the route creator) for every route without history, and pins the existing
+// messages and voice guides of those routes to it.
+
+require('dotenv').config();
+const { DataTypes } = require('sequelize');
+const { sequelize, Route, RouteRevision, PersonalizedMessage } = require('../src/models');
+const { connectMongoDB, mongoose } = require('../src/config/database.orm');
+const VoiceGuide = require('../src/models/nosql/VoiceGuide');
+const routeService = require('../src/services/routeService');
+
+/**
+ * Add the route_revision column to personalized_messages when missing
+ */
+async function addMessageRevisionColumn() {
+  const queryInterface = sequelize.getQueryInterface();
+  const columns = await queryInterface.describeTable('personalized_messages');
+
+  if (columns.route_revision) {
+    console.log('ℹ️  Column personalized_messages.route_revision already exists');
+    return;
+  }
+
+  await queryInterface.addColumn('personalized_messages', 'route_revision', {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  });
+  console.log('✅ Column personalized_messages.route_revision added');
+}
+
+/**
+ * Record a baseline revision for each route without history and pin its content to it
+ * @returns {Promise<number>} - Number of routes given a baseline
+ */
+async function recordBaselines() {
+  await RouteRevision.sync();
+
+  const routes = await Route.findAll({ attributes: ['id', 'created_by'] });
+  let count = 0;
+
+  for (const route of routes) {
+    const recorded = await sequelize.transaction(async (transaction) => {
+      await routeService.lockRoute(route.id, transaction);
+
+      if (await RouteRevision.count({ where: { route_id: route.id }, transaction }) > 0) {
+        return false;
+      }
+
+      await routeService.recordRevision(route.id, route.created_by, 'baseline', transaction);
+      await PersonalizedMessage.update(
+        { route_revision: 1 },
+        { where: { route_id: route.id, route_revision: null }, transaction }
+      );
+      return true;
+    });
+
+    if (recorded) {
+      await VoiceGuide.updateMany({ route_id: route.id, route_revision: null }, { route_revision: 1 });
+      count++;
+    }
+  }
+
+  return count;
+}
+
+async function main() {
+  console.log('🗂️  Migrating route revisions\n');
+
+  await sequelize.authenticate();
+  await connectMongoDB();
+
+  await addMessageRevisionColumn();
+  const count = await recordBaselines();
+  console.log(`✅ Routes given a baseline revision: ${count}`);
+
+  await sequelize.close();
+  await mongoose.connection.close();
+}
+
+// Run if called directly
+if (require.main === module) {
+  main().catch(async (error) => {
+    console.error('❌ Migration failed:', error);
+    await sequelize.close();
+    await mongoose.connection.close();
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  addMessageRevisionColumn,
+  recordBaselines
+};
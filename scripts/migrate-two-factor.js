@@ -0,0 +1,66 @@
+// migrate-two-factor.js - Add roles.requires_two_factor to an existing database
+//
+// Usage: npm run migrate:two-factor
+//
+// The user_two_factor table is created by sequelize.sync(); this only adds the
+// role column and turns the requirement on for the admin roles, as new installs do.
+
+require('dotenv').config();
+const { DataTypes, Op } = require('sequelize');
+const { sequelize, Role } = require('../src/models');
+
+const ROLES_REQUIRING_TWO_FACTOR = ['super_admin', 'admin'];
+
+/**
+ * Add the requires_two_factor column and enable it for the admin roles
+ * @returns {Promise<number>} - Number of roles updated
+ */
+async function migrateTwoFactor() {
+  const queryInterface = sequelize.getQueryInterface();
+  const columns = await queryInterface.describeTable('roles');
+
+  if (columns.requires_two_factor) {
+    console.log('ℹ️  Column roles.requires_two_factor already exists, nothing to do');
+    return 0;
+  }
+
+  return await sequelize.transaction(async (transaction) => {
+    await queryInterface.addColumn('roles', 'requires_two_factor', {
+      type: DataTypes.BOOLEAN,
+      allowNull: true,
+      defaultValue: false
+    }, { transaction });
+    console.log('✅ Column roles.requires_two_factor added');
+
+    const [count] = await Role.update(
+      { requires_two_factor: true },
+      { where: { name: { [Op.in]: ROLES_REQUIRING_TWO_FACTOR } }, transaction }
+    );
+
+    return count;
+  });
+}
+
+async function main() {
+  console.log('🔐 Migrating two-factor role requirements\n');
+
+  await sequelize.authenticate();
+
+  const count = await migrateTwoFactor();
+  console.log(`✅ Roles now requiring 2FA: ${count}`);
+
+  await sequelize.close();
+}
+
+// Run if called directly
+if (require.main === module) {
+  main().catch(async (error) => {
+    console.error('❌ Migration failed:', error);
+    await sequelize.close();
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  migrateTwoFactor
+};
@@ -0,0 +1,226 @@
+// mock-oidc-issuer.js - Minimal OpenID Connect issuer for local development and tests
+//
+// Usage: npm run oidc:mock
+//
+// Serves discovery, JWKS, authorize, token and userinfo for one confidential client
+// (OIDC_MOCK_CLIENT_ID / OIDC_MOCK_CLIENT_SECRET, matching .ENV.EXAMPLE). There is no
+// login page: /authorize immediately approves the user given by ?login_hint=<email>,
+// or MOCK_OIDC_EMAIL. Tests can also require this file and call startMockIssuer().
+
+require('dotenv').config();
+const crypto = require('crypto');
+const http = require('http');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const CODE_TTL_MS = 60 * 1000;
+const TOKEN_TTL_SECONDS = 3600;
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+/**
+ * Claims of the mock user for an email: the subject is stable per email
+ * @param {string} email - User email
+ * @param {Object} options - emailVerified flag
+ * @returns {Object} - OIDC standard claims
+ */
+function userClaims(email, options = {}) {
+  const [localPart] = email.split('@');
+  const [givenName, familyName] = localPart.split(/[._-]/);
+
+  return {
+    sub: crypto.createHash('sha256').update(email.toLowerCase()).digest('hex').slice(0, 24),
+    email,
+    email_verified: options.emailVerified !== false,
+    given_name: givenName || localPart,
+    family_name: familyName || 'Mock',
+    name: [givenName, familyName].filter(Boolean).join(' ') || localPart
+  };
+}
+
+/**
+ * Build the issuer application
+ * @param {Object} options - issuer URL, clientId, clientSecret, defaultEmail, emailVerified
+ * @returns {Object} - Express application
+ */
+function createMockIssuer(options) {
+  const { issuer, clientId, clientSecret, defaultEmail, emailVerified } = options;
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = crypto.randomBytes(8).toString('hex');
+
+  // Issued codes and access tokens, kept in memory only
+  const codes = new Map();
+  const accessTokens = new Map();
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  const oauthError = (res, status, error, description) => {
+    res.status(status).json({ error, error_description: description });
+  };
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      userinfo_endpoint: `${issuer}/userinfo`,
+      jwks_uri: `${issuer}/jwks`,
+      response_types_supported: ['code'],
+      grant_types_supported: ['authorization_code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      scopes_supported: ['openid', 'email', 'profile'],
+      token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post'],
+      code_challenge_methods_supported: ['S256'],
+      claims_supported: ['sub', 'email', 'email_verified', 'given_name', 'family_name', 'name']
+    });
+  });
+
+  app.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' }] });
+  });
+
+  app.get('/authorize', (req, res) => {
+    const { client_id, redirect_uri, response_type, state, nonce, code_challenge, code_challenge_method, login_hint } = req.query;
+
+    if (client_id !== clientId) {
+      return oauthError(res, 400, 'unauthorized_client', 'Unknown client_id');
+    }
+    if (!redirect_uri || response_type !== 'code') {
+      return oauthError(res, 400, 'invalid_request', 'redirect_uri and response_type=code are required');
+    }
+
+    const redirect = new URL(redirect_uri);
+    if (state) redirect.searchParams.set('state', state);
+
+    if (!code_challenge || code_challenge_method !== 'S256') {
+      redirect.searchParams.set('error', 'invalid_request');
+      redirect.searchParams.set('error_description', 'PKCE with S256 is required');
+      return res.redirect(302, redirect.href);
+    }
+
+    const code = base64url(crypto.randomBytes(32));
+    codes.set(code, {
+      redirectUri: redirect_uri,
+      nonce,
+      codeChallenge: code_challenge,
+      claims: userClaims(login_hint || defaultEmail, { emailVerified }),
+      expiresAt: Date.now() + CODE_TTL_MS
+    });
+
+    redirect.searchParams.set('code', code);
+    res.redirect(302, redirect.href);
+  });
+
+  app.post('/token', (req, res) => {
+    // client_secret_basic or client_secret_post
+    let [id, secret] = [req.body.client_id, req.body.client_secret];
+    const authorization = req.get('Authorization');
+    if (authorization?.startsWith('Basic ')) {
+      [id, secret] = Buffer.from(authorization.slice(6), 'base64').toString().split(':').map(decodeURIComponent);
+    }
+    if (id !== clientId || secret !== clientSecret) {
+      return oauthError(res, 401, 'invalid_client', 'Client authentication failed');
+    }
+
+    const { grant_type, code, redirect_uri, code_verifier } = req.body;
+    const grant = codes.get(code);
+    codes.delete(code);
+
+    if (grant_type !== 'authorization_code' || !grant || grant.expiresAt < Date.now()) {
+      return oauthError(res, 400, 'invalid_grant', 'Unknown or expired code');
+    }
+    if (grant.redirectUri !== redirect_uri) {
+      return oauthError(res, 400, 'invalid_grant', 'redirect_uri mismatch');
+    }
+    const challenge = base64url(crypto.createHash('sha256').update(code_verifier || '').digest());
+    if (challenge !== grant.codeChallenge) {
+      return oauthError(res, 400, 'invalid_grant', 'PKCE verification failed');
+    }
+
+    const accessToken = base64url(crypto.randomBytes(32));
+    accessTokens.set(accessToken, grant.claims);
+
+    const idToken = jwt.sign(
+      { ...grant.claims, nonce: grant.nonce },
+      privateKey,
+      { algorithm: 'RS256', keyid: kid, issuer, audience: clientId, expiresIn: TOKEN_TTL_SECONDS }
+    );
+
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      access_token: accessToken,
+      token_type: 'Bearer',
+      expires_in: TOKEN_TTL_SECONDS,
+      id_token: idToken,
+      scope: 'openid email profile'
+    });
+  });
+
+  app.get('/userinfo', (req, res) => {
+    const token = req.get('Authorization')?.replace(/^Bearer /, '');
+    const claims = token && accessTokens.get(token);
+
+    if (!claims) {
+      return oauthError(res, 401, 'invalid_token', 'Unknown access token');
+    }
+    res.json(claims);
+  });
+
+  return app;
+}
+
+/**
+ * Start the issuer on a port (0 picks a free one)
+ * @param {Object} options - port plus createMockIssuer options; defaults come from the environment
+ * @returns {Promise<Object>} - issuer URL, server and close()
+ */
+function startMockIssuer(options = {}) {
+  const port = options.port ?? (parseInt(process.env.MOCK_OIDC_PORT) || 9400);
+
+  return new Promise((resolve, reject) => {
+    let app;
+    const settings = {
+      clientId: options.clientId || process.env.OIDC_MOCK_CLIENT_ID || 'openblind-local',
+      clientSecret: options.clientSecret || process.env.OIDC_MOCK_CLIENT_SECRET || 'mock-client-secret',
+      defaultEmail: options.defaultEmail || process.env.MOCK_OIDC_EMAIL || 'oidc.user@example.com',
+      emailVerified: options.emailVerified ?? process.env.MOCK_OIDC_EMAIL_VERIFIED !== 'false'
+    };
+
+    // The issuer URL depends on the bound port, so routes are mounted once listening
+    const server = http.createServer((req, res) => app(req, res));
+    server.once('error', reject);
+    server.listen(port, () => {
+      const issuer = options.issuer || `http://localhost:${server.address().port}`;
+      app = createMockIssuer({ ...settings, issuer });
+
+      resolve({
+        issuer,
+        server,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+async function main() {
+  const { issuer } = await startMockIssuer();
+
+  console.log(`🔑 Mock OIDC issuer running at ${issuer}`);
+  console.log(`   Discovery: ${issuer}/.well-known/openid-configuration`);
+  console.log('   Set OIDC_PROVIDERS=mock and OIDC_MOCK_ISSUER to this URL, then open /api/auth/oidc/mock/start');
+}
+
+// Run if called directly
+if (require.main === module) {
+  main().catch((error) => {
+    console.error('❌ Mock OIDC issuer failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  createMockIssuer,
+  startMockIssuer
+};
@@ -0,0 +1,139 @@
+// rotate-encryption-key.js - Re-encrypt stored data with the current key version
+//
+// Usage: npm run rotate:encryption-key              # re-encrypt everything not on the current key
+//        npm run rotate:encryption-key -- --dry-run # only count what would change
+//
+// Add the new key to ENCRYPTION_KEYS, point ENCRYPTION_KEY_VERSION at it, deploy,
+// then run this script. Old keys can be removed once it reports nothing left to rotate.
+
+require('dotenv').config();
+const { Op } = require('sequelize');
+const { sequelize, User, PersonalizedMessage, UserTwoFactor, OidcAuthRequest } = require('../src/models');
+const { CURRENT_KEY_VERSION, encrypt, decrypt, needsReEncryption } = require('../src/config/encryption');
+
+const BATCH_SIZE = 200;
+
+// Encrypted columns per model
+const TARGETS = [
+  { model: User, fields: ['email', 'telefono', 'nombres', 'apellidos', 'fecha_nacimiento'] },
+  { model: PersonalizedMessage, fields: ['message'] },
+  { model: UserTwoFactor, fields: ['secret'] },
+  { model: OidcAuthRequest, fields: ['code_verifier'] }
+];
+
+/**
+ * Rows with at least one field not yet on the current key version
+ * @param {Array} fields - Encrypted columns
+ * @returns {Object} - Sequelize where clause
+ */
+function staleCondition(fields) {
+  return {
+    [Op.or]: fields.map(field => ({
+      [field]: { [Op.ne]: null, [Op.notLike]: `${CURRENT_KEY_VERSION}:%` }
+    }))
+  };
+}
+
+/**
+ * Re-encrypt one table in keyset-paginated batches, one transaction per batch
+ * @param {Object} target - Model and encrypted fields
+ * @param {Object} options - dryRun to count without writing
+ * @returns {Promise<Object>} - Counters for rotated and failed rows
+ */
+async function rotateTable({ model, fields }, options = {}) {
+  const { dryRun = false } = options;
+  const stats = { table: model.tableName, rotated: 0, failed: 0 };
+  let lastId = null;
+
+  for (;;) {
+    const where = staleCondition(fields);
+    if (lastId) {
+      where.id = { [Op.gt]: lastId };
+    }
+
+    const rows = await model.findAll({
+      where,
+      attributes: ['id', ...fields],
+      order: [['id', 'ASC']],
+      limit: BATCH_SIZE
+    });
+
+    if (rows.length === 0) break;
+
+    await sequelize.transaction(async (transaction) => {
+      for (const row of rows) {
+        const updates = {};
+
+        try {
+          fields.forEach(field => {
+            const value = row.get(field);
+            if (needsReEncryption(value)) {
+              updates[field] = encrypt(decrypt(value));
+            }
+          });
+        } catch (error) {
+          stats.failed++;
+          console.log(`⚠️  Could not decrypt ${stats.table} ${row.id}: ${error.message}`);
+          continue;
+        }
+
+        if (!dryRun) {
+          await row.update(updates, { transaction, silent: true, hooks: false });
+        }
+        stats.rotated++;
+      }
+    });
+
+    lastId = rows[rows.length - 1].id;
+    console.log(`… ${stats.table}: batch ending at ${lastId} (${stats.rotated} rotated so far)`);
+  }
+
+  return stats;
+}
+
+/**
+ * Rotate every encrypted table to the current key version
+ * @param {Object} options - dryRun to count without writing
+ * @returns {Promise<Array>} - Per-table counters
+ */
+async function rotateAll(options = {}) {
+  const results = [];
+  for (const target of TARGETS) {
+    results.push(await rotateTable(target, options));
+  }
+  return results;
+}
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  console.log(`🔐 Rotating encrypted data to key version ${CURRENT_KEY_VERSION}${dryRun ? ' (dry run)' : ''}\n`);
+
+  await sequelize.authenticate();
+
+  const results = await rotateAll({ dryRun });
+
+  console.log('');
+  results.forEach(stats => {
+    console.log(`✅ ${stats.table}: ${stats.rotated} ${dryRun ? 'to rotate' : 'rotated'}, ${stats.failed} undecryptable`);
+  });
+
+  await sequelize.close();
+
+  if (results.some(stats => stats.failed > 0)) {
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main().catch(async (error) => {
+    console.error('❌ Key rotation failed:', error);
+    await sequelize.close();
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  rotateTable,
+  rotateAll
+};
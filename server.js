@@ -2,6 +2,8 @@ const createApp = require('./src/app');
 const config = require('./src/config/config');
 const logService = require('./src/services/logService');
 const databaseService = require('./src/services/databaseService');
+const roleExpiryService = require('./src/services/roleExpiryService');
+const mailService = require('./src/services/mailService');
 const { gracefulShutdown } = require('./src/middleware/errorHandler');
 
 /**
@@ -16,10 +18,16 @@ const startServer = async () => {
       host: config.server.host
     });
 
+    // Refuse to start without a safe mail transport (reset and verification links)
+    mailService.assertConfigured();
+
     // Initialize database connections
     logService.info('Initializing database connections...');
     await databaseService.initializeConnections();
 
+    // Deactivate expired temporary role assignments in the background
+    roleExpiryService.start();
+
     // Create Express app
     const app = createApp();
 
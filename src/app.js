@@ -9,6 +9,7 @@ const compression = require('compression');
 const config = require('./config/config');
 const logService = require('./services/logService');
 const databaseService = require('./services/databaseService');
+const permissionCacheService = require('./services/permissionCacheService');
 
 // Middleware
 const { requestLogger, performanceLogger, errorLogger } = require('./middleware/logging');
@@ -22,6 +23,7 @@ const messageRoutes = require('./routes/messages');
 const touristRoutes = require('./routes/tourist');
 const voiceGuideRoutes = require('./routes/voiceGuides');
 const rbacRoutes = require('./routes/rbac');
+const partnerRoutes = require('./routes/partner');
 
 // Import all models with associations
 const models = require('./models');
@@ -75,7 +77,7 @@ const createApp = () => {
     },
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Device-Info'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Device-Info', 'X-API-Key'],
     exposedHeaders: ['X-Total-Count', 'X-Page-Count']
   };
 
@@ -164,6 +166,7 @@ const createApp = () => {
           uptime: process.uptime(),
           memory: process.memoryUsage(),
           databases: stats,
+          permissionCache: permissionCacheService.getStats(),
           nodeEnv: config.server.nodeEnv,
           version: process.env.npm_package_version || '1.0.0'
         }
@@ -291,6 +294,7 @@ const createApp = () => {
   app.use('/api/tourist-registrations', touristRoutes);
   app.use('/api/voice-guides', voiceGuideRoutes);
   app.use('/api/rbac', rbacRoutes);
+  app.use('/api/partner', partnerRoutes);
 
   // CORS error handler
   app.use(corsErrorHandler);
@@ -3,6 +3,51 @@ const dotenv = require('dotenv');
 // Load environment variables
 dotenv.config();
 
+/**
+ * Parse a versioned key list such as "v1:secret-one,v2:secret-two"
+ * @param {string} value - Raw environment value
+ * @returns {Object} - version -> secret, in the order given
+ */
+const parseKeyList = (value) => {
+  if (!value) return {};
+
+  return value.split(',').reduce((keys, entry) => {
+    const separator = entry.indexOf(':');
+    if (separator > 0) {
+      keys[entry.slice(0, separator).trim()] = entry.slice(separator + 1).trim();
+    }
+    return keys;
+  }, {});
+};
+
+/**
+ * Build OIDC provider settings from OIDC_PROVIDERS and OIDC_<NAME>_* variables
+ * @param {Object} env - Environment variables
+ * @returns {Object} - provider name -> issuer, clientId, clientSecret, scope, allowInsecure
+ */
+const parseOidcProviders = (env) => {
+  const names = (env.OIDC_PROVIDERS || '').split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+
+  return names.reduce((providers, name) => {
+    const prefix = `OIDC_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+    const issuer = env[`${prefix}ISSUER`];
+    const clientId = env[`${prefix}CLIENT_ID`];
+
+    // Providers without an issuer or client are ignored rather than half-configured
+    if (issuer && clientId) {
+      providers[name] = {
+        issuer,
+        clientId,
+        clientSecret: env[`${prefix}CLIENT_SECRET`] || null,
+        scope: env[`${prefix}SCOPE`] || 'openid email profile',
+        // Plain-HTTP issuers (e.g. the local mock issuer) are refused unless explicitly allowed
+        allowInsecure: env[`${prefix}ALLOW_INSECURE`] === 'true'
+      };
+    }
+    return providers;
+  }, {});
+};
+
 const config = {
   // Server configuration
   server: {
@@ -38,11 +83,82 @@ const config = {
   // Security configuration
   security: {
     jwtSecret: process.env.JWT_SECRET || 'your-jwt-secret-key-change-in-production',
-    jwtExpiresIn: '24h',
+    jwtExpiresIn: process.env.JWT_EXPIRES_IN || '15m',
+    refreshTokenTtlDays: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 7,
+    // Legacy AES-256-CBC key, still needed to read data written before key versioning
     encryptionKey: process.env.ENCRYPTION_KEY || 'your-32-character-encryption-key-here',
+    // AES-256-GCM keys by version; new data is written with encryptionKeyVersion
+    encryptionKeys: parseKeyList(process.env.ENCRYPTION_KEYS),
+    encryptionKeyVersion: process.env.ENCRYPTION_KEY_VERSION || null,
+    blindIndexKey: process.env.BLIND_INDEX_KEY || 'your-blind-index-key-change-in-production',
     bcryptRounds: parseInt(process.env.BCRYPT_ROUNDS) || 12
   },
 
+  // Brute-force protection for /api/auth/login
+  bruteForce: {
+    accountMaxFailures: parseInt(process.env.LOGIN_ACCOUNT_MAX_FAILURES) || 5,
+    ipMaxFailures: parseInt(process.env.LOGIN_IP_MAX_FAILURES) || 20,
+    failureWindowMinutes: parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 15,
+    lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15,
+    baseDelayMs: 1000,
+    maxDelayMs: 30000,
+    authRequestsPerWindow: parseInt(process.env.AUTH_RATE_LIMIT_MAX) || 50
+  },
+
+  // TOTP two-factor authentication
+  twoFactor: {
+    issuer: process.env.TOTP_ISSUER || 'OpenBlind',
+    challengeExpiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m',
+    recoveryCodeCount: 10
+  },
+
+  // OpenID Connect login (/api/auth/oidc/:provider)
+  oidc: {
+    // Public base URL of this API; callbacks are <callbackBaseUrl>/api/auth/oidc/<provider>/callback
+    callbackBaseUrl: process.env.OIDC_CALLBACK_BASE_URL || 'http://localhost:5000',
+    stateExpiresInMinutes: parseInt(process.env.OIDC_STATE_EXPIRES_MINUTES) || 10,
+    providers: parseOidcProviders(process.env)
+  },
+
+  // Role-based access control
+  rbac: {
+    // Lifetime of cached per-user roles and permissions; 0 disables the cache
+    permissionCacheTtlSeconds: parseInt(process.env.PERMISSION_CACHE_TTL_SECONDS ?? '60'),
+    // How often expired role assignments are deactivated; 0 disables the sweeper
+    roleExpirySweepIntervalMinutes: parseInt(process.env.ROLE_EXPIRY_SWEEP_INTERVAL_MINUTES ?? '5'),
+    // Holders of temporary roles are notified this long before the assignment expires
+    roleExpiryNoticeHours: parseInt(process.env.ROLE_EXPIRY_NOTICE_HOURS) || 48,
+    // 'legacy': users.rol drives the legacy role checks; 'rbac': users.rol is derived from UserRole
+    roleSource: process.env.ROLE_SOURCE === 'rbac' ? 'rbac' : 'legacy',
+    // Timezone of weekday/hour conditions that do not name their own
+    conditionTimezone: process.env.RBAC_CONDITION_TIMEZONE || 'America/Guayaquil'
+  },
+
+  // Outgoing mail configuration
+  mail: {
+    // console/file are development transports (they expose one-time links); elsewhere MAIL_TRANSPORT is required
+    transport: process.env.MAIL_TRANSPORT || ((process.env.NODE_ENV || 'development') === 'development' ? 'console' : null),
+    from: process.env.MAIL_FROM || 'OpenBlind <no-reply@openblind.local>',
+    fileDir: process.env.MAIL_FILE_DIR || './logs/mail/',
+    // SMTP transport (MAIL_TRANSPORT=smtp)
+    smtp: {
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true', // TLS from the start (port 465); otherwise STARTTLS
+      user: process.env.SMTP_USER,
+      password: process.env.SMTP_PASSWORD
+    },
+    passwordResetUrl: process.env.PASSWORD_RESET_URL || 'http://localhost:5000/reset-password',
+    emailVerificationUrl: process.env.EMAIL_VERIFICATION_URL || 'http://localhost:5000/verify-email'
+  },
+
+  // Email verification
+  emailVerification: {
+    // off: no restriction | content: unverified users cannot create content | strict: only /api/auth is usable
+    policy: process.env.EMAIL_VERIFICATION_POLICY || 'content',
+    tokenExpiresIn: process.env.EMAIL_VERIFICATION_EXPIRES_IN || '24h'
+  },
+
   // Logging configuration
   logging: {
     level: process.env.LOG_LEVEL || 'info',
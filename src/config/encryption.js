@@ -1,15 +1,57 @@
 const crypto = require('crypto');
 const config = require('./config');
 
-const ALGORITHM = 'aes-256-cbc';
-const IV_LENGTH = 16;
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
 const KEY_LENGTH = 32;
-const ENCRYPTION_KEY = config.security.encryptionKey;
+
+// Pre-versioning format (iv:ciphertext), kept readable until data is rotated
+const LEGACY_ALGORITHM = 'aes-256-cbc';
+const LEGACY_KEY = crypto.scryptSync(config.security.encryptionKey, 'salt', KEY_LENGTH);
+
+/**
+ * Turn a configured secret into a 32-byte key.
+ * 64 hex characters are used as-is; anything else is stretched with scrypt,
+ * salted with the key version so two versions never share a key.
+ * @param {string} secret - Configured secret
+ * @param {string} version - Key version
+ * @returns {Buffer} - AES-256 key
+ */
+const deriveKey = (secret, version) => {
+  if (/^[0-9a-f]{64}$/i.test(secret)) {
+    return Buffer.from(secret, 'hex');
+  }
+  return crypto.scryptSync(secret, `openblind:${version}`, KEY_LENGTH);
+};
+
+// ENCRYPTION_KEY is always available as this version (the only one without ENCRYPTION_KEYS).
+// The name is reserved so that adopting ENCRYPTION_KEYS later cannot relabel it with another secret.
+const FALLBACK_VERSION = 'v0';
+
+if (FALLBACK_VERSION in config.security.encryptionKeys &&
+    config.security.encryptionKeys[FALLBACK_VERSION] !== config.security.encryptionKey) {
+  throw new Error(`Encryption key version "${FALLBACK_VERSION}" is reserved for ENCRYPTION_KEY and must not differ from it`);
+}
+
+const configuredKeys = {
+  [FALLBACK_VERSION]: config.security.encryptionKey,
+  ...config.security.encryptionKeys
+};
+
+const KEYS = new Map(
+  Object.entries(configuredKeys).map(([version, secret]) => [version, deriveKey(secret, version)])
+);
+
+const CURRENT_VERSION = config.security.encryptionKeyVersion || [...KEYS.keys()].pop();
+
+if (!KEYS.has(CURRENT_VERSION)) {
+  throw new Error(`Encryption key version "${CURRENT_VERSION}" is not configured`);
+}
 
 /**
- * Modern encryption using crypto.createCipheriv (Node.js 18+ compatible)
+ * Authenticated encryption with the current key version
  * @param {string|Date|number} data - The data to encrypt
- * @returns {string} - The encrypted text in format: iv:encrypted
+ * @returns {string} - The encrypted text in format: version:iv:authTag:encrypted
  */
 const encrypt = (data) => {
   if (!data) return null;
@@ -27,21 +69,17 @@ const encrypt = (data) => {
       text = String(data);
     }
     
-    // Create a consistent key from the encryption key
-    const key = crypto.scryptSync(ENCRYPTION_KEY, 'salt', KEY_LENGTH);
-    
-    // Generate a random IV
     const iv = crypto.randomBytes(IV_LENGTH);
-    
-    // Create cipher
-    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
-    
-    // Encrypt the text
+    const cipher = crypto.createCipheriv(ALGORITHM, KEYS.get(CURRENT_VERSION), iv);
+
+    // Bind the version to the ciphertext so it cannot be relabelled
+    cipher.setAAD(Buffer.from(CURRENT_VERSION));
+
     let encrypted = cipher.update(text, 'utf8', 'hex');
     encrypted += cipher.final('hex');
+    const authTag = cipher.getAuthTag();
     
-    // Return IV and encrypted data
-    return `${iv.toString('hex')}:${encrypted}`;
+    return `${CURRENT_VERSION}:${iv.toString('hex')}:${authTag.toString('hex')}:${encrypted}`;
   } catch (error) {
     console.error('Encryption error:', error);
     throw new Error('Failed to encrypt data');
@@ -49,30 +87,37 @@ const encrypt = (data) => {
 };
 
 /**
- * Modern decryption using crypto.createDecipheriv (Node.js 18+ compatible)
- * @param {string} encryptedData - The encrypted data in format: iv:encrypted
+ * Decrypt data written with any configured key version, or in the legacy CBC format
+ * @param {string} encryptedData - version:iv:authTag:encrypted, or legacy iv:encrypted
  * @returns {string} - The decrypted text
  */
 const decrypt = (encryptedData) => {
   if (!encryptedData) return null;
   
   try {
-    // Split IV and encrypted data
     const parts = encryptedData.split(':');
-    if (parts.length !== 2) {
+
+    if (parts.length === 2) {
+      const decipher = crypto.createDecipheriv(LEGACY_ALGORITHM, LEGACY_KEY, Buffer.from(parts[0], 'hex'));
+      let decrypted = decipher.update(parts[1], 'hex', 'utf8');
+      decrypted += decipher.final('utf8');
+      return decrypted;
+    }
+
+    if (parts.length !== 4) {
       throw new Error('Invalid encrypted data format');
     }
-    
-    const iv = Buffer.from(parts[0], 'hex');
-    const encrypted = parts[1];
-    
-    // Create a consistent key from the encryption key
-    const key = crypto.scryptSync(ENCRYPTION_KEY, 'salt', KEY_LENGTH);
-    
-    // Create decipher
-    const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
-    
-    // Decrypt the text
+
+    const [version, iv, authTag, encrypted] = parts;
+    const key = KEYS.get(version);
+    if (!key) {
+      throw new Error(`Unknown encryption key version: ${version}`);
+    }
+
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'hex'));
+    decipher.setAAD(Buffer.from(version));
+    decipher.setAuthTag(Buffer.from(authTag, 'hex'));
+
     let decrypted = decipher.update(encrypted, 'hex', 'utf8');
     decrypted += decipher.final('utf8');
     
@@ -83,6 +128,42 @@ const decrypt = (encryptedData) => {
   }
 };
 
+/**
+ * Key version a ciphertext was written with
+ * @param {string} encryptedData - Encrypted value
+ * @returns {string|null} - Version, 'legacy' for the CBC format, null if empty
+ */
+const getKeyVersion = (encryptedData) => {
+  if (!encryptedData) return null;
+
+  const parts = encryptedData.split(':');
+  return parts.length === 4 ? parts[0] : 'legacy';
+};
+
+/**
+ * Whether a ciphertext should be re-encrypted with the current key
+ * @param {string} encryptedData - Encrypted value
+ * @returns {boolean} - True if written with an older key or format
+ */
+const needsReEncryption = (encryptedData) => {
+  return !!encryptedData && getKeyVersion(encryptedData) !== CURRENT_VERSION;
+};
+
+/**
+ * Deterministic keyed hash (blind index) for equality lookups on encrypted columns.
+ * Uses a separate key from the encryption key so leaking one does not weaken the other.
+ * @param {string} value - Normalized plaintext value
+ * @returns {string} - HMAC-SHA256 hex digest
+ */
+const blindIndex = (value) => {
+  if (value === undefined || value === null) return null;
+
+  return crypto
+    .createHmac('sha256', config.security.blindIndexKey)
+    .update(String(value))
+    .digest('hex');
+};
+
 /**
  * Hash a password using bcrypt
  * @param {string} password - The password to hash
@@ -105,8 +186,12 @@ const comparePassword = async (password, hash) => {
 };
 
 module.exports = {
+  CURRENT_KEY_VERSION: CURRENT_VERSION,
   encrypt,
   decrypt,
+  getKeyVersion,
+  needsReEncryption,
+  blindIndex,
   hashPassword,
   comparePassword
 };
\ No newline at end of file
@@ -0,0 +1,92 @@
+const apiKeyService = require('../services/apiKeyService');
+const logService = require('../services/logService');
+const { API_KEYS } = require('../utils/constants');
+
+class ApiKeyController {
+  /**
+   * List API keys
+   */
+  async getAllApiKeys(req, res) {
+    try {
+      const apiKeys = await apiKeyService.listKeys({
+        includeRevoked: req.query.include_revoked === 'true'
+      });
+
+      res.status(200).json({
+        success: true,
+        data: {
+          apiKeys,
+          allowedPermissions: API_KEYS.ALLOWED_PERMISSIONS
+        }
+      });
+    } catch (error) {
+      logService.error('Error in getAllApiKeys:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve API keys'
+      });
+    }
+  }
+
+  /**
+   * Create an API key; the plain key is only returned in this response
+   */
+  async createApiKey(req, res) {
+    try {
+      const { apiKey, key } = await apiKeyService.createKey(req.body, req.user.id);
+
+      res.status(201).json({
+        success: true,
+        message: 'API key created successfully. Store the key now, it will not be shown again',
+        data: { apiKey, key }
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: error.message || 'Failed to create API key'
+      });
+    }
+  }
+
+  /**
+   * Update name, description, permissions or expiry of an API key
+   */
+  async updateApiKey(req, res) {
+    try {
+      const apiKey = await apiKeyService.updateKey(req.params.id, req.body, req.user.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'API key updated successfully',
+        data: { apiKey }
+      });
+    } catch (error) {
+      const statusCode = error.message === 'API key not found' ? 404 : 400;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to update API key'
+      });
+    }
+  }
+
+  /**
+   * Revoke an API key
+   */
+  async revokeApiKey(req, res) {
+    try {
+      await apiKeyService.revokeKey(req.params.id, req.user.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'API key revoked successfully'
+      });
+    } catch (error) {
+      res.status(error.message === 'API key not found' ? 404 : 500).json({
+        success: false,
+        message: error.message || 'Failed to revoke API key'
+      });
+    }
+  }
+}
+
+module.exports = new ApiKeyController();
@@ -1,5 +1,10 @@
 const authService = require('../services/authService');
+const sessionService = require('../services/sessionService');
+const twoFactorService = require('../services/twoFactorService');
+const rbacService = require('../services/rbacService');
+const oidcService = require('../services/oidcService');
 const logService = require('../services/logService');
+const config = require('../config/config');
 
 class AuthController {
   /**
@@ -14,10 +19,10 @@ class AuthController {
         deviceInfo: req.get('X-Device-Info') || null
       };
 
-      const result = await authService.register(userData);
+      const result = await authService.register(userData, loginInfo);
       
       // Update login history for new user
-      await authService.updateLoginHistory(result.user.id, loginInfo);
+      await authService.updateLoginHistory(result.user.id, { ...loginInfo, sessionId: result.sessionId });
 
       res.status(201).json({
         success: true,
@@ -47,6 +52,33 @@ class AuthController {
 
       const result = await authService.login(email, password, loginInfo);
 
+      res.status(200).json({
+        success: true,
+        message: result.twoFactorRequired ? 'Two-factor authentication required' : 'Login successful',
+        data: result
+      });
+    } catch (error) {
+      res.status(401).json({
+        success: false,
+        message: error.message || 'Login failed'
+      });
+    }
+  }
+
+  /**
+   * Complete a two-step login with a TOTP or recovery code
+   */
+  async loginTwoFactor(req, res) {
+    try {
+      const { challengeToken, code } = req.body;
+      const loginInfo = {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        deviceInfo: req.get('X-Device-Info') || null
+      };
+
+      const result = await authService.loginWithTwoFactor(challengeToken, code, loginInfo);
+
       res.status(200).json({
         success: true,
         message: 'Login successful',
@@ -61,16 +93,78 @@ class AuthController {
   }
 
   /**
-   * Logout user (client-side token invalidation)
+   * List the configured OpenID Connect providers
    */
-  async logout(req, res) {
+  async getOidcProviders(req, res) {
+    res.status(200).json({
+      success: true,
+      data: { providers: oidcService.listProviders() }
+    });
+  }
+
+  /**
+   * Start an OpenID Connect login: redirect to the provider (or return the URL to JSON clients)
+   */
+  async startOidcLogin(req, res) {
     try {
-      const userId = req.user?.id;
-      
-      if (userId) {
-        logService.logAuth('logout', { userId });
+      const { authorizationUrl } = await oidcService.startLogin(req.params.provider, { ipAddress: req.ip });
+
+      if (req.accepts(['html', 'json']) === 'json') {
+        return res.status(200).json({
+          success: true,
+          data: { authorizationUrl }
+        });
       }
 
+      res.redirect(302, authorizationUrl);
+    } catch (error) {
+      const statusCode = error.message === 'Unknown OIDC provider' ? 404 : 502;
+      res.status(statusCode).json({
+        success: false,
+        message: statusCode === 404 ? error.message : 'Could not start OIDC login'
+      });
+    }
+  }
+
+  /**
+   * Complete an OpenID Connect login from the provider's redirect
+   */
+  async oidcCallback(req, res) {
+    try {
+      const loginInfo = {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        deviceInfo: req.get('X-Device-Info') || null
+      };
+
+      // Must match the redirect URI registered with the provider
+      const currentUrl = new URL(req.originalUrl, config.oidc.callbackBaseUrl);
+
+      const result = await oidcService.handleCallback(req.params.provider, currentUrl, loginInfo);
+
+      res.status(200).json({
+        success: true,
+        message: result.twoFactorRequired ? 'Two-factor authentication required' : 'Login successful',
+        data: result
+      });
+    } catch (error) {
+      const statusCode = error.message === 'Unknown OIDC provider' ? 404 : 401;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Login failed'
+      });
+    }
+  }
+
+  /**
+   * Logout user by revoking the current session
+   */
+  async logout(req, res) {
+    try {
+      const userId = req.user.id;
+
+      await authService.logout(userId, req.user.sessionId);
+
       res.status(200).json({
         success: true,
         message: 'Logout successful'
@@ -83,6 +177,78 @@ class AuthController {
     }
   }
 
+  /**
+   * List the current user's active sessions
+   */
+  async getSessions(req, res) {
+    try {
+      const sessions = await sessionService.listUserSessions(req.user.id, {
+        currentSessionId: req.user.sessionId
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Sessions retrieved successfully',
+        data: { sessions }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to retrieve sessions'
+      });
+    }
+  }
+
+  /**
+   * Revoke one of the current user's sessions
+   */
+  async revokeSession(req, res) {
+    try {
+      const { id } = req.params;
+
+      const revoked = await sessionService.revokeUserSession(req.user.id, id, 'revoked_by_user');
+
+      if (!revoked) {
+        return res.status(404).json({
+          success: false,
+          message: 'Session not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Session revoked successfully'
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to revoke session'
+      });
+    }
+  }
+
+  /**
+   * Revoke every session of the current user except the one making the request
+   */
+  async revokeOtherSessions(req, res) {
+    try {
+      const count = await sessionService.revokeAllUserSessions(req.user.id, 'logout_others', {
+        exceptSessionId: req.user.sessionId
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Other sessions revoked successfully',
+        data: { revoked: count }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to revoke sessions'
+      });
+    }
+  }
+
   /**
    * Verify JWT token
    */
@@ -117,13 +283,14 @@ class AuthController {
             email: user.email,
             nombres: user.nombres,
             apellidos: user.apellidos,
-            rol: user.rol,
+            rol: await rbacService.getEffectiveRol(user),
             is_active: user.is_active
           },
           tokenInfo: {
             userId: decoded.userId,
             rol: decoded.rol,
-            isActive: decoded.isActive
+            isActive: decoded.isActive,
+            sessionId: decoded.sid
           }
         }
       });
@@ -136,28 +303,18 @@ class AuthController {
   }
 
   /**
-   * Refresh JWT token
+   * Exchange a refresh token for a new access/refresh token pair
    */
   async refreshToken(req, res) {
     try {
-      const authHeader = req.headers['authorization'];
-      const token = authHeader && authHeader.split(' ')[1];
+      const { refreshToken } = req.body;
 
-      if (!token) {
-        return res.status(401).json({
-          success: false,
-          message: 'Token is required'
-        });
-      }
-
-      const newToken = await authService.refreshToken(token);
+      const tokens = await authService.refreshToken(refreshToken);
 
       res.status(200).json({
         success: true,
         message: 'Token refreshed successfully',
-        data: {
-          token: newToken
-        }
+        data: tokens
       });
     } catch (error) {
       res.status(401).json({
@@ -189,6 +346,189 @@ class AuthController {
     }
   }
 
+  /**
+   * Get two-factor authentication status of the current user
+   */
+  async getTwoFactorStatus(req, res) {
+    try {
+      const twoFactor = await twoFactorService.getStatus(req.user.id, req.user.rol);
+
+      res.status(200).json({
+        success: true,
+        message: 'Two-factor status retrieved successfully',
+        data: { twoFactor }
+      });
+    } catch (error) {
+      logService.error('Error in getTwoFactorStatus:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to retrieve two-factor status'
+      });
+    }
+  }
+
+  /**
+   * Start TOTP enrolment and return the secret for the authenticator app
+   */
+  async setupTwoFactor(req, res) {
+    try {
+      const setup = await twoFactorService.beginSetup(req.user.id, req.user.email);
+
+      res.status(200).json({
+        success: true,
+        message: 'Scan the secret with your authenticator app and confirm with a code',
+        data: setup
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: error.message || 'Failed to start two-factor setup'
+      });
+    }
+  }
+
+  /**
+   * Confirm TOTP enrolment and return recovery codes
+   */
+  async enableTwoFactor(req, res) {
+    try {
+      const recoveryCodes = await twoFactorService.enable(req.user.id, req.body.code);
+
+      res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe',
+        data: { recoveryCodes }
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: error.message || 'Failed to enable two-factor authentication'
+      });
+    }
+  }
+
+  /**
+   * Turn two-factor authentication off
+   */
+  async disableTwoFactor(req, res) {
+    try {
+      await twoFactorService.disable(req.user, req.body.code);
+
+      res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication disabled'
+      });
+    } catch (error) {
+      const statusCode = error.message === 'Two-factor authentication is required for your role' ? 403 : 400;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to disable two-factor authentication'
+      });
+    }
+  }
+
+  /**
+   * Replace the recovery codes of the current user
+   */
+  async regenerateRecoveryCodes(req, res) {
+    try {
+      const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(req.user.id, req.body.code);
+
+      res.status(200).json({
+        success: true,
+        message: 'Recovery codes regenerated. Previous codes no longer work',
+        data: { recoveryCodes }
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: error.message || 'Failed to regenerate recovery codes'
+      });
+    }
+  }
+
+  /**
+   * Verify email address with the token from the verification link
+   */
+  async verifyEmail(req, res) {
+    try {
+      const { token } = req.body;
+
+      const result = await authService.verifyEmail(token);
+
+      res.status(200).json({
+        success: true,
+        message: result.alreadyVerified ? 'Email was already verified' : 'Email verified successfully'
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: error.message || 'Email verification failed'
+      });
+    }
+  }
+
+  /**
+   * Send a new verification link to the current user
+   */
+  async resendVerification(req, res) {
+    try {
+      await authService.resendVerificationEmail(req.user.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Verification email sent'
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: error.message || 'Failed to send verification email'
+      });
+    }
+  }
+
+  /**
+   * Request a password reset link
+   */
+  async forgotPassword(req, res) {
+    try {
+      const { email } = req.body;
+
+      await authService.requestPasswordReset(email, { ipAddress: req.ip });
+
+      res.status(200).json({
+        success: true,
+        message: 'If an account exists for this email, a password reset link has been sent'
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Password reset request failed'
+      });
+    }
+  }
+
+  /**
+   * Reset password with a token from the reset link
+   */
+  async resetPassword(req, res) {
+    try {
+      const { token, newPassword } = req.body;
+
+      await authService.resetPassword(token, newPassword);
+
+      res.status(200).json({
+        success: true,
+        message: 'Password reset successfully. Please log in again'
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: error.message || 'Password reset failed'
+      });
+    }
+  }
+
   /**
    * Get current user profile
    */
@@ -215,8 +555,9 @@ class AuthController {
             apellidos: user.apellidos,
             telefono: user.telefono,
             fecha_nacimiento: user.fecha_nacimiento,
-            rol: user.rol,
+            rol: req.user.rol,
             is_active: user.is_active,
+            email_verified_at: user.email_verified_at,
             created_at: user.created_at,
             updated_at: user.updated_at
           }
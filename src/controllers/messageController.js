@@ -1,5 +1,6 @@
 const { PersonalizedMessage, Route, User } = require('../models');
 const encryptionService = require('../services/encryptionService');
+const routeService = require('../services/routeService');
 const logService = require('../services/logService');
 const { Op } = require('sequelize');
 
@@ -90,37 +91,8 @@ class MessageController {
    */
   async getMessageById(req, res) {
     try {
-      const { id } = req.params;
-      
-      const message = await PersonalizedMessage.findByPk(id, {
-        include: [
-          {
-            model: Route,
-            as: 'route',
-            attributes: ['id', 'name', 'location', 'transport_name']
-          },
-          {
-            model: User,
-            as: 'creator',
-            attributes: ['id']
-          }
-        ]
-      });
-
-      if (!message) {
-        return res.status(404).json({
-          success: false,
-          message: 'Message not found'
-        });
-      }
-
-      // Check authorization: message creator or admin can view
-      if (req.user.rol !== 'admin' && message.created_by !== req.user.id) {
-        return res.status(403).json({
-          success: false,
-          message: 'Insufficient permissions to view this message'
-        });
-      }
+      // Loaded with route and creator, and access checked, by requirePermission
+      const message = req.resource;
 
       // Decrypt message
       const messageObj = message.toJSON();
@@ -171,6 +143,7 @@ class MessageController {
       const newMessage = await PersonalizedMessage.create({
         message: encryptedMessage,
         route_id,
+        route_revision: await routeService.getCurrentRevision(route_id),
         status,
         created_by: userId
       });
@@ -220,51 +193,24 @@ class MessageController {
       const { message, status } = req.body;
       const userId = req.user.id;
 
-      // Check if message exists
-      const existingMessage = await PersonalizedMessage.findByPk(id);
-      if (!existingMessage) {
-        return res.status(404).json({
-          success: false,
-          message: 'Message not found'
-        });
-      }
-
-      // Check authorization: message creator or admin can update
-      if (req.user.rol !== 'admin' && existingMessage.created_by !== userId) {
-        return res.status(403).json({
-          success: false,
-          message: 'Insufficient permissions to update this message'
-        });
-      }
+      // Loaded, and creator-or-admin access checked, by requirePermission
+      const existingMessage = req.resource;
 
       const updates = {};
       if (message !== undefined) {
         updates.message = encryptionService.encryptMessage(message);
+        // Rewritten text is authored against the current route revision
+        updates.route_revision = await routeService.getCurrentRevision(existingMessage.route_id);
       }
       if (status !== undefined) {
         updates.status = status;
       }
 
+      // The loaded message already includes its route and creator
       await existingMessage.update(updates);
 
-      // Get updated message with associations
-      const updatedMessage = await PersonalizedMessage.findByPk(id, {
-        include: [
-          {
-            model: Route,
-            as: 'route',
-            attributes: ['id', 'name', 'location', 'transport_name']
-          },
-          {
-            model: User,
-            as: 'creator',
-            attributes: ['id']
-          }
-        ]
-      });
-
       // Decrypt for response
-      const responseMessage = updatedMessage.toJSON();
+      const responseMessage = existingMessage.toJSON();
       responseMessage.message = encryptionService.decryptMessage(responseMessage.message);
 
       logService.info('Message updated', { messageId: id, userId, fields: Object.keys(updates) });
@@ -291,22 +237,8 @@ class MessageController {
       const { id } = req.params;
       const userId = req.user.id;
 
-      // Check if message exists
-      const existingMessage = await PersonalizedMessage.findByPk(id);
-      if (!existingMessage) {
-        return res.status(404).json({
-          success: false,
-          message: 'Message not found'
-        });
-      }
-
-      // Check authorization: message creator or admin can delete
-      if (req.user.rol !== 'admin' && existingMessage.created_by !== userId) {
-        return res.status(403).json({
-          success: false,
-          message: 'Insufficient permissions to delete this message'
-        });
-      }
+      // Loaded, and creator-or-admin access checked, by requirePermission
+      const existingMessage = req.resource;
 
       // Soft delete by updating status
       await existingMessage.update({ status: 'inactive' });
@@ -1,4 +1,5 @@
 const rbacService = require('../services/rbacService');
+const rbacConfigService = require('../services/rbacConfigService');
 const { Role, Permission, User, UserRole, RolePermission } = require('../models');
 const logService = require('../services/logService');
 const { Op } = require('sequelize');
@@ -28,6 +29,70 @@ class RBACController {
     }
   }
 
+  /**
+   * Export roles, permissions, grants and optionally assignments as a JSON or YAML file
+   */
+  async exportRBACConfig(req, res) {
+    try {
+      const format = req.query.format || 'json';
+      if (!['json', 'yaml'].includes(format)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Format must be json or yaml'
+        });
+      }
+
+      const document = await rbacConfigService.exportConfig({
+        includeAssignments: req.query.include_assignments === 'true'
+      });
+
+      logService.logSecurity('rbac_config_exported', {
+        exportedBy: req.user.id,
+        format,
+        includeAssignments: Boolean(document.assignments)
+      });
+
+      const date = document.exported_at.slice(0, 10);
+      res.set('Content-Type', format === 'yaml' ? 'application/yaml' : 'application/json');
+      res.set('Content-Disposition', `attachment; filename="rbac-config-${date}.${format}"`);
+      res.status(200).send(rbacConfigService.serialize(document, format));
+    } catch (error) {
+      logService.error('Error in exportRBACConfig:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to export RBAC configuration'
+      });
+    }
+  }
+
+  /**
+   * Import an exported configuration (JSON body or YAML text), or preview it with dry_run=true
+   */
+  async importRBACConfig(req, res) {
+    try {
+      const dryRun = req.query.dry_run === 'true';
+      const document = typeof req.body === 'string' ? rbacConfigService.parse(req.body) : req.body;
+
+      const result = await rbacConfigService.importConfig(document, { dryRun, importedBy: req.user.id });
+
+      res.status(200).json({
+        success: true,
+        message: dryRun ? 'RBAC configuration import previewed' : 'RBAC configuration imported successfully',
+        data: {
+          dry_run: dryRun,
+          applied: result.applied,
+          diff: result.diff
+        }
+      });
+    } catch (error) {
+      const invalid = error.message.startsWith('Invalid RBAC configuration');
+      res.status(invalid ? 400 : 500).json({
+        success: false,
+        message: error.message || 'Failed to import RBAC configuration'
+      });
+    }
+  }
+
   /**
    * Get all roles
    */
@@ -97,6 +162,10 @@ class RBACController {
           as: 'permissions',
           attributes: ['id', 'name', 'display_name', 'resource', 'action', 'description'],
           through: { attributes: ['granted_at'] }
+        }, {
+          model: Role,
+          as: 'parent',
+          attributes: ['id', 'name', 'display_name']
         }]
       });
 
@@ -121,12 +190,40 @@ class RBACController {
     }
   }
 
+  /**
+   * Get the effective permissions of a role, including inherited ones and where each comes from
+   */
+  async getRoleEffectivePermissions(req, res) {
+    try {
+      const effective = await rbacService.getEffectivePermissions(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Effective permissions retrieved successfully',
+        data: effective
+      });
+    } catch (error) {
+      if (error.message === 'Role not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      logService.error('Error in getRoleEffectivePermissions:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to retrieve effective permissions'
+      });
+    }
+  }
+
   /**
    * Create new role
    */
   async createRole(req, res) {
     try {
-      const { name, display_name, description, permission_ids = [] } = req.body;
+      const { name, display_name, description, requires_two_factor = false, parent_role_id = null, permission_ids = [] } = req.body;
       const userId = req.user.id;
 
       // Check if role already exists
@@ -138,11 +235,24 @@ class RBACController {
         });
       }
 
+      if (parent_role_id) {
+        try {
+          await rbacService.validateParentRole(null, parent_role_id);
+        } catch (parentError) {
+          return res.status(400).json({
+            success: false,
+            message: parentError.message
+          });
+        }
+      }
+
       // Create role
       const role = await Role.create({
         name,
         display_name,
         description,
+        requires_two_factor,
+        parent_role_id,
         is_system: false
       });
 
@@ -193,9 +303,30 @@ class RBACController {
    * Update role
    */
   async updateRole(req, res) {
+    try {
+      const role = await rbacService.updateRole(req.params.id, req.body, req.user.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Role updated successfully',
+        data: { role }
+      });
+    } catch (error) {
+      logService.error('Error in updateRole:', error);
+      res.status(error.message === 'Role not found' ? 404 : 400).json({
+        success: false,
+        message: error.message || 'Failed to update role'
+      });
+    }
+  }
+
+  /**
+   * Set whether a role requires two-factor authentication
+   */
+  async setRoleTwoFactor(req, res) {
     try {
       const { id } = req.params;
-      const { name, display_name, description, permission_ids } = req.body;
+      const { requires_two_factor } = req.body;
       const userId = req.user.id;
 
       const role = await Role.findByPk(id);
@@ -206,61 +337,27 @@ class RBACController {
         });
       }
 
-      // Prevent modification of system roles
-      if (role.is_system) {
-        return res.status(400).json({
-          success: false,
-          message: 'Cannot modify system roles'
-        });
-      }
-
-      // Update role details
-      const updateData = {};
-      if (name !== undefined) updateData.name = name;
-      if (display_name !== undefined) updateData.display_name = display_name;
-      if (description !== undefined) updateData.description = description;
-
-      await role.update(updateData);
+      await role.update({ requires_two_factor });
 
-      // Update permissions if provided
-      if (permission_ids !== undefined) {
-        const permissions = await Permission.findAll({
-          where: { id: { [Op.in]: permission_ids }, is_active: true }
-        });
-        
-        await role.setPermissions(permissions);
-        
-        // Update granted_by for new permissions
-        for (const permission of permissions) {
-          await RolePermission.update(
-            { granted_by: userId },
-            { where: { role_id: role.id, permission_id: permission.id } }
-          );
-        }
-      }
-
-      // Fetch updated role with permissions
-      const updatedRole = await Role.findByPk(id, {
-        include: [{
-          model: Permission,
-          as: 'permissions',
-          attributes: ['id', 'name', 'display_name', 'resource', 'action'],
-          through: { attributes: [] }
-        }]
+      logService.logSecurity('role_two_factor_requirement_changed', {
+        roleId: id,
+        roleName: role.name,
+        requiresTwoFactor: requires_two_factor,
+        userId
       });
 
-      logService.info('Role updated', { roleId: id, userId, fields: Object.keys(updateData) });
-
       res.status(200).json({
         success: true,
-        message: 'Role updated successfully',
-        data: { role: updatedRole }
+        message: requires_two_factor
+          ? 'Two-factor authentication is now required for this role'
+          : 'Two-factor authentication is no longer required for this role',
+        data: { role }
       });
     } catch (error) {
-      logService.error('Error in updateRole:', error);
+      logService.error('Error in setRoleTwoFactor:', error);
       res.status(500).json({
         success: false,
-        message: error.message || 'Failed to update role'
+        message: error.message || 'Failed to update role two-factor requirement'
       });
     }
   }
@@ -301,6 +398,14 @@ class RBACController {
         });
       }
 
+      const childCount = await Role.count({ where: { parent_role_id: id } });
+      if (childCount > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Cannot delete role: ${childCount} roles inherit from this role`
+        });
+      }
+
       await role.destroy();
       logService.info('Role deleted', { roleId: id, roleName: role.name, userId });
 
@@ -364,15 +469,124 @@ class RBACController {
     }
   }
 
+  /**
+   * Create a custom permission
+   */
+  async createPermission(req, res) {
+    try {
+      const permission = await rbacService.createPermission(req.body, req.user.id);
+
+      res.status(201).json({
+        success: true,
+        message: 'Permission created successfully',
+        data: { permission }
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: error.message || 'Failed to create permission'
+      });
+    }
+  }
+
+  /**
+   * Grant permissions to a role
+   */
+  async grantRolePermissions(req, res) {
+    try {
+      const { permission_ids, conditions } = req.body;
+      const role = await rbacService.grantPermissions(req.params.id, permission_ids, req.user.id, { conditions });
+
+      res.status(200).json({
+        success: true,
+        message: 'Permissions granted successfully',
+        data: { role }
+      });
+    } catch (error) {
+      res.status(error.message === 'Role not found' ? 404 : 400).json({
+        success: false,
+        message: error.message || 'Failed to grant permissions'
+      });
+    }
+  }
+
+  /**
+   * Replace the permission set of a role
+   */
+  async replaceRolePermissions(req, res) {
+    try {
+      const role = await rbacService.replacePermissions(req.params.id, req.body.permission_ids, req.user.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Role permissions replaced successfully',
+        data: { role }
+      });
+    } catch (error) {
+      res.status(error.message === 'Role not found' ? 404 : 400).json({
+        success: false,
+        message: error.message || 'Failed to replace role permissions'
+      });
+    }
+  }
+
+  /**
+   * Revoke a permission from a role
+   */
+  async revokeRolePermission(req, res) {
+    try {
+      const role = await rbacService.revokePermission(req.params.id, req.params.permissionId, req.user.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Permission revoked successfully',
+        data: { role }
+      });
+    } catch (error) {
+      res.status(error.message === 'Role not found' ? 404 : 400).json({
+        success: false,
+        message: error.message || 'Failed to revoke permission'
+      });
+    }
+  }
+
+  /**
+   * Set or clear the conditions of a role permission
+   */
+  async setRolePermissionConditions(req, res) {
+    try {
+      const role = await rbacService.setPermissionConditions(
+        req.params.id,
+        req.params.permissionId,
+        req.body.conditions,
+        req.user.id
+      );
+
+      res.status(200).json({
+        success: true,
+        message: 'Permission conditions updated successfully',
+        data: { role }
+      });
+    } catch (error) {
+      res.status(error.message === 'Role not found' ? 404 : 400).json({
+        success: false,
+        message: error.message || 'Failed to update permission conditions'
+      });
+    }
+  }
+
   /**
    * Assign role to user
    */
   async assignRoleToUser(req, res) {
     try {
-      const { user_id, role_name } = req.body;
+      const { user_id, role_name, expires_at, conditions } = req.body;
       const assignedBy = req.user.id;
 
-      const userRole = await rbacService.assignRole(user_id, role_name, assignedBy);
+      const userRole = await rbacService.assignRole(user_id, role_name, assignedBy, {
+        expiresAt: expires_at,
+        conditions
+      });
 
       res.status(200).json({
         success: true,
@@ -418,13 +632,15 @@ class RBACController {
       const { user_id } = req.params;
 
       const permissions = await rbacService.getUserPermissions(user_id);
+      const conditionalPermissions = await rbacService.getConditionalPermissions(user_id);
 
       res.status(200).json({
         success: true,
         message: 'User permissions retrieved successfully',
         data: { 
           user_id,
-          permissions 
+          permissions,
+          conditional_permissions: conditionalPermissions
         }
       });
     } catch (error) {
@@ -443,7 +659,7 @@ class RBACController {
     try {
       const { user_id, permission } = req.body;
 
-      const hasPermission = await rbacService.hasPermission(user_id, permission);
+      const grantedBy = await rbacService.findGrantingPermission(user_id, permission);
 
       res.status(200).json({
         success: true,
@@ -451,7 +667,8 @@ class RBACController {
         data: { 
           user_id,
           permission,
-          has_permission: hasPermission
+          has_permission: grantedBy !== null,
+          granted_by: grantedBy
         }
       });
     } catch (error) {
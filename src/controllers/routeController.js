@@ -1,5 +1,61 @@
+const path = require('path');
 const routeService = require('../services/routeService');
+const routeGeoService = require('../services/routeGeoService');
+const geoSearchService = require('../services/geoSearchService');
 const logService = require('../services/logService');
+const { canAccessResource, toPlainResource } = require('../middleware/rbac');
+const { parsePagination, buildPaginationResponse } = require('../utils/helpers');
+const { SUPPORTED_LANGUAGES } = require('../utils/constants');
+
+/**
+ * Whether a request value is a revision number (positive integer)
+ * @param {string} value - Path or query parameter
+ * @returns {boolean} - Validity
+ */
+const isRevisionNumber = (value) => /^[1-9][0-9]*$/.test(String(value));
+
+/**
+ * Parse the GeoJSON/GPX file of an import request (multipart 'file' or JSON 'data'),
+ * answering 400 when it is missing, unreadable or has invalid points
+ * @returns {Object|null} - Parsed name and waypoints, or null when a response was sent
+ */
+const parseRouteFile = (req, res) => {
+  let { data, format } = req.body;
+  if (req.file) {
+    data = req.file.buffer;
+    format = format || (path.extname(req.file.originalname).toLowerCase() === '.gpx' ? 'gpx' : 'geojson');
+  }
+
+  if (!data) {
+    res.status(400).json({
+      success: false,
+      message: 'A GeoJSON or GPX file is required (multipart field "file" or JSON field "data")'
+    });
+    return null;
+  }
+
+  let parsed;
+  try {
+    parsed = routeGeoService.parseWaypoints(data, format);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+    return null;
+  }
+
+  if (parsed.errors.length > 0) {
+    res.status(400).json({
+      success: false,
+      message: 'Route file contains invalid points',
+      errors: parsed.errors
+    });
+    return null;
+  }
+
+  return parsed;
+};
 
 class RouteController {
   /**
@@ -78,31 +134,116 @@ class RouteController {
   }
 
   /**
-   * Update route
+   * Create a route from a GeoJSON LineString or GPX track
    */
-  async updateRoute(req, res) {
+  async importRoute(req, res) {
+    try {
+      const parsed = parseRouteFile(req, res);
+      if (!parsed) return;
+
+      const { location, transport_name, status } = req.body;
+      const name = req.body.name || (parsed.name && parsed.name.slice(0, 100));
+      if (!name) {
+        return res.status(400).json({
+          success: false,
+          message: 'Route name is required when the file does not name the route'
+        });
+      }
+
+      const route = await routeService.createRoute({
+        name,
+        location,
+        transport_name,
+        status,
+        waypoints: parsed.waypoints
+      }, req.user.id);
+
+      res.status(201).json({
+        success: true,
+        message: 'Route imported successfully',
+        data: { route }
+      });
+    } catch (error) {
+      logService.error('Error in importRoute:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to import route'
+      });
+    }
+  }
+
+  /**
+   * Replace the waypoints of a route with those of a GeoJSON or GPX file
+   */
+  async importRouteWaypoints(req, res) {
+    try {
+      const parsed = parseRouteFile(req, res);
+      if (!parsed) return;
+
+      // Existence and creator-or-admin access are checked by requirePermission (req.resource)
+      const route = await routeService.replaceWaypoints(req.params.id, parsed.waypoints, req.user.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Route waypoints imported successfully',
+        data: { route }
+      });
+    } catch (error) {
+      logService.error('Error in importRouteWaypoints:', error);
+      res.status(error.message === 'Route not found' ? 404 : 500).json({
+        success: false,
+        message: error.message || 'Failed to import route waypoints'
+      });
+    }
+  }
+
+  /**
+   * Download a route as GeoJSON, GPX or KML
+   */
+  async exportRoute(req, res) {
     try {
       const { id } = req.params;
-      const updateData = req.body;
-      const userId = req.user.id;
+      const format = req.query.format || 'geojson';
 
-      // Check if route exists
-      const existingRoute = await routeService.getRouteById(id);
-      if (!existingRoute) {
-        return res.status(404).json({
+      if (!routeGeoService.getExportFormats().includes(format)) {
+        return res.status(400).json({
           success: false,
-          message: 'Route not found'
+          message: `Format must be one of: ${routeGeoService.getExportFormats().join(', ')}`
         });
       }
 
-      // Check authorization: route creator or admin can update
-      if (req.user.rol !== 'admin' && existingRoute.created_by !== userId) {
-        return res.status(403).json({
+      const route = await routeService.getRouteById(id);
+      if (!route) {
+        return res.status(404).json({
           success: false,
-          message: 'Insufficient permissions to update this route'
+          message: 'Route not found'
         });
       }
 
+      const file = routeGeoService.exportRoute(route, format);
+
+      res.set('Content-Type', file.contentType);
+      res.set('Content-Disposition', `attachment; filename="${file.fileName}"`);
+      res.status(200).send(file.content);
+    } catch (error) {
+      logService.error('Error in exportRoute:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to export route'
+      });
+    }
+  }
+
+  /**
+   * Update route
+   */
+  async updateRoute(req, res) {
+    try {
+      const { id } = req.params;
+      const updateData = req.body;
+      const userId = req.user.id;
+
+      // Existence and creator-or-admin access are checked by requirePermission (req.resource)
       const updatedRoute = await routeService.updateRoute(id, updateData, userId);
 
       res.status(200).json({
@@ -127,34 +268,221 @@ class RouteController {
       const { id } = req.params;
       const userId = req.user.id;
 
-      // Check if route exists
-      const existingRoute = await routeService.getRouteById(id);
-      if (!existingRoute) {
-        return res.status(404).json({
+      // Existence and creator-or-admin access are checked by requirePermission (req.resource)
+      await routeService.deleteRoute(id, userId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Route deleted successfully'
+      });
+    } catch (error) {
+      logService.error('Error in deleteRoute:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to delete route'
+      });
+    }
+  }
+
+  /**
+   * Add waypoints to a route (appended, or inserted at position)
+   */
+  async addRouteWaypoints(req, res) {
+    try {
+      const { id } = req.params;
+      const { waypoints, position } = req.body;
+
+      // Existence and creator-or-admin access are checked by requirePermission (req.resource)
+      const route = await routeService.addWaypoints(id, waypoints, req.user.id, position);
+
+      res.status(201).json({
+        success: true,
+        message: 'Route waypoints added successfully',
+        data: { route }
+      });
+    } catch (error) {
+      logService.error('Error in addRouteWaypoints:', error);
+      res.status(error.message === 'Route not found' ? 404 : 400).json({
+        success: false,
+        message: error.message || 'Failed to add route waypoints'
+      });
+    }
+  }
+
+  /**
+   * Replace every waypoint of a route
+   */
+  async replaceRouteWaypoints(req, res) {
+    try {
+      const { id } = req.params;
+
+      // Existence and creator-or-admin access are checked by requirePermission (req.resource)
+      const route = await routeService.replaceWaypoints(id, req.body.waypoints, req.user.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Route waypoints replaced successfully',
+        data: { route }
+      });
+    } catch (error) {
+      logService.error('Error in replaceRouteWaypoints:', error);
+      res.status(error.message === 'Route not found' ? 404 : 400).json({
+        success: false,
+        message: error.message || 'Failed to replace route waypoints'
+      });
+    }
+  }
+
+  /**
+   * Reorder the waypoints of a route
+   */
+  async reorderRouteWaypoints(req, res) {
+    try {
+      const { id } = req.params;
+
+      // Existence and creator-or-admin access are checked by requirePermission (req.resource)
+      const route = await routeService.reorderWaypoints(id, req.body.waypoint_ids, req.user.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Route waypoints reordered successfully',
+        data: { route }
+      });
+    } catch (error) {
+      logService.error('Error in reorderRouteWaypoints:', error);
+      res.status(error.message === 'Route not found' ? 404 : 400).json({
+        success: false,
+        message: error.message || 'Failed to reorder route waypoints'
+      });
+    }
+  }
+
+  /**
+   * Get the revisions of a route, newest first
+   */
+  async getRouteRevisions(req, res) {
+    try {
+      const { id } = req.params;
+      const { page, limit } = parsePagination(req.query);
+
+      // Existence and creator-or-admin access are checked by requirePermission (req.resource)
+      const { revisions, total } = await routeService.getRevisions(id, { page, limit });
+
+      res.status(200).json({
+        success: true,
+        message: 'Route revisions retrieved successfully',
+        data: {
+          revisions,
+          pagination: buildPaginationResponse(page, limit, total)
+        }
+      });
+    } catch (error) {
+      logService.error('Error in getRouteRevisions:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to retrieve route revisions'
+      });
+    }
+  }
+
+  /**
+   * Get one revision of a route with its snapshot
+   */
+  async getRouteRevision(req, res) {
+    try {
+      const { id, rev } = req.params;
+
+      if (!isRevisionNumber(rev)) {
+        return res.status(400).json({
           success: false,
-          message: 'Route not found'
+          message: 'Revision must be a positive integer'
         });
       }
 
-      // Check authorization: route creator or admin can delete
-      if (req.user.rol !== 'admin' && existingRoute.created_by !== userId) {
-        return res.status(403).json({
+      const revision = await routeService.getRevision(id, parseInt(rev));
+
+      res.status(200).json({
+        success: true,
+        message: 'Route revision retrieved successfully',
+        data: { revision }
+      });
+    } catch (error) {
+      logService.error('Error in getRouteRevision:', error);
+      res.status(error.message === 'Revision not found' ? 404 : 500).json({
+        success: false,
+        message: error.message || 'Failed to retrieve route revision'
+      });
+    }
+  }
+
+  /**
+   * Diff two revisions of a route (?from=&to=, to defaults to the latest)
+   */
+  async diffRouteRevisions(req, res) {
+    try {
+      const { id } = req.params;
+      const { from, to } = req.query;
+
+      if (!isRevisionNumber(from) || (to !== undefined && !isRevisionNumber(to))) {
+        return res.status(400).json({
           success: false,
-          message: 'Insufficient permissions to delete this route'
+          message: 'from (and to, when given) must be positive revision numbers'
         });
       }
 
-      await routeService.deleteRoute(id, userId);
+      const diff = await routeService.diffRevisions(id, parseInt(from), to !== undefined ? parseInt(to) : null);
 
       res.status(200).json({
         success: true,
-        message: 'Route deleted successfully'
+        message: 'Route revision diff retrieved successfully',
+        data: { diff }
       });
     } catch (error) {
-      logService.error('Error in deleteRoute:', error);
-      res.status(500).json({
+      logService.error('Error in diffRouteRevisions:', error);
+      res.status(error.message === 'Revision not found' ? 404 : 500).json({
         success: false,
-        message: error.message || 'Failed to delete route'
+        message: error.message || 'Failed to diff route revisions'
+      });
+    }
+  }
+
+  /**
+   * Restore a route to one of its revisions (recorded as a new revision)
+   */
+  async restoreRouteRevision(req, res) {
+    try {
+      const { id, rev } = req.params;
+
+      if (!isRevisionNumber(rev)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Revision must be a positive integer'
+        });
+      }
+
+      // Existence and creator-or-admin access are checked by requirePermission (req.resource);
+      // the restored fields must pass the same check, as with checkChanges on updates
+      const route = await routeService.restoreRevision(id, parseInt(rev), req.user.id, {
+        authorize: (fields) => canAccessResource(req, 'route.update', 'Route',
+          { ...toPlainResource(req.resource), ...fields }, { allowOwner: true })
+      });
+
+      res.status(200).json({
+        success: true,
+        message: `Route restored to revision ${rev}`,
+        data: { route }
+      });
+    } catch (error) {
+      logService.error('Error in restoreRouteRevision:', error);
+      let statusCode = 400;
+      if (['Route not found', 'Revision not found'].includes(error.message)) {
+        statusCode = 404;
+      } else if (error.message === 'Insufficient permissions to restore this revision') {
+        statusCode = 403;
+      }
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to restore route revision'
       });
     }
   }
@@ -263,23 +591,7 @@ class RouteController {
     try {
       const { id } = req.params;
 
-      // Check if route exists
-      const route = await routeService.getRouteById(id);
-      if (!route) {
-        return res.status(404).json({
-          success: false,
-          message: 'Route not found'
-        });
-      }
-
-      // Check authorization: route creator or admin can view analytics
-      if (req.user.rol !== 'admin' && route.created_by !== req.user.id) {
-        return res.status(403).json({
-          success: false,
-          message: 'Insufficient permissions to view route analytics'
-        });
-      }
-
+      // Existence and creator-or-admin access are checked by requirePermission (req.resource)
       const analytics = await routeService.getRouteAnalytics(id);
 
       res.status(200).json({
@@ -348,6 +660,94 @@ class RouteController {
     }
   }
 
+  /**
+   * Get the active routes starting nearest to the caller (lat, lng) with a voice guide in their
+   * language, with the distance and bearing to each start
+   */
+  async getNearbyRoutes(req, res) {
+    try {
+      const { lat, lng, language } = req.query;
+      const { latitude, longitude, radiusKm, page, limit, issues } = geoSearchService.parseNearbyQuery({
+        ...req.query,
+        latitude: lat,
+        longitude: lng
+      });
+
+      if (language !== undefined && !Object.values(SUPPORTED_LANGUAGES).includes(language)) {
+        issues.push(`Language must be one of: ${Object.values(SUPPORTED_LANGUAGES).join(', ')}`);
+      }
+
+      if (issues.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid location search',
+          errors: issues
+        });
+      }
+
+      const nearby = await routeService.findNearestRoutes({
+        latitude,
+        longitude,
+        radiusKm,
+        page,
+        limit,
+        language,
+        userId: req.user ? req.user.id : null
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Nearby routes retrieved successfully',
+        data: {
+          routes: nearby.routes,
+          search: { latitude, longitude, radius_km: nearby.radiusKm, language: nearby.language },
+          pagination: buildPaginationResponse(page, limit, nearby.total)
+        }
+      });
+    } catch (error) {
+      logService.error('Error in getNearbyRoutes:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to retrieve nearby routes'
+      });
+    }
+  }
+
+  /**
+   * Get waypoints of active routes near a point, nearest first, with distance_km
+   */
+  async getNearbyWaypoints(req, res) {
+    try {
+      const { latitude, longitude, radiusKm, page, limit, issues } = geoSearchService.parseNearbyQuery(req.query);
+
+      if (issues.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid location search',
+          errors: issues
+        });
+      }
+
+      const nearby = await routeService.findNearbyWaypoints({ latitude, longitude, radiusKm, page, limit });
+
+      res.status(200).json({
+        success: true,
+        message: 'Nearby waypoints retrieved successfully',
+        data: {
+          waypoints: nearby.waypoints,
+          search: { latitude, longitude, radius_km: nearby.radiusKm },
+          pagination: buildPaginationResponse(page, limit, nearby.total)
+        }
+      });
+    } catch (error) {
+      logService.error('Error in getNearbyWaypoints:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to retrieve nearby waypoints'
+      });
+    }
+  }
+
   /**
    * Get route statistics
    */
@@ -1,5 +1,7 @@
 const { TouristRegistration, User } = require('../models');
 const logService = require('../services/logService');
+const geoSearchService = require('../services/geoSearchService');
+const { buildPaginationResponse } = require('../utils/helpers');
 const { Op } = require('sequelize');
 
 class TouristController {
@@ -25,8 +27,8 @@ class TouristController {
         ];
       }
 
-      // For regular users, only show their own registrations
-      if (req.user.rol !== 'admin') {
+      // For regular users, only show their own registrations (API keys are scoped by tourist.read)
+      if (!req.apiKey && req.user.rol !== 'admin') {
         whereClause.created_by = req.user.id;
       }
 
@@ -71,32 +73,8 @@ class TouristController {
    */
   async getTouristRegistrationById(req, res) {
     try {
-      const { id } = req.params;
-      
-      const registration = await TouristRegistration.findByPk(id, {
-        include: [
-          {
-            model: User,
-            as: 'creator',
-            attributes: ['id']
-          }
-        ]
-      });
-
-      if (!registration) {
-        return res.status(404).json({
-          success: false,
-          message: 'Tourist registration not found'
-        });
-      }
-
-      // Check authorization: registration creator or admin can view
-      if (req.user.rol !== 'admin' && registration.created_by !== req.user.id) {
-        return res.status(403).json({
-          success: false,
-          message: 'Insufficient permissions to view this registration'
-        });
-      }
+      // Loaded, and tourist.read or creator access checked, by requirePermission
+      const registration = req.resource;
 
       res.status(200).json({
         success: true,
@@ -185,22 +163,8 @@ class TouristController {
       const { destination_place, name, description, latitude, longitude, status } = req.body;
       const userId = req.user.id;
 
-      // Check if registration exists
-      const existingRegistration = await TouristRegistration.findByPk(id);
-      if (!existingRegistration) {
-        return res.status(404).json({
-          success: false,
-          message: 'Tourist registration not found'
-        });
-      }
-
-      // Check authorization: registration creator or admin can update
-      if (req.user.rol !== 'admin' && existingRegistration.created_by !== userId) {
-        return res.status(403).json({
-          success: false,
-          message: 'Insufficient permissions to update this registration'
-        });
-      }
+      // Loaded, and creator-or-admin access checked, by requirePermission
+      const existingRegistration = req.resource;
 
       // Validate coordinates if provided
       if (latitude !== undefined && (latitude < -90 || latitude > 90)) {
@@ -225,18 +189,8 @@ class TouristController {
       if (longitude !== undefined) updates.longitude = longitude;
       if (status !== undefined) updates.status = status;
 
-      await existingRegistration.update(updates);
-
-      // Get updated registration with associations
-      const updatedRegistration = await TouristRegistration.findByPk(id, {
-        include: [
-          {
-            model: User,
-            as: 'creator',
-            attributes: ['id']
-          }
-        ]
-      });
+      // The loaded registration already includes its creator
+      const updatedRegistration = await existingRegistration.update(updates);
 
       logService.info('Tourist registration updated', { 
         registrationId: id, 
@@ -266,22 +220,8 @@ class TouristController {
       const { id } = req.params;
       const userId = req.user.id;
 
-      // Check if registration exists
-      const existingRegistration = await TouristRegistration.findByPk(id);
-      if (!existingRegistration) {
-        return res.status(404).json({
-          success: false,
-          message: 'Tourist registration not found'
-        });
-      }
-
-      // Check authorization: registration creator or admin can delete
-      if (req.user.rol !== 'admin' && existingRegistration.created_by !== userId) {
-        return res.status(403).json({
-          success: false,
-          message: 'Insufficient permissions to delete this registration'
-        });
-      }
+      // Loaded, and creator-or-admin access checked, by requirePermission
+      const existingRegistration = req.resource;
 
       // Soft delete by updating status
       await existingRegistration.update({ status: 'inactive' });
@@ -401,34 +341,31 @@ class TouristController {
   }
 
   /**
-   * Get tourist registrations by location
+   * Get active tourist registrations near a point, nearest first, with distance_km
    */
   async getTouristRegistrationsByLocation(req, res) {
     try {
-      const { latitude, longitude, radius = 10 } = req.query;
+      const { latitude, longitude, radiusKm, page, limit, issues } = geoSearchService.parseNearbyQuery(req.query);
 
-      if (!latitude || !longitude) {
+      if (issues.length > 0) {
         return res.status(400).json({
           success: false,
-          message: 'Latitude and longitude are required'
+          message: 'Invalid location search',
+          errors: issues
         });
       }
 
-      const lat = parseFloat(latitude);
-      const lng = parseFloat(longitude);
-      const rad = parseFloat(radius) / 111; // Convert km to degrees (approximate)
+      const nearby = await geoSearchService.findNearby('tourist_registrations', {
+        latitude,
+        longitude,
+        radiusKm,
+        page,
+        limit,
+        where: { status: 'active' }
+      });
 
       const registrations = await TouristRegistration.findAll({
-        where: {
-          status: 'active',
-          latitude: {
-            [Op.between]: [lat - rad, lat + rad]
-          },
-          longitude: {
-            [Op.between]: [lng - rad, lng + rad]
-          }
-        },
-        order: [['created_at', 'DESC']],
+        where: { id: nearby.results.map(result => result.id) },
         include: [
           {
             model: User,
@@ -441,7 +378,11 @@ class TouristController {
       res.status(200).json({
         success: true,
         message: 'Tourist registrations by location retrieved successfully',
-        data: { tourist_registrations: registrations }
+        data: {
+          tourist_registrations: geoSearchService.attachDistances(nearby.results, registrations),
+          search: { latitude, longitude, radius_km: nearby.radiusKm },
+          pagination: buildPaginationResponse(page, limit, nearby.total)
+        }
       });
     } catch (error) {
       logService.error('Error in getTouristRegistrationsByLocation:', error);
@@ -1,4 +1,7 @@
 const userService = require('../services/userService');
+const authService = require('../services/authService');
+const sessionService = require('../services/sessionService');
+const loginThrottleService = require('../services/loginThrottleService');
 const logService = require('../services/logService');
 
 class UserController {
@@ -300,6 +303,170 @@ class UserController {
     }
   }
 
+  /**
+   * Get a user's active sessions (Admin)
+   */
+  async getUserSessions(req, res) {
+    try {
+      const { id } = req.params;
+
+      const user = await authService.findUserById(id);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      const sessions = await sessionService.listUserSessions(id);
+
+      res.status(200).json({
+        success: true,
+        message: 'User sessions retrieved successfully',
+        data: { sessions }
+      });
+    } catch (error) {
+      logService.error('Error in getUserSessions:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to retrieve user sessions'
+      });
+    }
+  }
+
+  /**
+   * Revoke one session of a user (Admin)
+   */
+  async revokeUserSession(req, res) {
+    try {
+      const { id, sessionId } = req.params;
+
+      const revoked = await sessionService.revokeUserSession(id, sessionId, 'revoked_by_admin');
+      if (!revoked) {
+        return res.status(404).json({
+          success: false,
+          message: 'Session not found'
+        });
+      }
+
+      logService.logSecurity('session_revoked_by_admin', {
+        userId: id,
+        sessionId,
+        adminId: req.user.id
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Session revoked successfully'
+      });
+    } catch (error) {
+      logService.error('Error in revokeUserSession:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to revoke session'
+      });
+    }
+  }
+
+  /**
+   * Revoke all sessions of a user (Admin)
+   */
+  async revokeAllUserSessions(req, res) {
+    try {
+      const { id } = req.params;
+
+      const user = await authService.findUserById(id);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      const count = await sessionService.revokeAllUserSessions(id, 'revoked_by_admin');
+
+      logService.logSecurity('sessions_revoked_by_admin', {
+        userId: id,
+        adminId: req.user.id,
+        count
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'User sessions revoked successfully',
+        data: { revoked: count }
+      });
+    } catch (error) {
+      logService.error('Error in revokeAllUserSessions:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to revoke user sessions'
+      });
+    }
+  }
+
+  /**
+   * Get login lockout state of a user (admin only)
+   */
+  async getUserLockout(req, res) {
+    try {
+      const { id } = req.params;
+
+      const user = await authService.findUserById(id);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      const lockout = await loginThrottleService.getAccountStatus(id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Login lockout status retrieved successfully',
+        data: { lockout }
+      });
+    } catch (error) {
+      logService.error('Error in getUserLockout:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to retrieve login lockout status'
+      });
+    }
+  }
+
+  /**
+   * Clear failed logins and lift a lockout (admin only)
+   */
+  async unlockUser(req, res) {
+    try {
+      const { id } = req.params;
+
+      const user = await authService.findUserById(id);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      const cleared = await loginThrottleService.unlockAccount(id, req.user.id);
+
+      res.status(200).json({
+        success: true,
+        message: cleared ? 'User account unlocked successfully' : 'User account was not locked',
+        data: { cleared }
+      });
+    } catch (error) {
+      logService.error('Error in unlockUser:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to unlock user account'
+      });
+    }
+  }
+
   /**
    * Search users
    */
@@ -314,12 +481,12 @@ class UserController {
         });
       }
 
-      const users = await userService.searchUsers(searchTerm.trim(), options);
+      const result = await userService.searchUsers(searchTerm.trim(), options);
 
       res.status(200).json({
         success: true,
         message: 'Users search completed successfully',
-        data: { users }
+        data: result
       });
     } catch (error) {
       logService.error('Error in searchUsers:', error);
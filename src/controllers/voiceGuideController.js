@@ -1,6 +1,11 @@
 const { Route } = require('../models');
+const VoiceGuide = require('../models/nosql/VoiceGuide');
+const routeService = require('../services/routeService');
 const logService = require('../services/logService');
 
+// Changing any of these re-records the guide against the current route revision
+const RECORDED_FIELDS = ['audio_file_url', 'transcription', 'segments'];
+
 class VoiceGuideController {
   /**
    * Get all voice guides with pagination and filtering
@@ -108,6 +113,7 @@ class VoiceGuideController {
 
       const voiceGuide = new VoiceGuide({
         ...voiceGuideData,
+        route_revision: await routeService.getCurrentRevision(route.id),
         usage_stats: {
           play_count: 0,
           completion_rate: 0,
@@ -147,41 +153,18 @@ class VoiceGuideController {
       const updateData = req.body;
       const userId = req.user.id;
 
-      // Check if voice guide exists
-      const existingGuide = await VoiceGuide.findById(id);
-      if (!existingGuide) {
-        return res.status(404).json({
-          success: false,
-          message: 'Voice guide not found'
-        });
-      }
-
-      // Verify route ownership
-      const route = await Route.findByPk(existingGuide.route_id);
-      if (!route) {
-        return res.status(404).json({
-          success: false,
-          message: 'Associated route not found'
-        });
-      }
+      // Loaded, and route-creator-or-admin access checked, by requirePermission
+      const updatedGuide = req.resource;
 
-      // Check authorization: route creator or admin can update
-      if (req.user.rol !== 'admin' && route.created_by !== userId) {
-        return res.status(403).json({
-          success: false,
-          message: 'Insufficient permissions to update this voice guide'
-        });
+      // Update the voice guide, pinning it to the route revision it is now recorded against
+      updatedGuide.set({
+        ...updateData,
+        updated_at: new Date()
+      });
+      if (RECORDED_FIELDS.some(field => updateData[field] !== undefined)) {
+        updatedGuide.route_revision = await routeService.getCurrentRevision(updatedGuide.route_id);
       }
-
-      // Update the voice guide
-      const updatedGuide = await VoiceGuide.findByIdAndUpdate(
-        id,
-        { 
-          ...updateData,
-          updated_at: new Date()
-        },
-        { new: true }
-      );
+      await updatedGuide.save();
 
       logService.info('Voice guide updated', { 
         voiceGuideId: id, 
@@ -211,33 +194,8 @@ class VoiceGuideController {
       const { id } = req.params;
       const userId = req.user.id;
 
-      // Check if voice guide exists
-      const existingGuide = await VoiceGuide.findById(id);
-      if (!existingGuide) {
-        return res.status(404).json({
-          success: false,
-          message: 'Voice guide not found'
-        });
-      }
-
-      // Verify route ownership
-      const route = await Route.findByPk(existingGuide.route_id);
-      if (!route) {
-        return res.status(404).json({
-          success: false,
-          message: 'Associated route not found'
-        });
-      }
-
-      // Check authorization: route creator or admin can delete
-      if (req.user.rol !== 'admin' && route.created_by !== userId) {
-        return res.status(403).json({
-          success: false,
-          message: 'Insufficient permissions to delete this voice guide'
-        });
-      }
-
-      await VoiceGuide.findByIdAndDelete(id);
+      // Loaded, and route-creator-or-admin access checked, by requirePermission
+      await req.resource.deleteOne();
 
       logService.info('Voice guide deleted', { voiceGuideId: id, userId });
 
@@ -362,31 +320,8 @@ class VoiceGuideController {
    */
   async getVoiceGuideAnalytics(req, res) {
     try {
-      const { id } = req.params;
-
-      const voiceGuide = await VoiceGuide.findById(id);
-      if (!voiceGuide) {
-        return res.status(404).json({
-          success: false,
-          message: 'Voice guide not found'
-        });
-      }
-
-      // Verify user can access analytics
-      const route = await Route.findByPk(voiceGuide.route_id);
-      if (!route) {
-        return res.status(404).json({
-          success: false,
-          message: 'Associated route not found'
-        });
-      }
-
-      if (req.user.rol !== 'admin' && route.created_by !== req.user.id) {
-        return res.status(403).json({
-          success: false,
-          message: 'Insufficient permissions to view analytics'
-        });
-      }
+      // Loaded, and route-creator-or-admin access checked, by requirePermission
+      const voiceGuide = req.resource;
 
       const analytics = {
         play_count: voiceGuide.usage_stats.play_count,
@@ -1,12 +1,91 @@
+const rateLimit = require('express-rate-limit');
 const authService = require('../services/authService');
+const loginThrottleService = require('../services/loginThrottleService');
+const apiKeyService = require('../services/apiKeyService');
+const rbacService = require('../services/rbacService');
 const logService = require('../services/logService');
+const config = require('../config/config');
+const { TIME, API_KEYS, RBAC } = require('../utils/constants');
+
+// Every users.rol value, including those derived from RBAC roles when ROLE_SOURCE=rbac
+const USER_ROLES = [...new Set(Object.values(RBAC.LEGACY_ROLE_MAP))];
+
+/**
+ * Whether the email verification policy blocks a user at the given level
+ * @param {Object} user - Authenticated user
+ * @param {string} level - 'content' for content creation, 'strict' for any access
+ * @returns {boolean} - True if the user must verify their email first
+ */
+const isBlockedByEmailVerification = (user, level) => {
+  const { policy } = config.emailVerification;
+
+  if (policy === 'off' || user.email_verified_at) {
+    return false;
+  }
+
+  return policy === 'strict' || level === 'content';
+};
+
+/**
+ * Respond 403 for users held back by the email verification policy
+ */
+const rejectUnverifiedEmail = (req, res) => {
+  logService.logSecurity('unverified_email_blocked', {
+    userId: req.user.id,
+    attemptedResource: req.originalUrl
+  });
+
+  return res.status(403).json({
+    success: false,
+    message: 'Please verify your email address to continue',
+    code: 'EMAIL_NOT_VERIFIED'
+  });
+};
+
+/**
+ * Attach the API key sent in X-API-Key to the request as req.apiKey
+ * @returns {Promise<boolean>} - Whether the key is valid
+ */
+const attachApiKey = async (req) => {
+  const apiKey = await apiKeyService.authenticate(req.headers['x-api-key'], { ipAddress: req.ip });
+  if (!apiKey) {
+    return false;
+  }
+
+  // API keys are not users: only permission checks (requirePermission) can grant them access
+  req.apiKey = {
+    id: apiKey.id,
+    name: apiKey.name,
+    prefix: apiKey.prefix,
+    permissions: apiKey.permissions
+  };
+  return true;
+};
 
 /**
  * Authentication middleware
- * Verifies JWT token and sets user in request
+ * Verifies JWT token (or an API key), rejects revoked sessions and sets user in request
  */
 const authenticateToken = async (req, res, next) => {
   try {
+    // Kiosks and partner apps authenticate with an API key instead of a user token
+    if (req.headers['x-api-key']) {
+      if (API_KEYS.EXCLUDED_PATHS.some(path => req.baseUrl.startsWith(path))) {
+        return res.status(401).json({
+          success: false,
+          message: 'API keys cannot be used for this endpoint'
+        });
+      }
+
+      if (!(await attachApiKey(req))) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid or expired API key'
+        });
+      }
+      return next();
+    }
+
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
 
@@ -34,8 +113,31 @@ const authenticateToken = async (req, res, next) => {
       id: decoded.userId,
       rol: decoded.rol,
       isActive: decoded.isActive,
+      sessionId: decoded.sid,
       ...user
     };
+    req.user.rol = await rbacService.getEffectiveRol(req.user);
+
+    if (!req.baseUrl.startsWith('/api/auth')) {
+      // Under the strict policy unverified users can only reach /api/auth (verify, resend, logout)
+      if (isBlockedByEmailVerification(req.user, 'strict')) {
+        return rejectUnverifiedEmail(req, res);
+      }
+
+      // Roles that require 2FA can only reach /api/auth (to enrol) until it is enabled
+      if (await rbacService.isTwoFactorSetupPending(req.user.id)) {
+        logService.logSecurity('two_factor_setup_required', {
+          userId: req.user.id,
+          attemptedResource: req.originalUrl
+        });
+
+        return res.status(403).json({
+          success: false,
+          message: 'Two-factor authentication must be enabled for your role',
+          code: 'TWO_FACTOR_SETUP_REQUIRED'
+        });
+      }
+    }
 
     next();
   } catch (error) {
@@ -74,7 +176,8 @@ const requireAdmin = (req, res, next) => {
 };
 
 /**
- * Authorization middleware for user or admin
+ * Authorization middleware for any signed-in user with a role
+ * (users without a role mapped from RBAC are rejected)
  */
 const requireUser = (req, res, next) => {
   if (!req.user) {
@@ -84,7 +187,7 @@ const requireUser = (req, res, next) => {
     });
   }
 
-  if (!['user', 'admin'].includes(req.user.rol)) {
+  if (!USER_ROLES.includes(req.user.rol)) {
     return res.status(403).json({
       success: false,
       message: 'Insufficient permissions'
@@ -94,6 +197,25 @@ const requireUser = (req, res, next) => {
   next();
 };
 
+/**
+ * Email verification middleware for content creation
+ * Applies config.emailVerification.policy to the authenticated user
+ */
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required'
+    });
+  }
+
+  if (isBlockedByEmailVerification(req.user, 'content')) {
+    return rejectUnverifiedEmail(req, res);
+  }
+
+  next();
+};
+
 /**
  * Authorization middleware for resource owner or admin
  * Checks if user owns the resource or is admin
@@ -144,6 +266,11 @@ const requireOwnerOrAdmin = (resourceIdParam = 'id', userIdField = 'created_by')
  */
 const optionalAuth = async (req, res, next) => {
   try {
+    if (req.headers['x-api-key']) {
+      await attachApiKey(req);
+      return next();
+    }
+
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1];
 
@@ -156,8 +283,10 @@ const optionalAuth = async (req, res, next) => {
           id: decoded.userId,
           rol: decoded.rol,
           isActive: decoded.isActive,
+          sessionId: decoded.sid,
           ...user
         };
+        req.user.rol = await rbacService.getEffectiveRol(req.user);
       }
     }
 
@@ -170,24 +299,73 @@ const optionalAuth = async (req, res, next) => {
 
 /**
  * Rate limiting for authentication endpoints
+ * Per-IP request cap on /api/auth, tighter than the global /api limiter
  */
-const authRateLimit = (req, res, next) => {
-  // This would typically use a proper rate limiting library like express-rate-limit
-  // For now, we'll just log the attempt
-  logService.info('Auth endpoint accessed', {
-    ip: req.ip,
-    userAgent: req.get('User-Agent'),
-    endpoint: req.originalUrl
-  });
-  
-  next();
+const authRateLimit = rateLimit({
+  windowMs: TIME.RATE_LIMIT_WINDOW,
+  max: config.bruteForce.authRequestsPerWindow,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res, next, options) => {
+    logService.logSecurity('auth_rate_limit_exceeded', {
+      ipAddress: req.ip,
+      endpoint: req.originalUrl
+    });
+
+    res.status(options.statusCode).json({
+      success: false,
+      message: 'Too many authentication requests from this IP, please try again later.',
+      error: {
+        type: 'RateLimitError',
+        code: 'RATE_LIMIT_EXCEEDED'
+      }
+    });
+  }
+});
+
+/**
+ * Brute-force protection for login
+ * Rejects attempts while the account or IP is in a progressive delay or locked out
+ */
+const loginThrottle = async (req, res, next) => {
+  try {
+    const blocked = await loginThrottleService.checkAttempt({
+      email: req.body.email,
+      ipAddress: req.ip
+    });
+
+    if (!blocked) {
+      return next();
+    }
+
+    logService.logSecurity('login_throttled', {
+      scope: blocked.scope,
+      locked: blocked.locked,
+      ipAddress: req.ip
+    });
+
+    res.set('Retry-After', String(blocked.retryAfter));
+    return res.status(429).json({
+      success: false,
+      message: blocked.locked
+        ? 'Too many failed login attempts. Account temporarily locked, please try again later'
+        : 'Too many failed login attempts. Please wait before trying again',
+      retryAfter: blocked.retryAfter
+    });
+  } catch (error) {
+    // Fail open: an unavailable throttle store must not block every login
+    logService.error('Login throttle check failed:', error);
+    next();
+  }
 };
 
 module.exports = {
   authenticateToken,
   requireAdmin,
   requireUser,
+  requireVerifiedEmail,
   requireOwnerOrAdmin,
   optionalAuth,
-  authRateLimit
+  authRateLimit,
+  loginThrottle
 };
@@ -252,6 +252,8 @@ const corsErrorHandler = (error, req, res, next) => {
  */
 const gracefulShutdown = (signal) => {
   logService.info(`Received ${signal}, shutting down gracefully...`);
+
+  require('../services/roleExpiryService').stop();
   
   // Close database connections
   const databaseService = require('../services/databaseService');
@@ -178,7 +178,7 @@ const sanitizeRequestBody = (body) => {
   const sensitiveFields = [
     'password', 'password_hash', 'currentPassword', 'newPassword',
     'token', 'access_token', 'refresh_token', 'secret', 'key',
-    'authorization', 'auth'
+    'authorization', 'auth', 'code'
   ];
   
   const sanitized = { ...body };
@@ -203,7 +203,7 @@ const sanitizeResponseBody = (body) => {
   
   const sensitiveFields = [
     'password', 'password_hash', 'token', 'access_token', 'refresh_token',
-    'secret', 'key', 'authorization', 'auth'
+    'secret', 'key', 'authorization', 'auth', 'otpauth', 'recovery'
   ];
   
   const sanitized = { ...body };
@@ -1,18 +1,224 @@
+const mongoose = require('mongoose');
+const { Route, PersonalizedMessage, TouristRegistration, User } = require('../models');
+const VoiceGuide = require('../models/nosql/VoiceGuide');
 const rbacService = require('../services/rbacService');
+const apiKeyService = require('../services/apiKeyService');
 const logService = require('../services/logService');
 
+/**
+ * Respond 403 for a user lacking the required permission
+ * @param {string} permission - Required permission
+ */
+const denyPermission = (req, res, permission) => {
+  logService.warn('Permission denied', {
+    userId: req.user.id,
+    permission,
+    resource: req.originalUrl,
+    method: req.method,
+    ip: req.ip
+  });
+
+  return res.status(403).json({
+    success: false,
+    message: 'Insufficient permissions',
+    error: {
+      type: 'AuthorizationError',
+      code: 'PERMISSION_DENIED',
+      required_permission: permission
+    }
+  });
+};
+
+/**
+ * Respond 403 for an API key lacking the required permissions
+ * @param {Array<string>} permissions - Permissions that would have granted access
+ */
+const denyApiKey = (req, res, permissions) => {
+  logService.warn('Permission denied for API key', {
+    apiKeyId: req.apiKey.id,
+    prefix: req.apiKey.prefix,
+    required_permissions: permissions,
+    resource: req.originalUrl,
+    method: req.method,
+    ip: req.ip
+  });
+
+  return res.status(403).json({
+    success: false,
+    message: 'Insufficient permissions',
+    error: {
+      type: 'AuthorizationError',
+      code: 'PERMISSION_DENIED',
+      required_permissions: permissions
+    }
+  });
+};
+
+/**
+ * How to load each resource type and find its owner, for requirePermission's allowOwner mode
+ * Each resolver has load(id) -> resource|null, getOwnerId(resource) -> user ID, notFoundMessage
+ * and optionally getAttributes(resource) -> { coordinates: { lat, lng }|null, location }, which
+ * conditional grants (area and location conditions) are evaluated against. requireCreateConditions
+ * also passes it the request body of a create, so it must only read fields the body carries.
+ */
+const ownershipResolvers = new Map();
+
+/**
+ * Register (or replace) the ownership resolver of a resource type
+ * @param {string} resourceType - Name used in requirePermission's resource option (e.g. 'Route')
+ * @param {Object} resolver - load, getOwnerId, notFoundMessage and optionally getAttributes
+ */
+const registerOwnershipResolver = (resourceType, resolver) => {
+  if (typeof resolver.load !== 'function' || typeof resolver.getOwnerId !== 'function') {
+    throw new Error('Ownership resolver must implement load(id) and getOwnerId(resource)');
+  }
+  ownershipResolvers.set(resourceType, resolver);
+};
+
+registerOwnershipResolver('Route', {
+  notFoundMessage: 'Route not found',
+  load: (id) => Route.findByPk(id),
+  getOwnerId: (route) => route.created_by,
+  getAttributes: (route) => ({ coordinates: null, location: route.location })
+});
+
+registerOwnershipResolver('PersonalizedMessage', {
+  notFoundMessage: 'Message not found',
+  load: (id) => PersonalizedMessage.findByPk(id, {
+    include: [
+      {
+        model: Route,
+        as: 'route',
+        attributes: ['id', 'name', 'location', 'transport_name']
+      },
+      {
+        model: User,
+        as: 'creator',
+        attributes: ['id']
+      }
+    ]
+  }),
+  getOwnerId: (message) => message.created_by,
+  getAttributes: async (message) => {
+    // Loaded messages include their route; a message being created (or moved) only names it
+    const route = message.route !== undefined && (!message.route || message.route.id === message.route_id)
+      ? message.route
+      : await Route.findByPk(message.route_id, { attributes: ['id', 'location'] });
+    return { coordinates: null, location: route ? route.location : null };
+  }
+});
+
+registerOwnershipResolver('TouristRegistration', {
+  notFoundMessage: 'Tourist registration not found',
+  load: (id) => TouristRegistration.findByPk(id, {
+    include: [
+      {
+        model: User,
+        as: 'creator',
+        attributes: ['id']
+      }
+    ]
+  }),
+  getOwnerId: (registration) => registration.created_by,
+  getAttributes: (registration) => {
+    const lat = parseFloat(registration.latitude);
+    const lng = parseFloat(registration.longitude);
+
+    return {
+      coordinates: Number.isFinite(lat) && Number.isFinite(lng) ? { lat, lng } : null,
+      location: registration.destination_place
+    };
+  }
+});
+
+registerOwnershipResolver('VoiceGuide', {
+  notFoundMessage: 'Voice guide not found',
+  load: (id) => (mongoose.isValidObjectId(id) ? VoiceGuide.findById(id) : null),
+  // Voice guides belong to whoever owns their route
+  getOwnerId: async (voiceGuide) => {
+    const route = await Route.findByPk(voiceGuide.route_id, { attributes: ['id', 'created_by'] });
+    return route ? route.created_by : null;
+  },
+  getAttributes: async (voiceGuide) => {
+    const route = await Route.findByPk(voiceGuide.route_id, { attributes: ['id', 'location'] });
+    return { coordinates: null, location: route ? route.location : null };
+  }
+});
+
+/**
+ * Plain copy of a loaded resource (Sequelize instance or Mongoose document)
+ * @param {Object} resource - Loaded resource
+ * @returns {Object} - Plain object
+ */
+const toPlainResource = (resource) => (typeof resource.toObject === 'function'
+  ? resource.toObject()
+  : resource.get({ plain: true }));
+
+/**
+ * Whether the caller may act on a resource: an API key holding the permission, a grant of the
+ * permission whose conditions hold for the resource, a legacy admin, or with allowOwner its owner
+ * @param {Object} req - Request with user or apiKey
+ * @param {string} permission - Required permission (e.g., 'route.update')
+ * @param {string} resourceType - Registered resource type
+ * @param {Object} resource - Resource, loaded or as a change would leave it
+ * @param {Object} options - allowOwner
+ * @returns {Promise<boolean>} - Whether access is allowed
+ */
+const canAccessResource = async (req, permission, resourceType, resource, options = {}) => {
+  const resolver = ownershipResolvers.get(resourceType);
+  if (!resolver) {
+    throw new Error(`No ownership resolver registered for '${resourceType}'`);
+  }
+
+  // API keys carry a fixed permission set and never own resources
+  if (req.apiKey) {
+    return apiKeyService.hasPermission(req.apiKey, permission);
+  }
+
+  const attributes = resolver.getAttributes
+    ? await resolver.getAttributes(resource)
+    : { coordinates: null, location: null };
+  if (await rbacService.hasPermission(req.user.id, permission, { resource: attributes })) {
+    return true;
+  }
+
+  // Legacy admins keep access to every resource, as with the per-controller checks this replaces
+  if (req.user.rol === 'admin') {
+    return true;
+  }
+
+  return Boolean(options.allowOwner) && await resolver.getOwnerId(resource) === req.user.id;
+};
+
 /**
  * Middleware to check if user has required permission
+ * With options.resource the resource named by req.params[idParam] is loaded into req.resource
+ * (404 if missing), conditional grants are checked against it, and with allowOwner its owner
+ * passes without the permission. With checkChanges the resource as the request body would
+ * leave it must pass as well, so an update cannot move it out of the caller's area or location.
  * @param {string} permission - Required permission (e.g., 'user.create')
- * @param {Object} options - Additional options
+ * @param {Object} options - allowOwner, resource (registered resource type), idParam, checkChanges
  * @returns {Function} - Express middleware function
  */
 const requirePermission = (permission, options = {}) => {
+  const { allowOwner = false, resource: resourceType = null, idParam = 'id', checkChanges = false } = options;
+
+  const resolver = resourceType && ownershipResolvers.get(resourceType);
+  if (resourceType && !resolver) {
+    throw new Error(`No ownership resolver registered for '${resourceType}'`);
+  }
+  if (allowOwner && !resolver) {
+    throw new Error('allowOwner requires a resource type');
+  }
+
   return async (req, res, next) => {
     try {
-      const { allowOwner = false, ownerField = 'created_by' } = options;
-      
-      if (!req.user || !req.user.id) {
+      // API keys carry a fixed permission set and never own resources
+      if (req.apiKey) {
+        if (!apiKeyService.hasPermission(req.apiKey, permission)) {
+          return denyApiKey(req, res, [permission]);
+        }
+      } else if (!req.user || !req.user.id) {
         return res.status(401).json({
           success: false,
           message: 'Authentication required',
@@ -23,48 +229,90 @@ const requirePermission = (permission, options = {}) => {
         });
       }
 
-      const userId = req.user.id;
-      
-      // Check if user has the required permission
-      const hasPermission = await rbacService.hasPermission(userId, permission);
-      
-      if (hasPermission) {
-        return next();
-      }
-
-      // If permission denied but allowOwner is true, check ownership
-      if (allowOwner && req.params.id) {
-        const resourceId = req.params.id;
-        
-        // This will be implemented based on the specific resource
-        // For now, we'll check if the user is the owner via the ownerField
-        if (req.body && req.body[ownerField] === userId) {
+      if (!resolver) {
+        // Check if user has the required permission
+        if (req.apiKey || await rbacService.hasPermission(req.user.id, permission)) {
           return next();
         }
-        
-        // Additional ownership check logic can be added here
-        // based on the specific resource being accessed
+        return denyPermission(req, res, permission);
       }
 
-      logService.warn('Permission denied', {
-        userId,
-        permission,
-        resource: req.originalUrl,
-        method: req.method,
-        ip: req.ip
-      });
+      const resource = await resolver.load(req.params[idParam]);
+      if (!resource) {
+        return res.status(404).json({
+          success: false,
+          message: resolver.notFoundMessage || 'Resource not found'
+        });
+      }
 
-      return res.status(403).json({
+      const candidates = [resource];
+      if (checkChanges && req.body) {
+        candidates.push({ ...toPlainResource(resource), ...req.body });
+      }
+
+      for (const candidate of candidates) {
+        if (!(await canAccessResource(req, permission, resourceType, candidate, { allowOwner }))) {
+          return denyPermission(req, res, permission);
+        }
+      }
+
+      // Store resource in request for later use
+      req.resource = resource;
+      return next();
+    } catch (error) {
+      logService.error('Error in permission check middleware:', error);
+      return res.status(500).json({
         success: false,
-        message: 'Insufficient permissions',
+        message: 'Internal server error during permission check',
         error: {
-          type: 'AuthorizationError',
-          code: 'PERMISSION_DENIED',
-          required_permission: permission
+          type: 'InternalServerError',
+          code: 'PERMISSION_CHECK_FAILED'
         }
       });
+    }
+  };
+};
+
+/**
+ * Middleware applying conditional grants (area, location, schedule) to a resource being created,
+ * described by the request body through the resource type's getAttributes
+ * (see rbacService.meetsCreateConditions)
+ * @param {string} permission - Create permission (e.g., 'route.create')
+ * @param {string} resourceType - Registered resource type
+ * @returns {Function} - Express middleware function
+ */
+const requireCreateConditions = (permission, resourceType) => {
+  const resolver = ownershipResolvers.get(resourceType);
+  if (!resolver || !resolver.getAttributes) {
+    throw new Error(`No resource attributes registered for '${resourceType}'`);
+  }
+
+  return async (req, res, next) => {
+    try {
+      if (!req.user || !req.user.id) {
+        return res.status(401).json({
+          success: false,
+          message: 'Authentication required',
+          error: {
+            type: 'AuthenticationError',
+            code: 'AUTHENTICATION_REQUIRED'
+          }
+        });
+      }
+
+      // Legacy admins are not restricted, as in requirePermission
+      if (req.user.rol === 'admin') {
+        return next();
+      }
+
+      const attributes = await resolver.getAttributes(req.body);
+      if (await rbacService.meetsCreateConditions(req.user.id, permission, { resource: attributes })) {
+        return next();
+      }
+
+      return denyPermission(req, res, permission);
     } catch (error) {
-      logService.error('Error in permission check middleware:', error);
+      logService.error('Error in create conditions middleware:', error);
       return res.status(500).json({
         success: false,
         message: 'Internal server error during permission check',
@@ -85,6 +333,13 @@ const requirePermission = (permission, options = {}) => {
 const requireAnyPermission = (permissions) => {
   return async (req, res, next) => {
     try {
+      if (req.apiKey) {
+        if (permissions.some(permission => apiKeyService.hasPermission(req.apiKey, permission))) {
+          return next();
+        }
+        return denyApiKey(req, res, permissions);
+      }
+
       if (!req.user || !req.user.id) {
         return res.status(401).json({
           success: false,
@@ -155,33 +410,16 @@ const requireRole = (roles) => {
       }
 
       const userId = req.user.id;
-      const userPermissions = await rbacService.getUserPermissions(userId);
-      
+
       // Check legacy role field for backward compatibility
       if (req.user.rol && roleArray.includes(req.user.rol)) {
         return next();
       }
 
       // Check if user has role through RBAC system
-      const { User, Role, UserRole } = require('../models');
-      const user = await User.findByPk(userId, {
-        include: [{
-          model: Role,
-          as: 'roles',
-          through: {
-            model: UserRole,
-            where: { is_active: true }
-          }
-        }]
-      });
-
-      if (user && user.roles) {
-        const userRoles = user.roles.map(role => role.name);
-        const hasRole = roleArray.some(role => userRoles.includes(role));
-        
-        if (hasRole) {
-          return next();
-        }
+      const { roles: userRoles } = await rbacService.getUserAccess(userId);
+      if (roleArray.some(role => userRoles.includes(role))) {
+        return next();
       }
 
       logService.warn('Role access denied', {
@@ -316,7 +554,11 @@ const loadUserPermissions = async (req, res, next) => {
 };
 
 module.exports = {
+  registerOwnershipResolver,
+  canAccessResource,
+  toPlainResource,
   requirePermission,
+  requireCreateConditions,
   requireAnyPermission,
   requireRole,
   requireOwnership,
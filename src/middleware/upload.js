@@ -0,0 +1,44 @@
+const path = require('path');
+const multer = require('multer');
+const { FILE_UPLOAD } = require('../utils/constants');
+
+/**
+ * Build a single-file upload middleware kept in memory (files are parsed, never stored)
+ * Multer errors other than the size limit are answered with 400 by the error handler
+ * @param {string} fieldName - Multipart field holding the file
+ * @param {Array<string>} allowedExtensions - Accepted file extensions (e.g. '.gpx')
+ * @returns {Function} - Express middleware function
+ */
+const singleFileUpload = (fieldName, allowedExtensions) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: FILE_UPLOAD.MAX_SIZE, files: 1 },
+    fileFilter: (req, file, callback) => {
+      const extension = path.extname(file.originalname).toLowerCase();
+      if (allowedExtensions.includes(extension)) {
+        return callback(null, true);
+      }
+
+      const error = new Error(`File type not allowed; expected ${allowedExtensions.join(', ')}`);
+      error.statusCode = 400;
+      callback(error);
+    }
+  }).single(fieldName);
+
+  return (req, res, next) => {
+    upload(req, res, (error) => {
+      if (error && error.name === 'MulterError' && error.code !== 'LIMIT_FILE_SIZE') {
+        error.statusCode = 400;
+      }
+      next(error);
+    });
+  };
+};
+
+// Route geometry files for /api/routes imports
+const uploadRouteFile = singleFileUpload('file', FILE_UPLOAD.ALLOWED_ROUTE_EXTENSIONS);
+
+module.exports = {
+  singleFileUpload,
+  uploadRouteFile
+};
@@ -1,5 +1,9 @@
 const Joi = require('joi');
 const logService = require('../services/logService');
+const accessConditionService = require('../services/accessConditionService');
+const { RBAC, GEOGRAPHIC } = require('../utils/constants');
+
+const TIME_OF_DAY_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
 
 /**
  * Generic validation middleware
@@ -107,6 +111,55 @@ const userSchemas = {
     })
   }),
 
+  refreshToken: Joi.object({
+    refreshToken: Joi.string().required().messages({
+      'any.required': 'Refresh token is required'
+    })
+  }),
+
+  twoFactorLogin: Joi.object({
+    challengeToken: Joi.string().required().messages({
+      'any.required': 'Two-factor challenge token is required'
+    }),
+    code: Joi.string().trim().min(6).max(20).required().messages({
+      'any.required': 'Two-factor code is required'
+    })
+  }),
+
+  twoFactorCode: Joi.object({
+    code: Joi.string().trim().min(6).max(20).required().messages({
+      'any.required': 'Two-factor code is required'
+    })
+  }),
+
+  verifyEmail: Joi.object({
+    token: Joi.string().required().messages({
+      'any.required': 'Verification token is required'
+    })
+  }),
+
+  forgotPassword: Joi.object({
+    email: Joi.string().email().required().messages({
+      'string.email': 'Please provide a valid email address',
+      'any.required': 'Email is required'
+    })
+  }),
+
+  resetPassword: Joi.object({
+    token: Joi.string().required().messages({
+      'any.required': 'Reset token is required'
+    }),
+    newPassword: Joi.string().min(8).pattern(new RegExp('^(?=.*[a-z])(?=.*[A-Z])(?=.*[0-9])(?=.*[!@#\$%\^&\*])')).required().messages({
+      'string.min': 'New password must be at least 8 characters long',
+      'string.pattern.base': 'New password must contain at least one lowercase letter, one uppercase letter, one number, and one special character',
+      'any.required': 'New password is required'
+    }),
+    confirmNewPassword: Joi.string().valid(Joi.ref('newPassword')).required().messages({
+      'any.only': 'New passwords do not match',
+      'any.required': 'New password confirmation is required'
+    })
+  }),
+
   changePassword: Joi.object({
     currentPassword: Joi.string().required().messages({
       'any.required': 'Current password is required'
@@ -124,6 +177,21 @@ const userSchemas = {
 };
 
 // Route validation schemas
+const waypointSchema = Joi.object({
+  latitude: Joi.number().min(-90).max(90).required().messages({
+    'number.min': 'Latitude must be between -90 and 90',
+    'number.max': 'Latitude must be between -90 and 90',
+    'any.required': 'Latitude is required'
+  }),
+  longitude: Joi.number().min(-180).max(180).required().messages({
+    'number.min': 'Longitude must be between -180 and 180',
+    'number.max': 'Longitude must be between -180 and 180',
+    'any.required': 'Longitude is required'
+  }),
+  landmark_description: Joi.string().max(1000).allow(null, ''),
+  accessibility_notes: Joi.string().max(1000).allow(null, '')
+});
+
 const routeSchemas = {
   create: Joi.object({
     name: Joi.string().min(3).max(100).required().messages({
@@ -141,9 +209,29 @@ const routeSchemas = {
       'string.max': 'Transport name cannot exceed 50 characters',
       'any.required': 'Transport name is required'
     }),
-    status: Joi.string().valid('active', 'inactive').default('active')
+    status: Joi.string().valid('active', 'inactive').default('active'),
+    waypoints: Joi.array().items(waypointSchema).max(GEOGRAPHIC.MAX_WAYPOINTS_PER_ROUTE)
   }),
 
+  // GeoJSON/GPX import: the file comes as multipart 'file' or as 'data' in a JSON body
+  import: Joi.object({
+    name: Joi.string().min(3).max(100),
+    location: Joi.string().min(3).max(200).required().messages({
+      'any.required': 'Location is required'
+    }),
+    transport_name: Joi.string().min(2).max(50).required().messages({
+      'any.required': 'Transport name is required'
+    }),
+    status: Joi.string().valid('active', 'inactive').default('active'),
+    format: Joi.string().valid('geojson', 'gpx'),
+    data: Joi.alternatives().try(Joi.object(), Joi.string())
+  }).required(),
+
+  importWaypoints: Joi.object({
+    format: Joi.string().valid('geojson', 'gpx'),
+    data: Joi.alternatives().try(Joi.object(), Joi.string())
+  }).required(),
+
   update: Joi.object({
     name: Joi.string().min(3).max(100),
     location: Joi.string().min(3).max(200),
@@ -160,6 +248,22 @@ const routeSchemas = {
     comment: Joi.string().max(500).messages({
       'string.max': 'Comment cannot exceed 500 characters'
     })
+  }),
+
+  addWaypoints: Joi.object({
+    waypoints: Joi.array().items(waypointSchema).min(1).max(GEOGRAPHIC.MAX_WAYPOINTS_PER_ROUTE).required(),
+    // Insert before the waypoint at this position; appended when omitted
+    position: Joi.number().integer().min(1)
+  }),
+
+  replaceWaypoints: Joi.object({
+    waypoints: Joi.array().items(waypointSchema).max(GEOGRAPHIC.MAX_WAYPOINTS_PER_ROUTE).required()
+  }),
+
+  reorderWaypoints: Joi.object({
+    waypoint_ids: Joi.array().items(Joi.string().uuid()).min(1).unique().required().messages({
+      'array.unique': 'Each waypoint can only appear once'
+    })
   })
 };
 
@@ -254,6 +358,68 @@ const voiceGuideSchemas = {
   })
 };
 
+// RBAC validation schemas
+const accessConditionsSchema = Joi.object({
+  bounding_box: Joi.object({
+    min_lat: Joi.number().min(-90).max(90).required(),
+    min_lng: Joi.number().min(-180).max(180).required(),
+    max_lat: Joi.number().min(Joi.ref('min_lat')).max(90).required(),
+    max_lng: Joi.number().min(Joi.ref('min_lng')).max(180).required()
+  }).optional(),
+  radius: Joi.object({
+    lat: Joi.number().min(-90).max(90).required(),
+    lng: Joi.number().min(-180).max(180).required(),
+    km: Joi.number().positive().required()
+  }).optional(),
+  locations: Joi.array().items(Joi.string().trim().min(2).max(200)).min(1).optional(),
+  weekdays: Joi.array().items(Joi.number().integer().min(0).max(6)).min(1).unique().optional(),
+  hours: Joi.object({
+    from: Joi.string().pattern(TIME_OF_DAY_PATTERN).required(),
+    to: Joi.string().pattern(TIME_OF_DAY_PATTERN).required()
+  }).optional(),
+  timezone: Joi.string().custom((value, helpers) =>
+    accessConditionService.isValidTimezone(value) ? value : helpers.error('any.invalid')
+  ).optional()
+}).min(1);
+
+const rbacSchemas = {
+  accessConditions: accessConditionsSchema,
+
+  // Document produced by GET /api/rbac/export and read by the import
+  configDocument: Joi.object({
+    version: Joi.number().integer().valid(RBAC.CONFIG_FORMAT_VERSION).required(),
+    exported_at: Joi.date().iso().optional(),
+    permissions: Joi.array().items(Joi.object({
+      name: Joi.string().max(100).pattern(RBAC.PERMISSION_NAME_PATTERN).required(),
+      display_name: Joi.string().min(2).max(150).required(),
+      description: Joi.string().max(500).allow(null, '').optional(),
+      resource: Joi.string().max(50).optional(),
+      is_active: Joi.boolean().default(true)
+    })).unique('name').default([]),
+    roles: Joi.array().items(Joi.object({
+      name: Joi.string().min(2).max(50).required(),
+      display_name: Joi.string().min(2).max(100).required(),
+      description: Joi.string().max(500).allow(null, '').optional(),
+      parent: Joi.string().allow(null).default(null),
+      is_active: Joi.boolean().default(true),
+      requires_two_factor: Joi.boolean().default(false),
+      permissions: Joi.array().items(
+        Joi.string(),
+        Joi.object({
+          name: Joi.string().required(),
+          conditions: accessConditionsSchema.allow(null).default(null)
+        })
+      ).default([])
+    })).unique('name').default([]),
+    assignments: Joi.array().items(Joi.object({
+      user_id: Joi.string().uuid().required(),
+      role: Joi.string().required(),
+      expires_at: Joi.date().iso().allow(null).default(null),
+      conditions: accessConditionsSchema.allow(null).default(null)
+    })).unique((a, b) => a.user_id === b.user_id && a.role === b.role).optional()
+  }).required()
+};
+
 // Query parameter validation schemas
 const querySchemas = {
   pagination: Joi.object({
@@ -286,10 +452,21 @@ const validateUserRegistration = validate(userSchemas.register);
 const validateUserLogin = validate(userSchemas.login);
 const validateUserUpdate = validate(userSchemas.updateProfile);
 const validatePasswordChange = validate(userSchemas.changePassword);
+const validateRefreshToken = validate(userSchemas.refreshToken);
+const validateTwoFactorLogin = validate(userSchemas.twoFactorLogin);
+const validateTwoFactorCode = validate(userSchemas.twoFactorCode);
+const validateVerifyEmail = validate(userSchemas.verifyEmail);
+const validateForgotPassword = validate(userSchemas.forgotPassword);
+const validateResetPassword = validate(userSchemas.resetPassword);
 
 const validateRouteCreate = validate(routeSchemas.create);
 const validateRouteUpdate = validate(routeSchemas.update);
 const validateRouteFeedback = validate(routeSchemas.feedback);
+const validateRouteImport = validate(routeSchemas.import);
+const validateWaypointsImport = validate(routeSchemas.importWaypoints);
+const validateWaypointsAdd = validate(routeSchemas.addWaypoints);
+const validateWaypointsReplace = validate(routeSchemas.replaceWaypoints);
+const validateWaypointsReorder = validate(routeSchemas.reorderWaypoints);
 
 const validateMessageCreate = validate(messageSchemas.create);
 const validateMessageUpdate = validate(messageSchemas.update);
@@ -315,15 +492,40 @@ const validateUuidParam = (paramName = 'id') => {
   }), 'params');
 };
 
+/**
+ * Custom validation for MongoDB ObjectId parameters (voice guides)
+ */
+const validateObjectIdParam = (paramName = 'id') => {
+  return validate(Joi.object({
+    [paramName]: Joi.string().hex().length(24).required().messages({
+      'string.hex': `Invalid ${paramName} format`,
+      'string.length': `Invalid ${paramName} format`,
+      'any.required': `${paramName} is required`
+    })
+  }), 'params');
+};
+
 module.exports = {
   validate,
+  rbacSchemas,
   validateUserRegistration,
   validateUserLogin,
   validateUserUpdate,
   validatePasswordChange,
+  validateRefreshToken,
+  validateTwoFactorLogin,
+  validateTwoFactorCode,
+  validateVerifyEmail,
+  validateForgotPassword,
+  validateResetPassword,
   validateRouteCreate,
   validateRouteUpdate,
   validateRouteFeedback,
+  validateRouteImport,
+  validateWaypointsImport,
+  validateWaypointsAdd,
+  validateWaypointsReplace,
+  validateWaypointsReorder,
   validateMessageCreate,
   validateMessageUpdate,
   validateTouristCreate,
@@ -332,5 +534,6 @@ module.exports = {
   validatePaginationQuery,
   validateUserQuery,
   validateRouteQuery,
-  validateUuidParam
+  validateUuidParam,
+  validateObjectIdParam
 };
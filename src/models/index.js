@@ -3,23 +3,43 @@ const { sequelize } = require('../config/database.sql');
 // Import all models
 const User = require('./sql/User');
 const Route = require('./sql/Route');
+const RouteWaypoint = require('./sql/RouteWaypoint');
+const RouteRevision = require('./sql/RouteRevision');
 const PersonalizedMessage = require('./sql/PersonalizedMessage');
 const TouristRegistration = require('./sql/TouristRegistration');
 const Role = require('./sql/Role');
 const Permission = require('./sql/Permission');
 const UserRole = require('./sql/UserRole');
 const RolePermission = require('./sql/RolePermission');
+const UserSession = require('./sql/UserSession');
+const RefreshToken = require('./sql/RefreshToken');
+const PasswordResetToken = require('./sql/PasswordResetToken');
+const LoginThrottle = require('./sql/LoginThrottle');
+const UserTwoFactor = require('./sql/UserTwoFactor');
+const UserIdentity = require('./sql/UserIdentity');
+const OidcAuthRequest = require('./sql/OidcAuthRequest');
+const ApiKey = require('./sql/ApiKey');
 
 // Models object
 const models = {
   User,
   Route,
+  RouteWaypoint,
+  RouteRevision,
   PersonalizedMessage,
   TouristRegistration,
   Role,
   Permission,
   UserRole,
   RolePermission,
+  UserSession,
+  RefreshToken,
+  PasswordResetToken,
+  LoginThrottle,
+  UserTwoFactor,
+  UserIdentity,
+  OidcAuthRequest,
+  ApiKey,
   sequelize
 };
 
@@ -68,6 +68,10 @@ const userProfileSchema = new mongoose.Schema({
     device_info: {
       type: String,
       default: null
+    },
+    session_id: {
+      type: String,
+      default: null
     }
   }],
   device_info: {
@@ -6,6 +6,11 @@ const voiceGuideSchema = new mongoose.Schema({
     required: true
     // Sin index: true - se define abajo
   },
+  route_revision: {
+    type: Number,
+    default: null
+    // Revisión de la ruta contra la que se grabó la guía
+  },
   audio_file_url: {
     type: String,
     required: true
@@ -0,0 +1,112 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../../config/database.sql');
+
+const ApiKey = sequelize.define('api_keys', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    comment: 'Integration the key belongs to (e.g. "Plaza Grande kiosk")'
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  prefix: {
+    type: DataTypes.STRING(16),
+    allowNull: false,
+    unique: true,
+    comment: 'Public part of the key, shown in listings and logs'
+  },
+  key_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    comment: 'SHA-256 of the full key - the plain key is only shown once at creation'
+  },
+  permissions: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Permission names granted to the key (subset of API_KEYS.ALLOWED_PERMISSIONS)'
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  last_used_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  last_used_ip: {
+    type: DataTypes.STRING(45),
+    allowNull: true
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  },
+  created_by: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  revoked_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  revoked_by: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'api_keys',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['prefix'],
+      unique: true
+    },
+    {
+      fields: ['is_active']
+    }
+  ]
+});
+
+// The key hash never leaves the API
+ApiKey.prototype.toJSON = function () {
+  const values = { ...this.get() };
+  delete values.key_hash;
+  return values;
+};
+
+// Define associations
+ApiKey.associate = (models) => {
+  // ApiKey was created by an admin
+  ApiKey.belongsTo(models.User, {
+    foreignKey: 'created_by',
+    as: 'creator'
+  });
+};
+
+module.exports = ApiKey;
@@ -0,0 +1,61 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../../config/database.sql');
+
+const LoginThrottle = sequelize.define('login_throttles', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  scope: {
+    type: DataTypes.ENUM('account', 'ip'),
+    allowNull: false
+  },
+  key: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    comment: 'Email blind index for account scope, client IP for ip scope'
+  },
+  failures: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  last_failure_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  next_attempt_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Progressive delay: attempts before this time are rejected'
+  },
+  locked_until: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'login_throttles',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      unique: true,
+      fields: ['scope', 'key']
+    },
+    {
+      fields: ['locked_until']
+    }
+  ]
+});
+
+module.exports = LoginThrottle;
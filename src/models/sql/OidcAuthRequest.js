@@ -0,0 +1,61 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../../config/database.sql');
+
+const OidcAuthRequest = sequelize.define('oidc_auth_requests', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  state_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true,
+    comment: 'SHA-256 of the state parameter sent to the provider'
+  },
+  provider: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  code_verifier: {
+    type: DataTypes.TEXT, // Encrypted field
+    allowNull: false,
+    comment: 'PKCE code verifier, never sent to the browser'
+  },
+  nonce: {
+    type: DataTypes.STRING(128),
+    allowNull: false
+  },
+  requested_ip: {
+    type: DataTypes.STRING(45),
+    allowNull: true
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'oidc_auth_requests',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['state_hash'],
+      unique: true
+    },
+    {
+      fields: ['expires_at']
+    }
+  ]
+});
+
+module.exports = OidcAuthRequest;
@@ -0,0 +1,70 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../../config/database.sql');
+
+const PasswordResetToken = sequelize.define('password_reset_tokens', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  token_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true,
+    comment: 'SHA-256 of the reset token - the plain token is only sent by mail'
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  used_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Set when the token is consumed or superseded by a newer request'
+  },
+  requested_ip: {
+    type: DataTypes.STRING(45),
+    allowNull: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'password_reset_tokens',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['token_hash'],
+      unique: true
+    },
+    {
+      fields: ['user_id']
+    }
+  ]
+});
+
+// Define associations
+PasswordResetToken.associate = (models) => {
+  // PasswordResetToken belongs to User
+  PasswordResetToken.belongsTo(models.User, {
+    foreignKey: 'user_id',
+    as: 'user'
+  });
+};
+
+module.exports = PasswordResetToken;
@@ -23,6 +23,11 @@ const PersonalizedMessage = sequelize.define('personalized_messages', {
       key: 'id'
     }
   },
+  route_revision: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Route revision the message was authored against'
+  },
   created_by: {
     type: DataTypes.UUID,
     allowNull: false,
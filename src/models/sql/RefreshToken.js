@@ -0,0 +1,70 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../../config/database.sql');
+
+const RefreshToken = sequelize.define('refresh_tokens', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  session_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'user_sessions',
+      key: 'id'
+    }
+  },
+  token_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true,
+    comment: 'SHA-256 of the refresh token - the plain token is never stored'
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  used_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Set when the token is rotated; presenting it again is reuse'
+  },
+  replaced_by: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'refresh_tokens',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['token_hash'],
+      unique: true
+    },
+    {
+      fields: ['session_id']
+    }
+  ]
+});
+
+// Define associations
+RefreshToken.associate = (models) => {
+  // RefreshToken belongs to UserSession
+  RefreshToken.belongsTo(models.UserSession, {
+    foreignKey: 'session_id',
+    as: 'session'
+  });
+};
+
+module.exports = RefreshToken;
@@ -29,6 +29,20 @@ const Role = sequelize.define('roles', {
     defaultValue: false, // System roles cannot be deleted
     comment: 'System roles like admin, user cannot be deleted'
   },
+  parent_role_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'roles',
+      key: 'id'
+    },
+    comment: 'Role whose permissions this role inherits'
+  },
+  requires_two_factor: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    comment: 'Users holding this role must enable TOTP two-factor authentication'
+  },
   created_at: {
     type: DataTypes.DATE,
     defaultValue: DataTypes.NOW
@@ -49,6 +63,9 @@ const Role = sequelize.define('roles', {
     },
     {
       fields: ['is_active']
+    },
+    {
+      fields: ['parent_role_id']
     }
   ]
 });
@@ -71,6 +88,17 @@ Role.associate = (models) => {
     as: 'permissions'
   });
 
+  // Role inherits the permissions of its parent role
+  Role.belongsTo(models.Role, {
+    foreignKey: 'parent_role_id',
+    as: 'parent'
+  });
+
+  Role.hasMany(models.Role, {
+    foreignKey: 'parent_role_id',
+    as: 'children'
+  });
+
   // Role has many UserRole records
   Role.hasMany(models.UserRole, {
     foreignKey: 'role_id',
@@ -32,6 +32,11 @@ const RolePermission = sequelize.define('role_permissions', {
     },
     comment: 'User who granted this permission to the role'
   },
+  conditions: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Geographic and time-window restrictions on this grant (see accessConditionService)'
+  },
   granted_at: {
     type: DataTypes.DATE,
     defaultValue: DataTypes.NOW
@@ -67,6 +67,18 @@ Route.associate = (models) => {
     foreignKey: 'route_id',
     as: 'messages'
   });
+
+  // Route has an ordered list of waypoints
+  Route.hasMany(models.RouteWaypoint, {
+    foreignKey: 'route_id',
+    as: 'waypoints'
+  });
+
+  // Route keeps an immutable history of revisions
+  Route.hasMany(models.RouteRevision, {
+    foreignKey: 'route_id',
+    as: 'revisions'
+  });
 };
 
 module.exports = Route;
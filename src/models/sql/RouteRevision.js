@@ -0,0 +1,91 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../../config/database.sql');
+
+const RouteRevision = sequelize.define('route_revisions', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  route_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'routes',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  revision: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Revision number within the route, starting at 1'
+  },
+  change_type: {
+    type: DataTypes.ENUM('baseline', 'created', 'updated', 'deleted', 'waypoints_added', 'waypoints_replaced', 'waypoints_reordered', 'restored'),
+    allowNull: false,
+    comment: 'baseline is the state of a route that existed before revisions were recorded'
+  },
+  snapshot: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    comment: 'Route fields and ordered waypoints as of this revision'
+  },
+  restored_from: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Revision whose snapshot a restore brought back'
+  },
+  created_by: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'route_revisions',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false,
+  indexes: [
+    {
+      unique: true,
+      fields: ['route_id', 'revision']
+    },
+    {
+      fields: ['created_by']
+    }
+  ],
+  hooks: {
+    // Revisions are history: restoring one records a new revision instead
+    beforeUpdate: () => {
+      throw new Error('Route revisions are immutable');
+    },
+    beforeDestroy: () => {
+      throw new Error('Route revisions are immutable');
+    }
+  }
+});
+
+// Define associations
+RouteRevision.associate = (models) => {
+  // Revision belongs to Route
+  RouteRevision.belongsTo(models.Route, {
+    foreignKey: 'route_id',
+    as: 'route'
+  });
+
+  // Revision author
+  RouteRevision.belongsTo(models.User, {
+    foreignKey: 'created_by',
+    as: 'author'
+  });
+};
+
+module.exports = RouteRevision;
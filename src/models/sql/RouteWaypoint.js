@@ -0,0 +1,82 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../../config/database.sql');
+
+const RouteWaypoint = sequelize.define('route_waypoints', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  route_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'routes',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  position: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Order of the waypoint along the route, starting at 1'
+  },
+  latitude: {
+    type: DataTypes.DECIMAL(10, 8),
+    allowNull: false,
+    validate: {
+      min: -90,
+      max: 90
+    }
+  },
+  longitude: {
+    type: DataTypes.DECIMAL(11, 8),
+    allowNull: false,
+    validate: {
+      min: -180,
+      max: 180
+    }
+  },
+  landmark_description: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'What can be heard, felt or recognized at this point'
+  },
+  accessibility_notes: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Steps, crossings, tactile paving and other accessibility details'
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'route_waypoints',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['route_id', 'position']
+    },
+    {
+      fields: ['latitude', 'longitude']
+    }
+  ]
+});
+
+// Define associations
+RouteWaypoint.associate = (models) => {
+  // Waypoint belongs to Route
+  RouteWaypoint.belongsTo(models.Route, {
+    foreignKey: 'route_id',
+    as: 'route'
+  });
+};
+
+module.exports = RouteWaypoint;
@@ -69,6 +69,9 @@ const TouristRegistration = sequelize.define('tourist_registrations', {
     },
     {
       fields: ['destination_place']
+    },
+    {
+      fields: ['latitude', 'longitude']
     }
   ]
 });
@@ -12,6 +12,16 @@ const User = sequelize.define('users', {
     allowNull: false,
     unique: true
   },
+  email_hash: {
+    type: DataTypes.STRING(64), // Blind index (HMAC) of the normalized email
+    allowNull: true,
+    unique: true
+  },
+  search_tokens: {
+    type: DataTypes.ARRAY(DataTypes.STRING(16)), // Blind-index tokens for nombres/apellidos/email search
+    allowNull: true,
+    defaultValue: []
+  },
   password_hash: {
     type: DataTypes.TEXT, // Encrypted field
     allowNull: false
@@ -42,6 +52,11 @@ const User = sequelize.define('users', {
     type: DataTypes.BOOLEAN,
     defaultValue: true
   },
+  email_verified_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Null until the user follows the verification link sent to their email'
+  },
   created_at: {
     type: DataTypes.DATE,
     defaultValue: DataTypes.NOW
@@ -59,10 +74,26 @@ const User = sequelize.define('users', {
     {
       unique: true,
       fields: ['email']
+    },
+    {
+      unique: true,
+      fields: ['email_hash']
+    },
+    {
+      using: 'gin',
+      fields: ['search_tokens']
     }
   ]
 });
 
+// Blind indexes are lookup aids only and never leave the API
+User.prototype.toJSON = function () {
+  const values = this.get({ plain: true });
+  delete values.email_hash;
+  delete values.search_tokens;
+  return values;
+};
+
 // Define associations
 User.associate = (models) => {
   // User has many routes
@@ -108,6 +139,30 @@ User.associate = (models) => {
     foreignKey: 'granted_by',
     as: 'grantedPermissions'
   });
+
+  // User has many login sessions (one per device)
+  User.hasMany(models.UserSession, {
+    foreignKey: 'user_id',
+    as: 'sessions'
+  });
+
+  // User has many password reset requests
+  User.hasMany(models.PasswordResetToken, {
+    foreignKey: 'user_id',
+    as: 'passwordResetTokens'
+  });
+
+  // User has at most one TOTP enrolment
+  User.hasOne(models.UserTwoFactor, {
+    foreignKey: 'user_id',
+    as: 'twoFactor'
+  });
+
+  // User can sign in through linked OpenID Connect identities
+  User.hasMany(models.UserIdentity, {
+    foreignKey: 'user_id',
+    as: 'identities'
+  });
 };
 
 module.exports = User;
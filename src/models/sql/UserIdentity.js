@@ -0,0 +1,70 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../../config/database.sql');
+
+const UserIdentity = sequelize.define('user_identities', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  provider: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    comment: 'Provider name from config.oidc.providers'
+  },
+  subject: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    comment: 'The provider\'s stable "sub" claim'
+  },
+  email_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+    comment: 'Blind index of the email the provider reported at link time'
+  },
+  last_login_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'user_identities',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['provider', 'subject'],
+      unique: true
+    },
+    {
+      fields: ['user_id']
+    }
+  ]
+});
+
+// Define associations
+UserIdentity.associate = (models) => {
+  // UserIdentity belongs to User
+  UserIdentity.belongsTo(models.User, {
+    foreignKey: 'user_id',
+    as: 'user'
+  });
+};
+
+module.exports = UserIdentity;
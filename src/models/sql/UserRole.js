@@ -41,6 +41,16 @@ const UserRole = sequelize.define('user_roles', {
     allowNull: true,
     comment: 'Optional expiration date for temporary role assignments'
   },
+  conditions: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Geographic and time-window restrictions on every permission of this assignment'
+  },
+  expiry_notified_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When the holder was told the assignment is about to expire'
+  },
   is_active: {
     type: DataTypes.BOOLEAN,
     defaultValue: true
@@ -0,0 +1,89 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../../config/database.sql');
+
+const UserSession = sequelize.define('user_sessions', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    comment: 'Session identifier, also the refresh token family id'
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  ip_address: {
+    type: DataTypes.STRING(45),
+    allowNull: true
+  },
+  user_agent: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  device_info: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  last_used_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  revoked_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  revoked_reason: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    comment: 'logout, refresh_token_reuse, etc.'
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'user_sessions',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['user_id']
+    },
+    {
+      fields: ['expires_at']
+    },
+    {
+      fields: ['revoked_at']
+    }
+  ]
+});
+
+// Define associations
+UserSession.associate = (models) => {
+  // Session belongs to User
+  UserSession.belongsTo(models.User, {
+    foreignKey: 'user_id',
+    as: 'user'
+  });
+
+  // Session has many refresh tokens (one per rotation)
+  UserSession.hasMany(models.RefreshToken, {
+    foreignKey: 'session_id',
+    as: 'refreshTokens'
+  });
+};
+
+module.exports = UserSession;
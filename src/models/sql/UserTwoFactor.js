@@ -0,0 +1,70 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../../config/database.sql');
+
+const UserTwoFactor = sequelize.define('user_two_factor', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    unique: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  secret: {
+    type: DataTypes.TEXT, // Encrypted field
+    allowNull: false,
+    comment: 'Base32 TOTP secret'
+  },
+  enabled_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Null while enrolment is pending confirmation'
+  },
+  last_used_step: {
+    type: DataTypes.BIGINT,
+    allowNull: true,
+    comment: 'Last accepted TOTP time step, so a code cannot be replayed'
+  },
+  recovery_codes: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'SHA-256 hashes of unused recovery codes'
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'user_two_factor',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      unique: true,
+      fields: ['user_id']
+    }
+  ]
+});
+
+// Define associations
+UserTwoFactor.associate = (models) => {
+  // UserTwoFactor belongs to User
+  UserTwoFactor.belongsTo(models.User, {
+    foreignKey: 'user_id',
+    as: 'user'
+  });
+};
+
+module.exports = UserTwoFactor;
@@ -1,11 +1,18 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
-const { authenticateToken, authRateLimit } = require('../middleware/auth');
+const { authenticateToken, authRateLimit, loginThrottle } = require('../middleware/auth');
 const { 
   validateUserRegistration, 
   validateUserLogin, 
-  validatePasswordChange 
+  validatePasswordChange,
+  validateRefreshToken,
+  validateTwoFactorLogin,
+  validateTwoFactorCode,
+  validateVerifyEmail,
+  validateForgotPassword,
+  validateResetPassword,
+  validateUuidParam
 } = require('../middleware/validation');
 const { handleUserDataEncryption, removeSensitiveFields } = require('../middleware/encryption');
 const { logUserActivity } = require('../middleware/logging');
@@ -24,7 +31,6 @@ router.use(removeSensitiveFields(['password_hash', 'password']));
  */
 router.post('/register', 
   validateUserRegistration,
-  handleUserDataEncryption,
   logUserActivity('user_registration'),
   asyncErrorWrapper(authController.register)
 );
@@ -36,13 +42,55 @@ router.post('/register',
  */
 router.post('/login',
   validateUserLogin,
+  loginThrottle,
   logUserActivity('user_login'),
   asyncErrorWrapper(authController.login)
 );
 
+/**
+ * @route   POST /api/auth/login/2fa
+ * @desc    Complete a two-step login with a TOTP or recovery code
+ * @access  Public (requires a challenge token from /login)
+ */
+router.post('/login/2fa',
+  validateTwoFactorLogin,
+  loginThrottle,
+  logUserActivity('user_login_two_factor'),
+  asyncErrorWrapper(authController.loginTwoFactor)
+);
+
+/**
+ * @route   GET /api/auth/oidc/providers
+ * @desc    List the configured OpenID Connect providers
+ * @access  Public
+ */
+router.get('/oidc/providers',
+  asyncErrorWrapper(authController.getOidcProviders)
+);
+
+/**
+ * @route   GET /api/auth/oidc/:provider/start
+ * @desc    Redirect to the provider's login page (JSON clients get the URL instead)
+ * @access  Public
+ */
+router.get('/oidc/:provider/start',
+  logUserActivity('oidc_login_start'),
+  asyncErrorWrapper(authController.startOidcLogin)
+);
+
+/**
+ * @route   GET /api/auth/oidc/:provider/callback
+ * @desc    Complete an OpenID Connect login and issue tokens
+ * @access  Public (reached through the provider's redirect)
+ */
+router.get('/oidc/:provider/callback',
+  logUserActivity('oidc_login'),
+  asyncErrorWrapper(authController.oidcCallback)
+);
+
 /**
  * @route   POST /api/auth/logout
- * @desc    Logout user
+ * @desc    Logout user and revoke the current session
  * @access  Private
  */
 router.post('/logout',
@@ -51,6 +99,40 @@ router.post('/logout',
   asyncErrorWrapper(authController.logout)
 );
 
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List active sessions (devices) of the current user
+ * @access  Private
+ */
+router.get('/sessions',
+  authenticateToken,
+  logUserActivity('view_sessions'),
+  asyncErrorWrapper(authController.getSessions)
+);
+
+/**
+ * @route   DELETE /api/auth/sessions/others
+ * @desc    Log out everywhere except the current session
+ * @access  Private
+ */
+router.delete('/sessions/others',
+  authenticateToken,
+  logUserActivity('revoke_other_sessions'),
+  asyncErrorWrapper(authController.revokeOtherSessions)
+);
+
+/**
+ * @route   DELETE /api/auth/sessions/:id
+ * @desc    Revoke one of the current user's sessions
+ * @access  Private
+ */
+router.delete('/sessions/:id',
+  authenticateToken,
+  validateUuidParam('id'),
+  logUserActivity('revoke_session'),
+  asyncErrorWrapper(authController.revokeSession)
+);
+
 /**
  * @route   GET /api/auth/verify-token
  * @desc    Verify JWT token
@@ -62,10 +144,11 @@ router.get('/verify-token',
 
 /**
  * @route   POST /api/auth/refresh-token
- * @desc    Refresh JWT token
- * @access  Public
+ * @desc    Rotate refresh token and issue a new access token
+ * @access  Public (requires a valid refresh token)
  */
 router.post('/refresh-token',
+  validateRefreshToken,
   asyncErrorWrapper(authController.refreshToken)
 );
 
@@ -81,6 +164,106 @@ router.post('/change-password',
   asyncErrorWrapper(authController.changePassword)
 );
 
+/**
+ * @route   GET /api/auth/2fa
+ * @desc    Get two-factor authentication status
+ * @access  Private
+ */
+router.get('/2fa',
+  authenticateToken,
+  asyncErrorWrapper(authController.getTwoFactorStatus)
+);
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start TOTP enrolment
+ * @access  Private
+ */
+router.post('/2fa/setup',
+  authenticateToken,
+  logUserActivity('two_factor_setup'),
+  asyncErrorWrapper(authController.setupTwoFactor)
+);
+
+/**
+ * @route   POST /api/auth/2fa/enable
+ * @desc    Confirm TOTP enrolment with a code and get recovery codes
+ * @access  Private
+ */
+router.post('/2fa/enable',
+  authenticateToken,
+  validateTwoFactorCode,
+  logUserActivity('two_factor_enable'),
+  asyncErrorWrapper(authController.enableTwoFactor)
+);
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Disable two-factor authentication (not allowed for roles that require it)
+ * @access  Private
+ */
+router.post('/2fa/disable',
+  authenticateToken,
+  validateTwoFactorCode,
+  logUserActivity('two_factor_disable'),
+  asyncErrorWrapper(authController.disableTwoFactor)
+);
+
+/**
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @desc    Regenerate recovery codes
+ * @access  Private
+ */
+router.post('/2fa/recovery-codes',
+  authenticateToken,
+  validateTwoFactorCode,
+  logUserActivity('two_factor_recovery_codes'),
+  asyncErrorWrapper(authController.regenerateRecoveryCodes)
+);
+
+/**
+ * @route   POST /api/auth/verify-email
+ * @desc    Verify email address with the token from the verification link
+ * @access  Public (requires a valid verification token)
+ */
+router.post('/verify-email',
+  validateVerifyEmail,
+  asyncErrorWrapper(authController.verifyEmail)
+);
+
+/**
+ * @route   POST /api/auth/resend-verification
+ * @desc    Send a new email verification link
+ * @access  Private
+ */
+router.post('/resend-verification',
+  authenticateToken,
+  logUserActivity('resend_email_verification'),
+  asyncErrorWrapper(authController.resendVerification)
+);
+
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Send a single-use password reset link by mail
+ * @access  Public
+ */
+router.post('/forgot-password',
+  validateForgotPassword,
+  logUserActivity('password_reset_request'),
+  asyncErrorWrapper(authController.forgotPassword)
+);
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Set a new password with a reset token and revoke all sessions
+ * @access  Public (requires a valid reset token)
+ */
+router.post('/reset-password',
+  validateResetPassword,
+  logUserActivity('password_reset'),
+  asyncErrorWrapper(authController.resetPassword)
+);
+
 /**
  * @route   GET /api/auth/profile
  * @desc    Get current user profile
@@ -1,7 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const messageController = require('../controllers/messageController');
-const { authenticateToken, requireUser } = require('../middleware/auth');
+const { authenticateToken, requireUser, requireVerifiedEmail } = require('../middleware/auth');
+const { requirePermission, requireCreateConditions } = require('../middleware/rbac');
 const { 
   validateMessageCreate, 
   validateMessageUpdate,
@@ -48,7 +49,9 @@ router.get('/my-messages',
  * @access  Private
  */
 router.post('/',
+  requireVerifiedEmail,
   validateMessageCreate,
+  requireCreateConditions('message.create', 'PersonalizedMessage'),
   handleMessageEncryption,
   logUserActivity('create_message'),
   asyncErrorWrapper(messageController.createMessage)
@@ -61,6 +64,7 @@ router.post('/',
  */
 router.get('/:id',
   validateUuidParam('id'),
+  requirePermission('message.manage', { allowOwner: true, resource: 'PersonalizedMessage' }),
   handleMessageEncryption,
   logUserActivity('view_message_details'),
   asyncErrorWrapper(messageController.getMessageById)
@@ -73,6 +77,7 @@ router.get('/:id',
  */
 router.put('/:id',
   validateUuidParam('id'),
+  requirePermission('message.update', { allowOwner: true, resource: 'PersonalizedMessage', checkChanges: true }),
   validateMessageUpdate,
   handleMessageEncryption,
   logUserActivity('update_message'),
@@ -86,6 +91,7 @@ router.put('/:id',
  */
 router.delete('/:id',
   validateUuidParam('id'),
+  requirePermission('message.delete', { allowOwner: true, resource: 'PersonalizedMessage' }),
   logUserActivity('delete_message'),
   asyncErrorWrapper(messageController.deleteMessage)
 );
@@ -0,0 +1,120 @@
+const express = require('express');
+const router = express.Router();
+const routeController = require('../controllers/routeController');
+const voiceGuideController = require('../controllers/voiceGuideController');
+const touristController = require('../controllers/touristController');
+const { authenticateToken } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/rbac');
+const {
+  validateRouteQuery,
+  validatePaginationQuery,
+  validateUuidParam,
+  validateObjectIdParam
+} = require('../middleware/validation');
+const { removeSensitiveFields } = require('../middleware/encryption');
+const { logUserActivity } = require('../middleware/logging');
+const { asyncErrorWrapper } = require('../middleware/errorHandler');
+
+// Read-only endpoints for kiosks and partner apps. Every request must authenticate
+// (API key or token) and the key's scope, or the user's permissions, decide access.
+router.use(authenticateToken);
+
+// Remove sensitive fields from all responses
+router.use(removeSensitiveFields(['password_hash', 'password']));
+
+/**
+ * @route   GET /api/partner/routes
+ * @desc    Get all routes
+ * @access  Private (route.read)
+ */
+router.get('/routes',
+  requirePermission('route.read'),
+  validateRouteQuery,
+  logUserActivity('partner_view_routes'),
+  asyncErrorWrapper(routeController.getAllRoutes)
+);
+
+/**
+ * @route   GET /api/partner/routes/nearby
+ * @desc    Nearest active routes with a voice guide in the requested language (?lat&lng&language)
+ * @access  Private (route.read)
+ */
+router.get('/routes/nearby',
+  requirePermission('route.read'),
+  logUserActivity('partner_view_nearby_routes'),
+  asyncErrorWrapper(routeController.getNearbyRoutes)
+);
+
+/**
+ * @route   GET /api/partner/routes/:id
+ * @desc    Get route by ID, with its waypoints
+ * @access  Private (route.read)
+ */
+router.get('/routes/:id',
+  validateUuidParam('id'),
+  requirePermission('route.read'),
+  logUserActivity('partner_view_route_details'),
+  asyncErrorWrapper(routeController.getRouteById)
+);
+
+/**
+ * @route   GET /api/partner/routes/:id/export
+ * @desc    Download a route as GeoJSON, GPX or KML (?format=geojson|gpx|kml)
+ * @access  Private (route.read)
+ */
+router.get('/routes/:id/export',
+  validateUuidParam('id'),
+  requirePermission('route.read'),
+  logUserActivity('partner_export_route'),
+  asyncErrorWrapper(routeController.exportRoute)
+);
+
+/**
+ * @route   GET /api/partner/routes/:route_id/voice-guides
+ * @desc    Get voice guides for a route
+ * @access  Private (voice_guide.read)
+ */
+router.get('/routes/:route_id/voice-guides',
+  validateUuidParam('route_id'),
+  requirePermission('voice_guide.read'),
+  logUserActivity('partner_view_route_voice_guides'),
+  asyncErrorWrapper(voiceGuideController.getVoiceGuidesByRoute)
+);
+
+/**
+ * @route   GET /api/partner/voice-guides/:id
+ * @desc    Get voice guide by ID
+ * @access  Private (voice_guide.read)
+ */
+router.get('/voice-guides/:id',
+  validateObjectIdParam('id'),
+  requirePermission('voice_guide.read'),
+  logUserActivity('partner_view_voice_guide_details'),
+  asyncErrorWrapper(voiceGuideController.getVoiceGuideById)
+);
+
+/**
+ * @route   GET /api/partner/tourist-registrations
+ * @desc    Get tourist registrations (users only see their own)
+ * @access  Private (tourist.read)
+ */
+router.get('/tourist-registrations',
+  requirePermission('tourist.read'),
+  validatePaginationQuery,
+  logUserActivity('partner_view_tourist_registrations'),
+  asyncErrorWrapper(touristController.getAllTouristRegistrations)
+);
+
+/**
+ * @route   GET /api/partner/tourist-registrations/:id
+ * @desc    Get tourist registration by ID
+ * @access  Private (tourist.read)
+ */
+router.get('/tourist-registrations/:id',
+  validateUuidParam('id'),
+  requirePermission('tourist.read', { resource: 'TouristRegistration' }),
+  logUserActivity('partner_view_tourist_registration_details'),
+  asyncErrorWrapper(touristController.getTouristRegistrationById)
+);
+
+module.exports = router;
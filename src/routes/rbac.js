@@ -1,15 +1,19 @@
 const express = require('express');
 const router = express.Router();
 const rbacController = require('../controllers/rbacController');
+const apiKeyController = require('../controllers/apiKeyController');
 const { authenticateToken } = require('../middleware/auth');
 const { requirePermission, requireRole } = require('../middleware/rbac');
-const { validate } = require('../middleware/validation');
+const { validate, rbacSchemas } = require('../middleware/validation');
 const Joi = require('joi');
+const { RBAC } = require('../utils/constants');
 
 // Validation schemas
 const assignRoleSchema = Joi.object({
   user_id: Joi.string().uuid().required(),
-  role_name: Joi.string().required()
+  role_name: Joi.string().required(),
+  expires_at: Joi.date().iso().greater('now').optional(),
+  conditions: rbacSchemas.accessConditions.allow(null).optional()
 });
 
 const removeRoleSchema = Joi.object({
@@ -26,6 +30,8 @@ const createRoleSchema = Joi.object({
   name: Joi.string().min(2).max(50).required(),
   display_name: Joi.string().min(2).max(100).required(),
   description: Joi.string().max(500).optional(),
+  requires_two_factor: Joi.boolean().optional(),
+  parent_role_id: Joi.string().uuid().allow(null).optional(),
   permission_ids: Joi.array().items(Joi.string().uuid()).optional()
 });
 
@@ -33,9 +39,63 @@ const updateRoleSchema = Joi.object({
   name: Joi.string().min(2).max(50).optional(),
   display_name: Joi.string().min(2).max(100).optional(),
   description: Joi.string().max(500).optional(),
+  requires_two_factor: Joi.boolean().optional(),
+  parent_role_id: Joi.string().uuid().allow(null).optional(),
   permission_ids: Joi.array().items(Joi.string().uuid()).optional()
 });
 
+const roleTwoFactorSchema = Joi.object({
+  requires_two_factor: Joi.boolean().required()
+});
+
+const rolePermissionsSchema = Joi.object({
+  permission_ids: Joi.array().items(Joi.string().uuid()).min(1).required(),
+  conditions: rbacSchemas.accessConditions.optional()
+});
+
+const permissionConditionsSchema = Joi.object({
+  conditions: rbacSchemas.accessConditions.allow(null).required()
+});
+
+const replaceRolePermissionsSchema = Joi.object({
+  permission_ids: Joi.array().items(Joi.string().uuid()).required()
+});
+
+const roleParamsSchema = Joi.object({
+  id: Joi.string().uuid().required()
+});
+
+const rolePermissionParamsSchema = Joi.object({
+  id: Joi.string().uuid().required(),
+  permissionId: Joi.string().uuid().required()
+});
+
+const createPermissionSchema = Joi.object({
+  name: Joi.string().max(100).pattern(RBAC.PERMISSION_NAME_PATTERN).required()
+    .messages({ 'string.pattern.base': 'Permission name must look like resource.action (either part may be *)' }),
+  display_name: Joi.string().min(2).max(150).required(),
+  description: Joi.string().max(500).optional(),
+  resource: Joi.string().max(50).optional()
+});
+
+const createApiKeySchema = Joi.object({
+  name: Joi.string().min(2).max(100).required(),
+  description: Joi.string().max(500).optional(),
+  permissions: Joi.array().items(Joi.string()).min(1).required(),
+  expires_at: Joi.date().iso().optional()
+});
+
+const updateApiKeySchema = Joi.object({
+  name: Joi.string().min(2).max(100).optional(),
+  description: Joi.string().max(500).allow(null).optional(),
+  permissions: Joi.array().items(Joi.string()).min(1).optional(),
+  expires_at: Joi.date().iso().optional()
+}).min(1);
+
+const apiKeyParamsSchema = Joi.object({
+  id: Joi.string().uuid().required()
+});
+
 /**
  * @route   POST /api/rbac/initialize
  * @desc    Initialize RBAC system with default roles and permissions
@@ -47,6 +107,29 @@ router.post('/initialize',
   rbacController.initializeRBAC
 );
 
+/**
+ * @route   GET /api/rbac/export
+ * @desc    Download roles, permissions and grants (?format=json|yaml, ?include_assignments=true)
+ * @access  Private (System admin permission)
+ */
+router.get('/export',
+  authenticateToken,
+  requirePermission('system.admin'),
+  rbacController.exportRBACConfig
+);
+
+/**
+ * @route   POST /api/rbac/import
+ * @desc    Import an exported configuration (JSON or YAML body); ?dry_run=true only returns the diff
+ * @access  Private (System admin permission)
+ */
+router.post('/import',
+  authenticateToken,
+  requirePermission('system.admin'),
+  express.text({ type: ['application/yaml', 'application/x-yaml', 'text/yaml'], limit: '10mb' }),
+  rbacController.importRBACConfig
+);
+
 /**
  * @route   GET /api/rbac/roles
  * @desc    Get all roles
@@ -69,6 +152,17 @@ router.get('/roles/:id',
   rbacController.getRoleById
 );
 
+/**
+ * @route   GET /api/rbac/roles/:id/effective-permissions
+ * @desc    Get own and inherited permissions of a role, with the role granting each
+ * @access  Private (Role read permission)
+ */
+router.get('/roles/:id/effective-permissions',
+  authenticateToken,
+  requirePermission('role.read'),
+  rbacController.getRoleEffectivePermissions
+);
+
 /**
  * @route   POST /api/rbac/roles
  * @desc    Create new role
@@ -93,6 +187,18 @@ router.put('/roles/:id',
   rbacController.updateRole
 );
 
+/**
+ * @route   PUT /api/rbac/roles/:id/two-factor
+ * @desc    Require (or stop requiring) 2FA for a role, including system roles
+ * @access  Private (Role update permission)
+ */
+router.put('/roles/:id/two-factor',
+  authenticateToken,
+  requirePermission('role.update'),
+  validate(roleTwoFactorSchema, 'body'),
+  rbacController.setRoleTwoFactor
+);
+
 /**
  * @route   DELETE /api/rbac/roles/:id
  * @desc    Delete role
@@ -115,9 +221,72 @@ router.get('/permissions',
   rbacController.getAllPermissions
 );
 
+/**
+ * @route   POST /api/rbac/permissions
+ * @desc    Create a custom permission
+ * @access  Private (System admin permission)
+ */
+router.post('/permissions',
+  authenticateToken,
+  requirePermission('system.admin'),
+  validate(createPermissionSchema, 'body'),
+  rbacController.createPermission
+);
+
+/**
+ * @route   POST /api/rbac/roles/:id/permissions
+ * @desc    Grant permissions to a role
+ * @access  Private (Role update permission)
+ */
+router.post('/roles/:id/permissions',
+  authenticateToken,
+  requirePermission('role.update'),
+  validate(roleParamsSchema, 'params'),
+  validate(rolePermissionsSchema, 'body'),
+  rbacController.grantRolePermissions
+);
+
+/**
+ * @route   PUT /api/rbac/roles/:id/permissions
+ * @desc    Replace the whole permission set of a role
+ * @access  Private (Role update permission)
+ */
+router.put('/roles/:id/permissions',
+  authenticateToken,
+  requirePermission('role.update'),
+  validate(roleParamsSchema, 'params'),
+  validate(replaceRolePermissionsSchema, 'body'),
+  rbacController.replaceRolePermissions
+);
+
+/**
+ * @route   PUT /api/rbac/roles/:id/permissions/:permissionId/conditions
+ * @desc    Set (or clear with null) the area, location and schedule conditions of a role permission
+ * @access  Private (Role update permission)
+ */
+router.put('/roles/:id/permissions/:permissionId/conditions',
+  authenticateToken,
+  requirePermission('role.update'),
+  validate(rolePermissionParamsSchema, 'params'),
+  validate(permissionConditionsSchema, 'body'),
+  rbacController.setRolePermissionConditions
+);
+
+/**
+ * @route   DELETE /api/rbac/roles/:id/permissions/:permissionId
+ * @desc    Revoke a permission from a role
+ * @access  Private (Role update permission)
+ */
+router.delete('/roles/:id/permissions/:permissionId',
+  authenticateToken,
+  requirePermission('role.update'),
+  validate(rolePermissionParamsSchema, 'params'),
+  rbacController.revokeRolePermission
+);
+
 /**
  * @route   POST /api/rbac/assign-role
- * @desc    Assign role to user
+ * @desc    Assign role to user, optionally until expires_at and under conditions
  * @access  Private (Role assign permission)
  */
 router.post('/assign-role',
@@ -176,4 +345,52 @@ router.post('/check-permission',
   rbacController.checkUserPermission
 );
 
+/**
+ * @route   GET /api/rbac/api-keys
+ * @desc    List API keys (add ?include_revoked=true for revoked ones)
+ * @access  Private (System admin permission)
+ */
+router.get('/api-keys',
+  authenticateToken,
+  requirePermission('system.admin'),
+  apiKeyController.getAllApiKeys
+);
+
+/**
+ * @route   POST /api/rbac/api-keys
+ * @desc    Create an API key for a kiosk or partner integration
+ * @access  Private (System admin permission)
+ */
+router.post('/api-keys',
+  authenticateToken,
+  requirePermission('system.admin'),
+  validate(createApiKeySchema, 'body'),
+  apiKeyController.createApiKey
+);
+
+/**
+ * @route   PUT /api/rbac/api-keys/:id
+ * @desc    Update an API key's name, permissions or expiry
+ * @access  Private (System admin permission)
+ */
+router.put('/api-keys/:id',
+  authenticateToken,
+  requirePermission('system.admin'),
+  validate(apiKeyParamsSchema, 'params'),
+  validate(updateApiKeySchema, 'body'),
+  apiKeyController.updateApiKey
+);
+
+/**
+ * @route   DELETE /api/rbac/api-keys/:id
+ * @desc    Revoke an API key
+ * @access  Private (System admin permission)
+ */
+router.delete('/api-keys/:id',
+  authenticateToken,
+  requirePermission('system.admin'),
+  validate(apiKeyParamsSchema, 'params'),
+  apiKeyController.revokeApiKey
+);
+
 module.exports = router;
\ No newline at end of file
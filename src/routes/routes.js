@@ -1,14 +1,21 @@
 const express = require('express');
 const router = express.Router();
 const routeController = require('../controllers/routeController');
-const { authenticateToken, requireUser, optionalAuth } = require('../middleware/auth');
+const { authenticateToken, requireUser, requireVerifiedEmail, optionalAuth } = require('../middleware/auth');
+const { requirePermission, requireCreateConditions } = require('../middleware/rbac');
 const { 
   validateRouteCreate, 
   validateRouteUpdate, 
   validateRouteFeedback,
+  validateRouteImport,
+  validateWaypointsImport,
+  validateWaypointsAdd,
+  validateWaypointsReplace,
+  validateWaypointsReorder,
   validateRouteQuery,
   validateUuidParam 
 } = require('../middleware/validation');
+const { uploadRouteFile } = require('../middleware/upload');
 const { removeSensitiveFields } = require('../middleware/encryption');
 const { logUserActivity } = require('../middleware/logging');
 const { asyncErrorWrapper } = require('../middleware/errorHandler');
@@ -50,6 +57,28 @@ router.get('/search',
   asyncErrorWrapper(routeController.searchRoutes)
 );
 
+/**
+ * @route   GET /api/routes/nearby
+ * @desc    Get active routes starting nearest to a point with a voice guide in the caller's language
+ * @access  Public
+ */
+router.get('/nearby',
+  optionalAuth,
+  logUserActivity('view_nearby_routes'),
+  asyncErrorWrapper(routeController.getNearbyRoutes)
+);
+
+/**
+ * @route   GET /api/routes/waypoints/nearby
+ * @desc    Get waypoints of active routes near a point, nearest first
+ * @access  Public
+ */
+router.get('/waypoints/nearby',
+  optionalAuth,
+  logUserActivity('view_nearby_waypoints'),
+  asyncErrorWrapper(routeController.getNearbyWaypoints)
+);
+
 /**
  * @route   GET /api/routes/my-routes
  * @desc    Get current user's routes
@@ -70,14 +99,32 @@ router.get('/my-routes',
 router.post('/',
   authenticateToken,
   requireUser,
+  requireVerifiedEmail,
   validateRouteCreate,
+  requireCreateConditions('route.create', 'Route'),
   logUserActivity('create_route'),
   asyncErrorWrapper(routeController.createRoute)
 );
 
+/**
+ * @route   POST /api/routes/import
+ * @desc    Create a route from a GeoJSON LineString or GPX track (multipart 'file' or JSON 'data')
+ * @access  Private
+ */
+router.post('/import',
+  authenticateToken,
+  requireUser,
+  requireVerifiedEmail,
+  uploadRouteFile,
+  validateRouteImport,
+  requireCreateConditions('route.create', 'Route'),
+  logUserActivity('import_route'),
+  asyncErrorWrapper(routeController.importRoute)
+);
+
 /**
  * @route   GET /api/routes/:id
- * @desc    Get route by ID
+ * @desc    Get route by ID with its waypoints, geometry and total length
  * @access  Public
  */
 router.get('/:id',
@@ -96,6 +143,7 @@ router.put('/:id',
   authenticateToken,
   requireUser,
   validateUuidParam('id'),
+  requirePermission('route.update', { allowOwner: true, resource: 'Route', checkChanges: true }),
   validateRouteUpdate,
   logUserActivity('update_route'),
   asyncErrorWrapper(routeController.updateRoute)
@@ -110,10 +158,140 @@ router.delete('/:id',
   authenticateToken,
   requireUser,
   validateUuidParam('id'),
+  requirePermission('route.delete', { allowOwner: true, resource: 'Route' }),
   logUserActivity('delete_route'),
   asyncErrorWrapper(routeController.deleteRoute)
 );
 
+/**
+ * @route   POST /api/routes/:id/waypoints
+ * @desc    Add waypoints to a route (appended, or inserted before position)
+ * @access  Private (Route creator or Admin)
+ */
+router.post('/:id/waypoints',
+  authenticateToken,
+  requireUser,
+  validateUuidParam('id'),
+  requirePermission('route.update', { allowOwner: true, resource: 'Route' }),
+  validateWaypointsAdd,
+  logUserActivity('add_route_waypoints'),
+  asyncErrorWrapper(routeController.addRouteWaypoints)
+);
+
+/**
+ * @route   PUT /api/routes/:id/waypoints
+ * @desc    Replace every waypoint of a route
+ * @access  Private (Route creator or Admin)
+ */
+router.put('/:id/waypoints',
+  authenticateToken,
+  requireUser,
+  validateUuidParam('id'),
+  requirePermission('route.update', { allowOwner: true, resource: 'Route' }),
+  validateWaypointsReplace,
+  logUserActivity('replace_route_waypoints'),
+  asyncErrorWrapper(routeController.replaceRouteWaypoints)
+);
+
+/**
+ * @route   PUT /api/routes/:id/waypoints/import
+ * @desc    Replace the waypoints of a route with a GeoJSON or GPX file
+ * @access  Private (Route creator or Admin)
+ */
+router.put('/:id/waypoints/import',
+  authenticateToken,
+  requireUser,
+  validateUuidParam('id'),
+  requirePermission('route.update', { allowOwner: true, resource: 'Route' }),
+  uploadRouteFile,
+  validateWaypointsImport,
+  logUserActivity('import_route_waypoints'),
+  asyncErrorWrapper(routeController.importRouteWaypoints)
+);
+
+/**
+ * @route   GET /api/routes/:id/export
+ * @desc    Download a route as GeoJSON, GPX or KML (?format=geojson|gpx|kml)
+ * @access  Public
+ */
+router.get('/:id/export',
+  validateUuidParam('id'),
+  optionalAuth,
+  logUserActivity('export_route'),
+  asyncErrorWrapper(routeController.exportRoute)
+);
+
+/**
+ * @route   PUT /api/routes/:id/waypoints/order
+ * @desc    Reorder the waypoints of a route
+ * @access  Private (Route creator or Admin)
+ */
+router.put('/:id/waypoints/order',
+  authenticateToken,
+  requireUser,
+  validateUuidParam('id'),
+  requirePermission('route.update', { allowOwner: true, resource: 'Route' }),
+  validateWaypointsReorder,
+  logUserActivity('reorder_route_waypoints'),
+  asyncErrorWrapper(routeController.reorderRouteWaypoints)
+);
+
+/**
+ * @route   GET /api/routes/:id/revisions
+ * @desc    Get the revisions of a route, newest first, with their author and pinned content counts
+ * @access  Private (Route creator or Admin)
+ */
+router.get('/:id/revisions',
+  authenticateToken,
+  requireUser,
+  validateUuidParam('id'),
+  requirePermission('route.update', { allowOwner: true, resource: 'Route' }),
+  logUserActivity('view_route_revisions'),
+  asyncErrorWrapper(routeController.getRouteRevisions)
+);
+
+/**
+ * @route   GET /api/routes/:id/revisions/diff
+ * @desc    Diff two revisions of a route (?from=&to=, to defaults to the latest)
+ * @access  Private (Route creator or Admin)
+ */
+router.get('/:id/revisions/diff',
+  authenticateToken,
+  requireUser,
+  validateUuidParam('id'),
+  requirePermission('route.update', { allowOwner: true, resource: 'Route' }),
+  logUserActivity('diff_route_revisions'),
+  asyncErrorWrapper(routeController.diffRouteRevisions)
+);
+
+/**
+ * @route   GET /api/routes/:id/revisions/:rev
+ * @desc    Get one revision of a route with its snapshot
+ * @access  Private (Route creator or Admin)
+ */
+router.get('/:id/revisions/:rev',
+  authenticateToken,
+  requireUser,
+  validateUuidParam('id'),
+  requirePermission('route.update', { allowOwner: true, resource: 'Route' }),
+  logUserActivity('view_route_revision'),
+  asyncErrorWrapper(routeController.getRouteRevision)
+);
+
+/**
+ * @route   POST /api/routes/:id/revisions/:rev/restore
+ * @desc    Restore a route to one of its revisions, recorded as a new revision
+ * @access  Private (Route creator or Admin)
+ */
+router.post('/:id/revisions/:rev/restore',
+  authenticateToken,
+  requireUser,
+  validateUuidParam('id'),
+  requirePermission('route.update', { allowOwner: true, resource: 'Route' }),
+  logUserActivity('restore_route_revision'),
+  asyncErrorWrapper(routeController.restoreRouteRevision)
+);
+
 /**
  * @route   POST /api/routes/:id/usage
  * @desc    Record route usage
@@ -150,6 +328,7 @@ router.get('/:id/analytics',
   authenticateToken,
   requireUser,
   validateUuidParam('id'),
+  requirePermission('route.manage', { allowOwner: true, resource: 'Route' }),
   logUserActivity('view_route_analytics'),
   asyncErrorWrapper(routeController.getRouteAnalytics)
 );
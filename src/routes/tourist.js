@@ -1,7 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const touristController = require('../controllers/touristController');
-const { authenticateToken, requireUser, optionalAuth } = require('../middleware/auth');
+const { authenticateToken, requireUser, requireVerifiedEmail, optionalAuth } = require('../middleware/auth');
+const { requirePermission, requireCreateConditions } = require('../middleware/rbac');
 const { 
   validateTouristCreate, 
   validateTouristUpdate,
@@ -17,11 +18,12 @@ router.use(removeSensitiveFields(['password_hash', 'password']));
 
 /**
  * @route   GET /api/tourist-registrations
- * @desc    Get all tourist registrations
- * @access  Public (with optional auth for personalized results)
+ * @desc    Get the caller's tourist registrations (all of them for admins)
+ * @access  Private
  */
 router.get('/',
-  optionalAuth,
+  authenticateToken,
+  requireUser,
   validatePaginationQuery,
   logUserActivity('view_tourist_registrations'),
   asyncErrorWrapper(touristController.getAllTouristRegistrations)
@@ -40,7 +42,7 @@ router.get('/search',
 
 /**
  * @route   GET /api/tourist-registrations/nearby
- * @desc    Get tourist registrations by location
+ * @desc    Get active tourist registrations near a point, nearest first
  * @access  Public
  */
 router.get('/nearby',
@@ -69,7 +71,9 @@ router.get('/my-registrations',
 router.post('/',
   authenticateToken,
   requireUser,
+  requireVerifiedEmail,
   validateTouristCreate,
+  requireCreateConditions('tourist.create', 'TouristRegistration'),
   logUserActivity('create_tourist_registration'),
   asyncErrorWrapper(touristController.createTouristRegistration)
 );
@@ -77,11 +81,13 @@ router.post('/',
 /**
  * @route   GET /api/tourist-registrations/:id
  * @desc    Get tourist registration by ID
- * @access  Public (with optional auth for detailed view)
+ * @access  Private (tourist.read or creator)
  */
 router.get('/:id',
   validateUuidParam('id'),
-  optionalAuth,
+  authenticateToken,
+  requireUser,
+  requirePermission('tourist.read', { allowOwner: true, resource: 'TouristRegistration' }),
   logUserActivity('view_tourist_registration_details'),
   asyncErrorWrapper(touristController.getTouristRegistrationById)
 );
@@ -95,6 +101,7 @@ router.put('/:id',
   authenticateToken,
   requireUser,
   validateUuidParam('id'),
+  requirePermission('tourist.update', { allowOwner: true, resource: 'TouristRegistration', checkChanges: true }),
   validateTouristUpdate,
   logUserActivity('update_tourist_registration'),
   asyncErrorWrapper(touristController.updateTouristRegistration)
@@ -109,6 +116,7 @@ router.delete('/:id',
   authenticateToken,
   requireUser,
   validateUuidParam('id'),
+  requirePermission('tourist.delete', { allowOwner: true, resource: 'TouristRegistration' }),
   logUserActivity('delete_tourist_registration'),
   asyncErrorWrapper(touristController.deleteTouristRegistration)
 );
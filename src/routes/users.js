@@ -3,6 +3,7 @@ const router = express.Router();
 const userController = require('../controllers/userController');
 const { authenticateToken, requireAdmin, requireOwnerOrAdmin } = require('../middleware/auth');
 const { 
+  validate,
   validateUserUpdate, 
   validateUserQuery, 
   validateUuidParam 
@@ -10,6 +11,12 @@ const {
 const { handleUserDataEncryption, removeSensitiveFields } = require('../middleware/encryption');
 const { logUserActivity } = require('../middleware/logging');
 const { asyncErrorWrapper } = require('../middleware/errorHandler');
+const Joi = require('joi');
+
+const sessionParamsSchema = Joi.object({
+  id: Joi.string().uuid().required(),
+  sessionId: Joi.string().uuid().required()
+});
 
 // Apply authentication to all routes
 router.use(authenticateToken);
@@ -32,7 +39,7 @@ router.get('/',
 
 /**
  * @route   GET /api/users/search
- * @desc    Search users
+ * @desc    Search users by name or email (q, page, limit, role)
  * @access  Private
  */
 router.get('/search',
@@ -62,7 +69,6 @@ router.put('/:id',
   validateUuidParam('id'),
   requireOwnerOrAdmin('id'),
   validateUserUpdate,
-  handleUserDataEncryption,
   logUserActivity('update_user_profile'),
   asyncErrorWrapper(userController.updateUser)
 );
@@ -140,4 +146,64 @@ router.get('/:id/statistics',
   asyncErrorWrapper(userController.getUserStatistics)
 );
 
+/**
+ * @route   GET /api/users/:id/sessions
+ * @desc    List a user's active sessions
+ * @access  Private/Admin
+ */
+router.get('/:id/sessions',
+  validateUuidParam('id'),
+  requireAdmin,
+  logUserActivity('view_user_sessions'),
+  asyncErrorWrapper(userController.getUserSessions)
+);
+
+/**
+ * @route   DELETE /api/users/:id/sessions
+ * @desc    Revoke all sessions of a user
+ * @access  Private/Admin
+ */
+router.delete('/:id/sessions',
+  validateUuidParam('id'),
+  requireAdmin,
+  logUserActivity('revoke_user_sessions'),
+  asyncErrorWrapper(userController.revokeAllUserSessions)
+);
+
+/**
+ * @route   DELETE /api/users/:id/sessions/:sessionId
+ * @desc    Revoke one session of a user
+ * @access  Private/Admin
+ */
+router.delete('/:id/sessions/:sessionId',
+  validate(sessionParamsSchema, 'params'),
+  requireAdmin,
+  logUserActivity('revoke_user_session'),
+  asyncErrorWrapper(userController.revokeUserSession)
+);
+
+/**
+ * @route   GET /api/users/:id/lockout
+ * @desc    Get failed-login lockout state of a user
+ * @access  Private/Admin
+ */
+router.get('/:id/lockout',
+  validateUuidParam('id'),
+  requireAdmin,
+  logUserActivity('view_user_lockout'),
+  asyncErrorWrapper(userController.getUserLockout)
+);
+
+/**
+ * @route   DELETE /api/users/:id/lockout
+ * @desc    Unlock a user locked out by failed logins
+ * @access  Private/Admin
+ */
+router.delete('/:id/lockout',
+  validateUuidParam('id'),
+  requireAdmin,
+  logUserActivity('unlock_user'),
+  asyncErrorWrapper(userController.unlockUser)
+);
+
 module.exports = router;
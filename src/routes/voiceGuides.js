@@ -1,11 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const voiceGuideController = require('../controllers/voiceGuideController');
-const { authenticateToken, requireUser, optionalAuth } = require('../middleware/auth');
+const { authenticateToken, requireUser, requireVerifiedEmail, optionalAuth } = require('../middleware/auth');
+const { requirePermission, requireCreateConditions } = require('../middleware/rbac');
 const { 
   validateVoiceGuideCreate,
   validatePaginationQuery,
-  validateUuidParam 
+  validateUuidParam,
+  validateObjectIdParam
 } = require('../middleware/validation');
 const { removeSensitiveFields } = require('../middleware/encryption');
 const { logUserActivity } = require('../middleware/logging');
@@ -34,7 +36,9 @@ router.get('/',
 router.post('/',
   authenticateToken,
   requireUser,
+  requireVerifiedEmail,
   validateVoiceGuideCreate,
+  requireCreateConditions('voice_guide.create', 'VoiceGuide'),
   logUserActivity('create_voice_guide'),
   asyncErrorWrapper(voiceGuideController.createVoiceGuide)
 );
@@ -45,7 +49,7 @@ router.post('/',
  * @access  Public
  */
 router.get('/:id',
-  validateUuidParam('id'),
+  validateObjectIdParam('id'),
   optionalAuth,
   logUserActivity('view_voice_guide_details'),
   asyncErrorWrapper(voiceGuideController.getVoiceGuideById)
@@ -59,7 +63,8 @@ router.get('/:id',
 router.put('/:id',
   authenticateToken,
   requireUser,
-  validateUuidParam('id'),
+  validateObjectIdParam('id'),
+  requirePermission('voice_guide.update', { allowOwner: true, resource: 'VoiceGuide', checkChanges: true }),
   logUserActivity('update_voice_guide'),
   asyncErrorWrapper(voiceGuideController.updateVoiceGuide)
 );
@@ -72,7 +77,8 @@ router.put('/:id',
 router.delete('/:id',
   authenticateToken,
   requireUser,
-  validateUuidParam('id'),
+  validateObjectIdParam('id'),
+  requirePermission('voice_guide.delete', { allowOwner: true, resource: 'VoiceGuide' }),
   logUserActivity('delete_voice_guide'),
   asyncErrorWrapper(voiceGuideController.deleteVoiceGuide)
 );
@@ -97,7 +103,7 @@ router.get('/route/:route_id',
 router.post('/:id/usage',
   authenticateToken,
   requireUser,
-  validateUuidParam('id'),
+  validateObjectIdParam('id'),
   logUserActivity('record_voice_guide_usage'),
   asyncErrorWrapper(voiceGuideController.recordVoiceGuideUsage)
 );
@@ -110,7 +116,8 @@ router.post('/:id/usage',
 router.get('/:id/analytics',
   authenticateToken,
   requireUser,
-  validateUuidParam('id'),
+  validateObjectIdParam('id'),
+  requirePermission('voice_guide.manage', { allowOwner: true, resource: 'VoiceGuide' }),
   logUserActivity('view_voice_guide_analytics'),
   asyncErrorWrapper(voiceGuideController.getVoiceGuideAnalytics)
 );
@@ -0,0 +1,172 @@
+const { calculateDistance } = require('../utils/helpers');
+const config = require('../config/config');
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Lowercase and strip accents so that "Cuenca" matches "cuenca" and "Machachí" matches "machachi"
+ * @param {string} value - Text to normalize
+ * @returns {string} - Normalized text
+ */
+const normalizeText = (value) => value.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+
+/**
+ * Minutes since midnight of an "HH:MM" string
+ * @param {string} time - Time of day
+ * @returns {number} - Minutes
+ */
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Conditions that narrow a permission grant (on a RolePermission or a UserRole):
+ *   bounding_box: { min_lat, min_lng, max_lat, max_lng }  resource coordinates inside the box
+ *   radius: { lat, lng, km }                              resource coordinates within km of the point
+ *   locations: ['Quito', ...]                             resource location contains one of these
+ *   weekdays: [1, 2, 3, 4, 5]                             0 = Sunday
+ *   hours: { from: '09:00', to: '18:00' }                 wraps past midnight when from > to
+ *   timezone: 'America/Guayaquil'                         for weekdays/hours (config.rbac.conditionTimezone)
+ * Every condition present must hold.
+ */
+class AccessConditionService {
+  /**
+   * Whether a timezone name is known to the runtime
+   * @param {string} timezone - IANA timezone name
+   * @returns {boolean} - Validity
+   */
+  isValidTimezone(timezone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Weekday and minutes since midnight of an instant in a timezone
+   * @param {Date} date - Instant
+   * @param {string} timezone - IANA timezone name
+   * @returns {Object} - weekday (0 = Sunday) and minutes
+   */
+  getLocalTime(date, timezone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(date);
+
+    const part = (type) => parts.find(item => item.type === type).value;
+
+    return {
+      weekday: WEEKDAYS.indexOf(part('weekday')),
+      minutes: Number(part('hour')) * 60 + Number(part('minute'))
+    };
+  }
+
+  /**
+   * Check the weekday/hour window
+   * @param {Object} conditions - Condition set
+   * @param {Date} now - Instant being checked
+   * @returns {boolean} - Whether now is inside the window
+   */
+  isWithinSchedule(conditions, now) {
+    const { weekdays, hours, timezone } = conditions;
+    if (!weekdays && !hours) return true;
+
+    const local = this.getLocalTime(now, timezone || config.rbac.conditionTimezone);
+
+    if (weekdays && !weekdays.includes(local.weekday)) {
+      return false;
+    }
+
+    if (hours) {
+      const from = toMinutes(hours.from);
+      const to = toMinutes(hours.to);
+
+      return from <= to
+        ? local.minutes >= from && local.minutes < to
+        : local.minutes >= from || local.minutes < to;
+    }
+
+    return true;
+  }
+
+  /**
+   * Check the bounding box and radius against the resource coordinates
+   * @param {Object} conditions - Condition set
+   * @param {Object} resource - Resource attributes (coordinates)
+   * @returns {boolean} - Whether the resource is inside the area
+   */
+  isWithinArea(conditions, resource) {
+    const { bounding_box: box, radius } = conditions;
+    if (!box && !radius) return true;
+
+    // A resource without coordinates cannot be shown to be inside the area
+    const coordinates = resource.coordinates;
+    if (!coordinates) return false;
+
+    if (box && (
+      coordinates.lat < box.min_lat || coordinates.lat > box.max_lat ||
+      coordinates.lng < box.min_lng || coordinates.lng > box.max_lng
+    )) {
+      return false;
+    }
+
+    if (radius && calculateDistance(radius.lat, radius.lng, coordinates.lat, coordinates.lng) > radius.km) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Check the location names against the resource location
+   * @param {Object} conditions - Condition set
+   * @param {Object} resource - Resource attributes (location)
+   * @returns {boolean} - Whether the resource location matches one of the names
+   */
+  matchesLocation(conditions, resource) {
+    const { locations } = conditions;
+    if (!locations || locations.length === 0) return true;
+    if (!resource.location) return false;
+
+    const location = normalizeText(resource.location);
+    return locations.some(name => location.includes(normalizeText(name)));
+  }
+
+  /**
+   * Evaluate one condition set. Schedules always apply; geographic conditions restrict which
+   * resources may be acted on, so they only apply when a specific resource is being checked.
+   * @param {Object} conditions - Condition set
+   * @param {Object} context - resource attributes ({ coordinates, location }) and now
+   * @returns {boolean} - Whether the conditions hold
+   */
+  evaluate(conditions, context = {}) {
+    if (!this.isWithinSchedule(conditions, context.now || new Date())) {
+      return false;
+    }
+
+    if (!context.resource) {
+      return true;
+    }
+
+    return this.isWithinArea(conditions, context.resource) && this.matchesLocation(conditions, context.resource);
+  }
+
+  /**
+   * Evaluate every condition set of a grant (role assignment and role permission)
+   * @param {Array<Object>} conditionSets - Condition sets
+   * @param {Object} context - See evaluate
+   * @returns {boolean} - Whether all of them hold
+   */
+  isSatisfied(conditionSets, context = {}) {
+    return conditionSets.every(conditions => this.evaluate(conditions, context));
+  }
+}
+
+module.exports = new AccessConditionService();
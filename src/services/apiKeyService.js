@@ -0,0 +1,242 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { ApiKey, Permission } = require('../models');
+const logService = require('./logService');
+const { API_KEYS } = require('../utils/constants');
+const { findMatchingPermission } = require('../utils/helpers');
+
+class ApiKeyService {
+  /**
+   * Hash an API key for storage and comparison
+   * @param {string} key - Plain API key
+   * @returns {string} - SHA-256 hex digest
+   */
+  hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  /**
+   * Generate a new key: "<prefix>.<secret>", where the prefix identifies it
+   * @returns {Object} - prefix and plain key
+   */
+  generateKey() {
+    const prefix = `${API_KEYS.PREFIX}_${crypto.randomBytes(6).toString('hex')}`;
+    const secret = crypto.randomBytes(32).toString('base64url');
+
+    return { prefix, key: `${prefix}.${secret}` };
+  }
+
+  /**
+   * Check that every requested permission may be granted to an API key
+   * @param {Array<string>} permissions - Permission names
+   * @returns {Promise<Array<string>>} - Deduplicated permission names
+   */
+  async validatePermissions(permissions) {
+    const requested = [...new Set(permissions)];
+
+    const notAllowed = requested.filter(name => !API_KEYS.ALLOWED_PERMISSIONS.includes(name));
+    if (notAllowed.length > 0) {
+      throw new Error(`Permissions not available to API keys: ${notAllowed.join(', ')}`);
+    }
+
+    const existing = await Permission.findAll({
+      where: { name: { [Op.in]: requested }, is_active: true },
+      attributes: ['name']
+    });
+    const missing = requested.filter(name => !existing.some(permission => permission.name === name));
+    if (missing.length > 0) {
+      throw new Error(`Permissions not found: ${missing.join(', ')}`);
+    }
+
+    return requested;
+  }
+
+  /**
+   * Resolve the expiry of a key, defaulting to (and capped at) API_KEYS.MAX_TTL_DAYS
+   * @param {Date|string} expiresAt - Requested expiry
+   * @returns {Date} - Expiry date
+   */
+  resolveExpiry(expiresAt) {
+    const maxExpiry = new Date(Date.now() + API_KEYS.MAX_TTL_DAYS * 24 * 60 * 60 * 1000);
+    if (!expiresAt) {
+      return maxExpiry;
+    }
+
+    const expiry = new Date(expiresAt);
+    if (expiry <= new Date()) {
+      throw new Error('Expiry date must be in the future');
+    }
+    if (expiry > maxExpiry) {
+      throw new Error(`API keys cannot be valid for more than ${API_KEYS.MAX_TTL_DAYS} days`);
+    }
+
+    return expiry;
+  }
+
+  /**
+   * Create an API key
+   * @param {Object} keyData - name, description, permissions, expires_at
+   * @param {string} createdBy - Admin user ID
+   * @returns {Promise<Object>} - Created key record and the plain key (only returned here)
+   */
+  async createKey(keyData, createdBy) {
+    try {
+      const { name, description, permissions, expires_at } = keyData;
+      const { prefix, key } = this.generateKey();
+
+      const apiKey = await ApiKey.create({
+        name,
+        description: description || null,
+        prefix,
+        key_hash: this.hashKey(key),
+        permissions: await this.validatePermissions(permissions),
+        expires_at: this.resolveExpiry(expires_at),
+        created_by: createdBy
+      });
+
+      logService.logSecurity('api_key_created', {
+        apiKeyId: apiKey.id,
+        prefix,
+        permissions: apiKey.permissions,
+        createdBy
+      });
+
+      return { apiKey, key };
+    } catch (error) {
+      logService.error('Error creating API key:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List API keys, newest first
+   * @param {Object} options - includeRevoked to also list revoked keys
+   * @returns {Promise<Array>} - Key records
+   */
+  async listKeys(options = {}) {
+    const where = options.includeRevoked ? {} : { is_active: true };
+
+    return await ApiKey.findAll({
+      where,
+      order: [['created_at', 'DESC']]
+    });
+  }
+
+  /**
+   * Update the name, description, permissions or expiry of a key
+   * @param {string} id - API key ID
+   * @param {Object} updates - name, description, permissions, expires_at
+   * @param {string} updatedBy - Admin user ID
+   * @returns {Promise<Object>} - Updated key record
+   */
+  async updateKey(id, updates, updatedBy) {
+    try {
+      const apiKey = await ApiKey.findByPk(id);
+      if (!apiKey || !apiKey.is_active) {
+        throw new Error('API key not found');
+      }
+
+      const changes = {};
+      if (updates.name !== undefined) changes.name = updates.name;
+      if (updates.description !== undefined) changes.description = updates.description;
+      if (updates.permissions !== undefined) {
+        changes.permissions = await this.validatePermissions(updates.permissions);
+      }
+      if (updates.expires_at !== undefined) {
+        changes.expires_at = this.resolveExpiry(updates.expires_at);
+      }
+
+      await apiKey.update(changes);
+
+      logService.logSecurity('api_key_updated', {
+        apiKeyId: id,
+        prefix: apiKey.prefix,
+        fields: Object.keys(changes),
+        updatedBy
+      });
+
+      return apiKey;
+    } catch (error) {
+      logService.error('Error updating API key:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke a key; it stops working immediately
+   * @param {string} id - API key ID
+   * @param {string} revokedBy - Admin user ID
+   * @returns {Promise<boolean>} - Success status
+   */
+  async revokeKey(id, revokedBy) {
+    try {
+      const apiKey = await ApiKey.findByPk(id);
+      if (!apiKey || !apiKey.is_active) {
+        throw new Error('API key not found');
+      }
+
+      await apiKey.update({
+        is_active: false,
+        revoked_at: new Date(),
+        revoked_by: revokedBy
+      });
+
+      logService.logSecurity('api_key_revoked', { apiKeyId: id, prefix: apiKey.prefix, revokedBy });
+
+      return true;
+    } catch (error) {
+      logService.error('Error revoking API key:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Look up and check a presented key
+   * @param {string} key - Plain API key from the request
+   * @param {Object} requestInfo - ipAddress of the client
+   * @returns {Promise<Object|null>} - Key record, or null if invalid, revoked or expired
+   */
+  async authenticate(key, requestInfo = {}) {
+    const [prefix] = key.split('.');
+    if (!prefix || !prefix.startsWith(`${API_KEYS.PREFIX}_`) || prefix.length > 16) {
+      return null;
+    }
+
+    const apiKey = await ApiKey.findOne({ where: { prefix, is_active: true } });
+    if (!apiKey) {
+      return null;
+    }
+
+    const presented = Buffer.from(this.hashKey(key), 'hex');
+    const stored = Buffer.from(apiKey.key_hash, 'hex');
+    if (presented.length !== stored.length || !crypto.timingSafeEqual(presented, stored)) {
+      logService.logSecurity('api_key_invalid_secret', { prefix, ipAddress: requestInfo.ipAddress });
+      return null;
+    }
+
+    if (apiKey.expires_at && apiKey.expires_at <= new Date()) {
+      return null;
+    }
+
+    // Usage is recorded at most once per interval to keep busy kiosks from writing on every request
+    const lastUsed = apiKey.last_used_at ? apiKey.last_used_at.getTime() : 0;
+    if (Date.now() - lastUsed > API_KEYS.LAST_USED_UPDATE_INTERVAL) {
+      apiKey.update({ last_used_at: new Date(), last_used_ip: requestInfo.ipAddress || null })
+        .catch(error => logService.error('Error recording API key usage:', error));
+    }
+
+    return apiKey;
+  }
+
+  /**
+   * Whether an authenticated key grants a permission
+   * @param {Object} apiKey - Key attached to the request (req.apiKey)
+   * @param {string} permission - Permission name
+   * @returns {boolean} - Whether the key has the permission
+   */
+  hasPermission(apiKey, permission) {
+    return Array.isArray(apiKey.permissions) && findMatchingPermission(apiKey.permissions, permission) !== null;
+  }
+}
+
+module.exports = new ApiKeyService();
@@ -1,8 +1,17 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
-const { User } = require('../models');
+const { Op } = require('sequelize');
+const { User, PasswordResetToken } = require('../models');
 const encryptionService = require('./encryptionService');
+const sessionService = require('./sessionService');
+const databaseService = require('./databaseService');
+const mailService = require('./mailService');
+const loginThrottleService = require('./loginThrottleService');
+const twoFactorService = require('./twoFactorService');
+const rbacService = require('./rbacService');
 const logService = require('./logService');
 const config = require('../config/config');
+const { TIME } = require('../utils/constants');
 
 // Import MongoDB models
 const UserProfile = require('../models/nosql/UserProfile');
@@ -11,9 +20,10 @@ class AuthService {
   /**
    * Register a new user
    * @param {Object} userData - User registration data
-   * @returns {Promise<Object>} - Created user and token
+   * @param {Object} loginInfo - Device information for the first session
+   * @returns {Promise<Object>} - Created user and tokens
    */
-  async register(userData) {
+  async register(userData, loginInfo = {}) {
     try {
       const { email, password, telefono, nombres, apellidos, fecha_nacimiento, rol = 'user' } = userData;
 
@@ -38,37 +48,28 @@ class AuthService {
       // Create user in PostgreSQL
       const user = await User.create({
         ...encryptedUserData,
+        email_hash: encryptionService.hashEmail(email),
+        search_tokens: encryptionService.buildSearchTokens({ email, nombres, apellidos }),
         password_hash: hashedPassword,
         rol,
         is_active: true
       });
 
-      // Create user profile in MongoDB (with try-catch for environment compatibility)
+      // Create user profile in MongoDB
+      await this.createDefaultProfile(user.id);
+
+      await this.assignLegacyRole(user);
+
+      // Open a session and issue access/refresh tokens
+      const tokens = await this.issueTokens(user, loginInfo);
+
+      // Registration succeeds even if the mail cannot be sent; the user can ask for a resend
       try {
-        await UserProfile.create({
-          user_id: user.id,
-          preferences: {
-            language: 'es',
-            voice_speed: 1.0,
-            voice_type: 'female',
-            notifications_enabled: true,
-            location_sharing: false
-          },
-          accessibility_settings: {
-            high_contrast: false,
-            large_text: false,
-            voice_guidance: true,
-            vibration_feedback: true
-          }
-        });
-      } catch (mongoError) {
-        logService.warn('Could not create user profile in MongoDB:', mongoError);
-        // Continue without MongoDB profile - it's not critical for registration
+        await this.sendVerificationEmail(user);
+      } catch (mailError) {
+        logService.error('Could not send verification email:', mailError);
       }
 
-      // Generate JWT token
-      const token = this.generateToken(user);
-
       // Decrypt user data for response
       const decryptedUser = encryptionService.decryptUserData(user.toJSON());
       delete decryptedUser.password_hash;
@@ -77,7 +78,7 @@ class AuthService {
 
       return {
         user: decryptedUser,
-        token
+        ...tokens
       };
     } catch (error) {
       logService.error('Registration failed:', error);
@@ -85,6 +86,48 @@ class AuthService {
     }
   }
 
+  /**
+   * Give a new account the RBAC role matching its users.rol value.
+   * Failures are logged rather than thrown so that signing up never depends on RBAC seeding.
+   * @param {Object} user - Created user
+   */
+  async assignLegacyRole(user) {
+    try {
+      await rbacService.syncLegacyRole(user.id, user.rol);
+    } catch (error) {
+      logService.error('Could not assign role to new user:', error);
+    }
+  }
+
+  /**
+   * Create the MongoDB profile of a new user with default preferences
+   * @param {string} userId - User ID
+   */
+  async createDefaultProfile(userId) {
+    // With try-catch for environment compatibility
+    try {
+      await UserProfile.create({
+        user_id: userId,
+        preferences: {
+          language: 'es',
+          voice_speed: 1.0,
+          voice_type: 'female',
+          notifications_enabled: true,
+          location_sharing: false
+        },
+        accessibility_settings: {
+          high_contrast: false,
+          large_text: false,
+          voice_guidance: true,
+          vibration_feedback: true
+        }
+      });
+    } catch (mongoError) {
+      logService.warn('Could not create user profile in MongoDB:', mongoError);
+      // Continue without MongoDB profile - it's not critical for registration
+    }
+  }
+
   /**
    * Login user
    * @param {string} email - User email
@@ -97,6 +140,7 @@ class AuthService {
       // Find user by email
       const user = await this.findUserByEmail(email);
       if (!user) {
+        await loginThrottleService.recordFailure({ email, ipAddress: loginInfo.ipAddress });
         throw new Error('Invalid email or password');
       }
 
@@ -108,35 +152,103 @@ class AuthService {
       // Verify password
       const isValidPassword = await encryptionService.comparePassword(password, user.password_hash);
       if (!isValidPassword) {
+        await loginThrottleService.recordFailure({ email, ipAddress: loginInfo.ipAddress, userId: user.id });
         throw new Error('Invalid email or password');
       }
 
-      // Update user profile with login information
-      await this.updateLoginHistory(user.id, loginInfo);
-
-      // Generate JWT token
-      const token = this.generateToken(user);
+      // Second step required: no session until the TOTP code is checked
+      if (await twoFactorService.isEnabled(user.id)) {
+        logService.logAuth('login_two_factor_challenge', { userId: user.id, ipAddress: loginInfo.ipAddress });
 
-      // Decrypt user data for response
-      const decryptedUser = encryptionService.decryptUserData(user.toJSON());
-      delete decryptedUser.password_hash;
+        return {
+          twoFactorRequired: true,
+          challengeToken: twoFactorService.generateChallengeToken(user.id)
+        };
+      }
 
-      logService.logAuth('login', { 
-        userId: user.id, 
-        email: decryptedUser.email,
-        ipAddress: loginInfo.ipAddress 
-      });
+      await loginThrottleService.recordSuccess({ email });
 
-      return {
-        user: decryptedUser,
-        token
-      };
+      return await this.completeLogin(user, loginInfo);
     } catch (error) {
       logService.error('Login failed:', error);
       throw error;
     }
   }
 
+  /**
+   * Second step of a two-factor login
+   * @param {string} challengeToken - Token returned by the password step
+   * @param {string} code - TOTP or recovery code
+   * @param {Object} loginInfo - Additional login information
+   * @returns {Promise<Object>} - User and token
+   */
+  async loginWithTwoFactor(challengeToken, code, loginInfo = {}) {
+    try {
+      const userId = twoFactorService.verifyChallengeToken(challengeToken);
+
+      const user = await User.findByPk(userId);
+      if (!user || !user.is_active) {
+        throw new Error('Invalid or expired two-factor challenge');
+      }
+
+      // The IP is checked by the loginThrottle middleware; the account is only known here
+      const blocked = await loginThrottleService.checkAttempt({ emailHash: user.email_hash });
+      if (blocked) {
+        throw new Error('Too many failed login attempts. Please try again later');
+      }
+
+      const verified = await twoFactorService.verifyCode(user.id, code);
+      if (!verified) {
+        await loginThrottleService.recordFailure({
+          emailHash: user.email_hash,
+          ipAddress: loginInfo.ipAddress,
+          userId: user.id
+        });
+        throw new Error('Invalid two-factor code');
+      }
+
+      await loginThrottleService.recordSuccess({ emailHash: user.email_hash });
+
+      return await this.completeLogin(user, { ...loginInfo, twoFactorMethod: verified.method });
+    } catch (error) {
+      logService.error('Two-factor login failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Open a session for an authenticated user and build the login response
+   * @param {Object} user - User model instance
+   * @param {Object} loginInfo - Additional login information
+   * @returns {Promise<Object>} - User and token
+   */
+  async completeLogin(user, loginInfo = {}) {
+    // Open a session and issue access/refresh tokens
+    const tokens = await this.issueTokens(user, loginInfo);
+
+    // Update user profile with login information
+    await this.updateLoginHistory(user.id, { ...loginInfo, sessionId: tokens.sessionId });
+
+    // Decrypt user data for response
+    const decryptedUser = encryptionService.decryptUserData(user.toJSON());
+    delete decryptedUser.password_hash;
+
+    logService.logAuth('login', { 
+      userId: user.id, 
+      email: decryptedUser.email,
+      ipAddress: loginInfo.ipAddress,
+      sessionId: tokens.sessionId,
+      twoFactorMethod: loginInfo.twoFactorMethod || null
+    });
+
+    return {
+      user: decryptedUser,
+      ...tokens,
+      // Roles that demand 2FA can only reach /api/auth until it is enabled
+      twoFactorSetupRequired: await twoFactorService.isSetupPending(user)
+    };
+  }
+
   /**
    * Find user by email
    * @param {string} email - User email
@@ -144,11 +256,9 @@ class AuthService {
    */
   async findUserByEmail(email) {
     try {
-      // Encrypt email for search
-      const encryptedEmail = encryptionService.encryptFields({ email }, ['email']).email;
-      
+      // Ciphertexts are randomized, so look up by the deterministic blind index
       const user = await User.findOne({
-        where: { email: encryptedEmail }
+        where: { email_hash: encryptionService.hashEmail(email) }
       });
 
       return user;
@@ -177,15 +287,34 @@ class AuthService {
   }
 
   /**
-   * Generate JWT token
+   * Create a session and issue an access/refresh token pair for it
+   * @param {Object} user - User object
+   * @param {Object} loginInfo - ipAddress, userAgent, deviceInfo
+   * @returns {Promise<Object>} - token, refreshToken, sessionId
+   */
+  async issueTokens(user, loginInfo = {}) {
+    const { session, refreshToken } = await sessionService.createSession(user.id, loginInfo);
+
+    return {
+      token: this.generateToken(user, session.id, await rbacService.getEffectiveRol(user)),
+      refreshToken,
+      sessionId: session.id
+    };
+  }
+
+  /**
+   * Generate JWT access token
    * @param {Object} user - User object
+   * @param {string} sessionId - Session the token belongs to
+   * @param {string} rol - Effective role (see rbacService.getEffectiveRol), defaults to users.rol
    * @returns {string} - JWT token
    */
-  generateToken(user) {
+  generateToken(user, sessionId, rol = user.rol) {
     const payload = {
       userId: user.id,
-      rol: user.rol,
-      isActive: user.is_active
+      rol,
+      isActive: user.is_active,
+      sid: sessionId
     };
 
     return jwt.sign(payload, config.security.jwtSecret, {
@@ -208,6 +337,12 @@ class AuthService {
         throw new Error('Invalid token or user not found');
       }
 
+      // Reject tokens whose session was logged out or revoked
+      const sessionActive = await sessionService.isSessionActive(decoded.sid);
+      if (!sessionActive) {
+        throw new Error('Session has been revoked');
+      }
+
       return decoded;
     } catch (error) {
       logService.error('Token verification failed:', error);
@@ -222,7 +357,7 @@ class AuthService {
    */
   async updateLoginHistory(userId, loginInfo) {
     try {
-      const { ipAddress, userAgent, deviceInfo } = loginInfo;
+      const { ipAddress, userAgent, deviceInfo, sessionId } = loginInfo;
 
       await UserProfile.findOneAndUpdate(
         { user_id: userId },
@@ -236,7 +371,8 @@ class AuthService {
               timestamp: new Date(),
               ip_address: ipAddress,
               user_agent: userAgent,
-              device_info: deviceInfo
+              device_info: deviceInfo,
+              session_id: sessionId || null
             }
           }
         },
@@ -283,6 +419,202 @@ class AuthService {
     }
   }
 
+  /**
+   * Sign an email verification token bound to the user's current email
+   * @param {Object} user - User object
+   * @returns {string} - Signed token
+   */
+  generateEmailVerificationToken(user) {
+    const payload = {
+      sub: user.id,
+      purpose: 'email_verification',
+      eh: user.email_hash
+    };
+
+    return jwt.sign(payload, config.security.jwtSecret, {
+      expiresIn: config.emailVerification.tokenExpiresIn
+    });
+  }
+
+  /**
+   * Mail a verification link to the user's email
+   * @param {Object} user - User model instance
+   * @returns {Promise<boolean>} - Success status
+   */
+  async sendVerificationEmail(user) {
+    const token = this.generateEmailVerificationToken(user);
+    const { email } = encryptionService.decryptFields(user.toJSON(), ['email']);
+
+    await mailService.sendEmailVerification(email, token, config.emailVerification.tokenExpiresIn);
+
+    logService.logAuth('email_verification_sent', { userId: user.id });
+
+    return true;
+  }
+
+  /**
+   * Mark the email of the token's user as verified
+   * @param {string} token - Signed verification token
+   * @returns {Promise<Object>} - userId and whether it was already verified
+   */
+  async verifyEmail(token) {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, config.security.jwtSecret);
+    } catch (error) {
+      throw new Error('Invalid or expired verification token');
+    }
+
+    if (decoded.purpose !== 'email_verification') {
+      throw new Error('Invalid or expired verification token');
+    }
+
+    try {
+      const user = await User.findByPk(decoded.sub);
+
+      // A token issued for a previous email must not verify the new one
+      if (!user || !user.is_active || user.email_hash !== decoded.eh) {
+        throw new Error('Invalid or expired verification token');
+      }
+
+      if (user.email_verified_at) {
+        return { userId: user.id, alreadyVerified: true };
+      }
+
+      await user.update({ email_verified_at: new Date() });
+
+      logService.logAuth('email_verified', { userId: user.id });
+
+      return { userId: user.id, alreadyVerified: false };
+    } catch (error) {
+      logService.error('Email verification failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send a new verification link to a user who has not verified yet
+   * @param {string} userId - User ID
+   * @returns {Promise<boolean>} - Success status
+   */
+  async resendVerificationEmail(userId) {
+    try {
+      const user = await User.findByPk(userId);
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      if (user.email_verified_at) {
+        throw new Error('Email is already verified');
+      }
+
+      return await this.sendVerificationEmail(user);
+    } catch (error) {
+      logService.error('Resending verification email failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Start a password reset: store a hashed single-use token and mail the plain one.
+   * Resolves silently for unknown or inactive accounts so callers cannot probe emails.
+   * @param {string} email - Account email
+   * @param {Object} requestInfo - ipAddress of the requester
+   * @returns {Promise<boolean>} - Success status
+   */
+  async requestPasswordReset(email, requestInfo = {}) {
+    try {
+      const user = await this.findUserByEmail(email);
+      if (!user || !user.is_active) {
+        logService.logSecurity('password_reset_unknown_account', { ipAddress: requestInfo.ipAddress });
+        return true;
+      }
+
+      const token = crypto.randomBytes(32).toString('base64url');
+
+      await databaseService.executeTransaction(async (transaction) => {
+        // Only the most recent link stays usable
+        await PasswordResetToken.update(
+          { used_at: new Date() },
+          { where: { user_id: user.id, used_at: null }, transaction }
+        );
+
+        await PasswordResetToken.create({
+          user_id: user.id,
+          token_hash: sessionService.hashToken(token),
+          expires_at: new Date(Date.now() + TIME.PASSWORD_RESET_EXPIRES),
+          requested_ip: requestInfo.ipAddress || null
+        }, { transaction });
+      });
+
+      try {
+        const { email: plainEmail } = encryptionService.decryptFields(user.toJSON(), ['email']);
+        await mailService.sendPasswordReset(plainEmail, token, Math.round(TIME.PASSWORD_RESET_EXPIRES / 60000));
+      } catch (mailError) {
+        // Same response either way, so a mail outage does not reveal that the account exists
+        logService.error('Could not send password reset mail:', mailError);
+      }
+
+      logService.logAuth('password_reset_requested', { userId: user.id, ipAddress: requestInfo.ipAddress });
+
+      return true;
+    } catch (error) {
+      logService.error('Password reset request failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Complete a password reset and log the user out of every session
+   * @param {string} token - Plain reset token from the mailed link
+   * @param {string} newPassword - New password
+   * @returns {Promise<boolean>} - Success status
+   */
+  async resetPassword(token, newPassword) {
+    try {
+      const hashedPassword = await encryptionService.hashPassword(newPassword);
+
+      const userId = await databaseService.executeTransaction(async (transaction) => {
+        const resetToken = await PasswordResetToken.findOne({
+          where: {
+            token_hash: sessionService.hashToken(token),
+            used_at: null,
+            expires_at: { [Op.gt]: new Date() }
+          },
+          lock: transaction.LOCK.UPDATE,
+          transaction
+        });
+
+        if (!resetToken) {
+          return null;
+        }
+
+        const user = await User.findByPk(resetToken.user_id, { transaction });
+        if (!user || !user.is_active) {
+          return null;
+        }
+
+        await user.update({ password_hash: hashedPassword }, { transaction });
+        await resetToken.update({ used_at: new Date() }, { transaction });
+
+        return user.id;
+      });
+
+      if (!userId) {
+        throw new Error('Invalid or expired reset token');
+      }
+
+      await sessionService.revokeAllUserSessions(userId, 'password_reset');
+
+      logService.logAuth('password_reset', { userId });
+
+      return true;
+    } catch (error) {
+      logService.error('Password reset failed:', error);
+      throw error;
+    }
+  }
+
   /**
    * Deactivate user account
    * @param {string} userId - User ID
@@ -296,6 +628,7 @@ class AuthService {
       }
 
       await user.update({ is_active: false });
+      await sessionService.revokeAllUserSessions(userId, 'account_deactivated');
 
       logService.logAuth('deactivate', { userId });
 
@@ -307,25 +640,49 @@ class AuthService {
   }
 
   /**
-   * Refresh JWT token
-   * @param {string} token - Current JWT token
-   * @returns {Promise<string>} - New JWT token
+   * Rotate a refresh token and issue a new access token
+   * @param {string} refreshToken - Current refresh token
+   * @returns {Promise<Object>} - New token and refreshToken
    */
-  async refreshToken(token) {
+  async refreshToken(refreshToken) {
     try {
-      const decoded = await this.verifyToken(token);
-      const user = await User.findByPk(decoded.userId);
-      
-      if (!user) {
-        throw new Error('User not found');
+      const { session, refreshToken: nextRefreshToken } = await sessionService.rotateRefreshToken(refreshToken);
+
+      const user = await User.findByPk(session.user_id);
+      if (!user || !user.is_active) {
+        await sessionService.revokeSession(session.id, 'user_inactive');
+        throw new Error('User not found or inactive');
       }
 
-      return this.generateToken(user);
+      return {
+        token: this.generateToken(user, session.id, await rbacService.getEffectiveRol(user)),
+        refreshToken: nextRefreshToken,
+        sessionId: session.id
+      };
     } catch (error) {
       logService.error('Token refresh failed:', error);
       throw error;
     }
   }
+
+  /**
+   * Logout by revoking the current session
+   * @param {string} userId - User ID
+   * @param {string} sessionId - Session ID from the access token
+   * @returns {Promise<boolean>} - Success status
+   */
+  async logout(userId, sessionId) {
+    try {
+      await sessionService.revokeSession(sessionId, 'logout');
+
+      logService.logAuth('logout', { userId, sessionId });
+
+      return true;
+    } catch (error) {
+      logService.error('Logout failed:', error);
+      throw error;
+    }
+  }
 }
 
 module.exports = new AuthService();
\ No newline at end of file
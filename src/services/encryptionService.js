@@ -1,4 +1,24 @@
-const { encrypt, decrypt, hashPassword, comparePassword } = require('../config/encryption');
+const { encrypt, decrypt, blindIndex, hashPassword, comparePassword } = require('../config/encryption');
+
+// User fields covered by the searchable blind index
+const SEARCHABLE_FIELDS = ['nombres', 'apellidos', 'email'];
+const SEARCH_TOKEN_LENGTH = 16;
+const WORD_SEPARATOR = /[^\p{L}\p{N}]+/u;
+
+/**
+ * Split text into overlapping three-character grams
+ * @param {string} text - Normalized text
+ * @returns {Array<string>} - Trigrams (the whole text if shorter than 3)
+ */
+const trigrams = (text) => {
+  if (text.length < 3) return [text];
+
+  const grams = [];
+  for (let i = 0; i <= text.length - 3; i++) {
+    grams.push(text.slice(i, i + 3));
+  }
+  return grams;
+};
 
 class EncryptionService {
   /**
@@ -84,6 +104,80 @@ class EncryptionService {
     }
   }
 
+  /**
+   * Compute the blind index used to look users up by email
+   * @param {string} email - Plaintext email
+   * @returns {string|null} - Email hash
+   */
+  hashEmail(email) {
+    if (!email) return null;
+    return blindIndex(String(email).trim().toLowerCase());
+  }
+
+  /**
+   * Normalize text for searching: lowercase, no accents, single spaces
+   * @param {string} value - Plaintext value
+   * @returns {string} - Normalized value
+   */
+  normalizeSearchText(value) {
+    if (value === undefined || value === null) return '';
+
+    return String(value)
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Build the searchable blind-index tokens for a user's PII.
+   * Each field contributes the HMAC of its trigrams (substring matches) and of
+   * the two-letter prefix of every word (short queries).
+   * @param {Object} userData - Plaintext nombres, apellidos and email
+   * @returns {Array<string>} - Unique, truncated HMAC tokens
+   */
+  buildSearchTokens(userData) {
+    const tokens = new Set();
+
+    SEARCHABLE_FIELDS.forEach(field => {
+      const text = this.normalizeSearchText(userData[field]);
+      if (!text) return;
+
+      trigrams(text).forEach(gram => tokens.add(this.searchToken(field, gram)));
+
+      text.split(WORD_SEPARATOR)
+        .filter(word => word.length >= 2)
+        .forEach(word => tokens.add(this.searchToken(field, `^${word.slice(0, 2)}`)));
+    });
+
+    return [...tokens];
+  }
+
+  /**
+   * Tokens each searchable field must contain to match a single search word
+   * @param {string} word - Normalized search word (at least 2 characters)
+   * @returns {Object} - field -> tokens to look for
+   */
+  getSearchTokens(word) {
+    const grams = word.length < 3 ? [`^${word}`] : [...new Set(trigrams(word))];
+
+    return SEARCHABLE_FIELDS.reduce((tokensByField, field) => {
+      tokensByField[field] = grams.map(gram => this.searchToken(field, gram));
+      return tokensByField;
+    }, {});
+  }
+
+  /**
+   * Blind index of one field n-gram, truncated to keep the token array small
+   * @param {string} field - Searchable field name
+   * @param {string} gram - N-gram or prefix
+   * @returns {string} - Truncated HMAC hex digest
+   */
+  searchToken(field, gram) {
+    return blindIndex(`search:${field}:${gram}`).slice(0, SEARCH_TOKEN_LENGTH);
+  }
+
   /**
    * Hash password
    * @param {string} password - Plain text password
@@ -160,4 +254,5 @@ class EncryptionService {
   }
 }
 
-module.exports = new EncryptionService();
\ No newline at end of file
+module.exports = new EncryptionService();
+module.exports.SEARCHABLE_FIELDS = SEARCHABLE_FIELDS;
\ No newline at end of file
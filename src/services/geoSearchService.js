@@ -0,0 +1,242 @@
+const { QueryTypes } = require('sequelize');
+const { sequelize } = require('../models');
+const logService = require('./logService');
+const { GEOGRAPHIC } = require('../utils/constants');
+const { validateCoordinates, parsePagination } = require('../utils/helpers');
+
+const EARTH_RADIUS_KM = 6371; // Same sphere as helpers.calculateDistance
+
+// Tables searchable by coordinates; each has latitude/longitude columns, and a geog column
+// (geography(Point, 4326) with a GiST index) once scripts/migrate-geospatial.js has run with PostGIS
+const SEARCHABLE_TABLES = ['tourist_registrations', 'route_waypoints'];
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+const toDegrees = (radians) => radians * 180 / Math.PI;
+
+class GeoSearchService {
+  constructor() {
+    // Table name -> Promise<boolean>, whether PostGIS search is available for it
+    this.geographySupport = new Map();
+  }
+
+  /**
+   * Read a nearby search from query parameters (latitude, longitude, radius in km, page, limit)
+   * @param {Object} query - Request query
+   * @returns {Object} - latitude, longitude, radiusKm, page, limit and issues (empty when valid)
+   */
+  parseNearbyQuery(query) {
+    const latitude = parseFloat(query.latitude);
+    const longitude = parseFloat(query.longitude);
+    const radiusKm = query.radius === undefined ? GEOGRAPHIC.DEFAULT_RADIUS_KM : parseFloat(query.radius);
+    const { page, limit } = parsePagination(query);
+
+    const { issues } = validateCoordinates(latitude, longitude);
+    if (isNaN(radiusKm) || radiusKm <= 0) {
+      issues.push('Radius must be a positive number of kilometers');
+    }
+
+    return { latitude, longitude, radiusKm, page, limit, issues };
+  }
+
+  /**
+   * Whether PostGIS is installed and the table has its geog column (checked once per process)
+   * @param {string} table - Table name
+   * @returns {Promise<boolean>} - Availability
+   */
+  async hasGeography(table) {
+    if (!this.geographySupport.has(table)) {
+      const check = sequelize.query(
+        `SELECT EXISTS (SELECT 1 FROM pg_extension WHERE extname = 'postgis')
+            AND EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = :table AND column_name = 'geog')
+            AS available`,
+        { replacements: { table }, type: QueryTypes.SELECT }
+      ).then(([row]) => Boolean(row && row.available), (error) => {
+        logService.warn('PostGIS detection failed, using haversine search', { table, error: error.message });
+        return false;
+      });
+
+      this.geographySupport.set(table, check);
+    }
+
+    return await this.geographySupport.get(table);
+  }
+
+  /**
+   * Latitude/longitude ranges containing every point within a distance, for the index prefilter
+   * of the haversine search. Longitude spans widen towards the poles and wrap at the antimeridian.
+   * @param {number} latitude - Center latitude
+   * @param {number} longitude - Center longitude
+   * @param {number} radiusKm - Distance in kilometers
+   * @returns {Object} - minLat, maxLat and lngRanges ([[min, max], ...], empty for no limit)
+   */
+  boundingBox(latitude, longitude, radiusKm) {
+    const angularRadius = radiusKm / EARTH_RADIUS_KM;
+    const minLat = latitude - toDegrees(angularRadius);
+    const maxLat = latitude + toDegrees(angularRadius);
+
+    // A circle containing a pole spans every longitude
+    if (minLat <= GEOGRAPHIC.LATITUDE_MIN || maxLat >= GEOGRAPHIC.LATITUDE_MAX) {
+      return {
+        minLat: Math.max(minLat, GEOGRAPHIC.LATITUDE_MIN),
+        maxLat: Math.min(maxLat, GEOGRAPHIC.LATITUDE_MAX),
+        lngRanges: []
+      };
+    }
+
+    const lngDelta = toDegrees(Math.asin(Math.sin(angularRadius) / Math.cos(toRadians(latitude))));
+    const minLng = longitude - lngDelta;
+    const maxLng = longitude + lngDelta;
+
+    let lngRanges = [[minLng, maxLng]];
+    if (minLng < GEOGRAPHIC.LONGITUDE_MIN) {
+      lngRanges = [[minLng + 360, GEOGRAPHIC.LONGITUDE_MAX], [GEOGRAPHIC.LONGITUDE_MIN, maxLng]];
+    } else if (maxLng > GEOGRAPHIC.LONGITUDE_MAX) {
+      lngRanges = [[minLng, GEOGRAPHIC.LONGITUDE_MAX], [GEOGRAPHIC.LONGITUDE_MIN, maxLng - 360]];
+    }
+
+    return { minLat, maxLat, lngRanges };
+  }
+
+  /**
+   * Distance expression and filters of one search method
+   * @param {string} table - Table name
+   * @param {Object} center - latitude, longitude and radiusKm
+   * @returns {Promise<Object>} - distanceSql, conditions, replacements and method
+   */
+  async buildDistanceQuery(table, { latitude, longitude, radiusKm }) {
+    const replacements = { lat: latitude, lng: longitude, radiusKm };
+
+    if (await this.hasGeography(table)) {
+      const point = 'ST_SetSRID(ST_MakePoint(:lng, :lat), 4326)::geography';
+      return {
+        method: 'postgis',
+        distanceSql: `ST_Distance(geog, ${point}) / 1000`,
+        conditions: ['geog IS NOT NULL', `ST_DWithin(geog, ${point}, :radiusKm * 1000)`],
+        replacements
+      };
+    }
+
+    const box = this.boundingBox(latitude, longitude, radiusKm);
+    const conditions = [
+      'latitude IS NOT NULL',
+      'longitude IS NOT NULL',
+      'latitude BETWEEN :minLat AND :maxLat'
+    ];
+    Object.assign(replacements, { minLat: box.minLat, maxLat: box.maxLat });
+
+    if (box.lngRanges.length > 0) {
+      conditions.push(`(${box.lngRanges.map((range, index) => {
+        replacements[`minLng${index}`] = range[0];
+        replacements[`maxLng${index}`] = range[1];
+        return `longitude BETWEEN :minLng${index} AND :maxLng${index}`;
+      }).join(' OR ')})`);
+    }
+
+    return {
+      method: 'haversine',
+      distanceSql: `2 * ${EARTH_RADIUS_KM} * ASIN(LEAST(1, SQRT(
+        POWER(SIN(RADIANS(latitude::float8 - :lat) / 2), 2) +
+        COS(RADIANS(:lat)) * COS(RADIANS(latitude::float8)) * POWER(SIN(RADIANS(longitude::float8 - :lng) / 2), 2)
+      )))`,
+      conditions,
+      replacements
+    };
+  }
+
+  /**
+   * Rows of a table within a distance of a point, nearest first
+   * @param {string} table - One of SEARCHABLE_TABLES
+   * @param {Object} options - latitude, longitude, radiusKm (capped at GEOGRAPHIC.MAX_RADIUS_KM),
+   *   page, limit (null for every match), where (column -> value, or array of values, filters),
+   *   conditions (trusted SQL fragments) and columns (extra columns to return with each result)
+   * @returns {Promise<Object>} - results ([{ id, distance_km, ...columns }]), total, radiusKm and method
+   */
+  async findNearby(table, options) {
+    if (!SEARCHABLE_TABLES.includes(table)) {
+      throw new Error(`Table '${table}' does not support nearby search`);
+    }
+
+    const {
+      latitude,
+      longitude,
+      page = 1,
+      limit = 10,
+      where = {},
+      conditions: extraConditions = [],
+      columns = []
+    } = options;
+    const radiusKm = Math.min(options.radiusKm || GEOGRAPHIC.DEFAULT_RADIUS_KM, GEOGRAPHIC.MAX_RADIUS_KM);
+
+    // IN () is not valid SQL, and nothing can match anyway
+    if (Object.values(where).some(value => Array.isArray(value) && value.length === 0)) {
+      return { results: [], total: 0, radiusKm, method: null };
+    }
+
+    const { method, distanceSql, conditions, replacements } = await this.buildDistanceQuery(table, { latitude, longitude, radiusKm });
+
+    columns.forEach(column => {
+      if (!/^[a-z_]+$/.test(column)) {
+        throw new Error(`Invalid column '${column}'`);
+      }
+    });
+    const selected = ['id', ...columns.map(column => `"${column}"`)].join(', ');
+
+    Object.entries(where).forEach(([column, value]) => {
+      if (!/^[a-z_]+$/.test(column)) {
+        throw new Error(`Invalid filter column '${column}'`);
+      }
+      replacements[`where_${column}`] = value;
+      conditions.push(Array.isArray(value)
+        ? `"${column}" IN (:where_${column})`
+        : `"${column}" = :where_${column}`);
+    });
+    conditions.push(...extraConditions);
+
+    // The prefilter (index or bounding box) is only approximate; the distance decides
+    const nearbySql = `SELECT ${selected}, ${distanceSql} AS distance_km FROM "${table}" WHERE ${conditions.join(' AND ')}`;
+    const rankedSql = `SELECT * FROM (${nearbySql}) nearby
+       WHERE distance_km <= :radiusKm
+       ORDER BY distance_km ASC, id ASC`;
+
+    let results;
+    let total;
+    if (limit === null) {
+      results = await sequelize.query(rankedSql, { replacements, type: QueryTypes.SELECT });
+      total = results.length;
+    } else {
+      [{ total }] = await sequelize.query(
+        `SELECT COUNT(*)::int AS total FROM (${nearbySql}) nearby WHERE distance_km <= :radiusKm`,
+        { replacements, type: QueryTypes.SELECT }
+      );
+
+      results = total === 0 ? [] : await sequelize.query(`${rankedSql} LIMIT :limit OFFSET :offset`, {
+        replacements: { ...replacements, limit, offset: (page - 1) * limit },
+        type: QueryTypes.SELECT
+      });
+    }
+
+    return {
+      results: results.map(row => ({ ...row, distance_km: Number(Number(row.distance_km).toFixed(3)) })),
+      total,
+      radiusKm,
+      method
+    };
+  }
+
+  /**
+   * Attach distance_km to loaded records, in the order of the search results
+   * @param {Array<Object>} results - findNearby results
+   * @param {Array<Object>} records - Model instances loaded by ID
+   * @param {Function} format - Turns a record into a plain object (toJSON by default)
+   * @returns {Array<Object>} - Plain records with distance_km, nearest first
+   */
+  attachDistances(results, records, format = record => record.toJSON()) {
+    const byId = new Map(records.map(record => [record.id, record]));
+
+    return results
+      .filter(result => byId.has(result.id))
+      .map(result => ({ ...format(byId.get(result.id)), distance_km: result.distance_km }));
+  }
+}
+
+module.exports = new GeoSearchService();
@@ -0,0 +1,222 @@
+const { Op, UniqueConstraintError } = require('sequelize');
+const { LoginThrottle, User } = require('../models');
+const encryptionService = require('./encryptionService');
+const databaseService = require('./databaseService');
+const logService = require('./logService');
+const config = require('../config/config');
+
+class LoginThrottleService {
+  /**
+   * Throttle keys for a login attempt
+   * @param {Object} attempt - email (or its emailHash) and ipAddress
+   * @returns {Array<Object>} - scope/key pairs
+   */
+  getKeys({ email, emailHash, ipAddress }) {
+    const keys = [];
+
+    // Keyed by the email blind index so unknown emails are throttled the same way
+    const accountKey = emailHash || (email && encryptionService.hashEmail(email));
+    if (accountKey) {
+      keys.push({ scope: 'account', key: accountKey });
+    }
+    if (ipAddress) {
+      keys.push({ scope: 'ip', key: ipAddress });
+    }
+
+    return keys;
+  }
+
+  /**
+   * Check whether a login attempt may proceed
+   * @param {Object} attempt - email and ipAddress
+   * @returns {Promise<Object|null>} - null if allowed, otherwise scope, locked and retryAfter (seconds)
+   */
+  async checkAttempt(attempt) {
+    const now = new Date();
+    const keys = this.getKeys(attempt);
+
+    if (keys.length === 0) {
+      return null;
+    }
+
+    const throttles = await LoginThrottle.findAll({
+      where: { [Op.or]: keys }
+    });
+
+    for (const throttle of throttles) {
+      const blockedUntil = [throttle.locked_until, throttle.next_attempt_at]
+        .filter(date => date && date > now)
+        .sort((a, b) => b - a)[0];
+
+      if (blockedUntil) {
+        return {
+          scope: throttle.scope,
+          locked: !!throttle.locked_until && throttle.locked_until > now,
+          retryAfter: Math.ceil((blockedUntil - now) / 1000)
+        };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Record a failed login for both the account and the client IP
+   * @param {Object} attempt - email, ipAddress and userId (if the account exists)
+   */
+  async recordFailure(attempt) {
+    for (const { scope, key } of this.getKeys(attempt)) {
+      try {
+        await this.incrementFailures(scope, key, attempt);
+      } catch (error) {
+        // Throttling must never turn a bad password into a server error
+        logService.error('Error recording login failure:', error);
+      }
+    }
+  }
+
+  /**
+   * Increment the failure counter of one key, applying delays and lockout
+   * @param {string} scope - 'account' or 'ip'
+   * @param {string} key - Email blind index or IP address
+   * @param {Object} attempt - Context for the security log
+   * @param {boolean} retried - Whether this is the retry after a concurrent insert
+   */
+  async incrementFailures(scope, key, attempt, retried = false) {
+    const { accountMaxFailures, ipMaxFailures, failureWindowMinutes, lockoutMinutes } = config.bruteForce;
+    const maxFailures = scope === 'account' ? accountMaxFailures : ipMaxFailures;
+
+    try {
+      const lockout = await databaseService.executeTransaction(async (transaction) => {
+        const now = new Date();
+        let throttle = await LoginThrottle.findOne({
+          where: { scope, key },
+          lock: transaction.LOCK.UPDATE,
+          transaction
+        });
+
+        if (!throttle) {
+          throttle = await LoginThrottle.create({ scope, key }, { transaction });
+        }
+
+        // Failures older than the window, or from before an expired lockout, no longer count
+        const windowStart = new Date(now.getTime() - failureWindowMinutes * 60 * 1000);
+        const stale = !throttle.last_failure_at || throttle.last_failure_at < windowStart;
+        const lockExpired = throttle.locked_until && throttle.locked_until <= now;
+        const failures = (stale || lockExpired ? 0 : throttle.failures) + 1;
+
+        const updates = {
+          failures,
+          last_failure_at: now,
+          next_attempt_at: scope === 'account' ? new Date(now.getTime() + this.getDelayMs(failures)) : null,
+          locked_until: lockExpired ? null : throttle.locked_until
+        };
+
+        if (failures >= maxFailures) {
+          updates.locked_until = new Date(now.getTime() + lockoutMinutes * 60 * 1000);
+        }
+
+        await throttle.update(updates, { transaction });
+
+        return failures >= maxFailures ? { failures, lockedUntil: updates.locked_until } : null;
+      });
+
+      if (lockout) {
+        logService.logSecurity('login_lockout', {
+          scope,
+          userId: attempt.userId || null,
+          ipAddress: attempt.ipAddress,
+          failures: lockout.failures,
+          lockedUntil: lockout.lockedUntil
+        });
+      }
+    } catch (error) {
+      // Two first failures for the same key raced on the insert
+      if (error instanceof UniqueConstraintError && !retried) {
+        return await this.incrementFailures(scope, key, attempt, true);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Progressive delay before the next attempt: none after the first failure, then doubling
+   * @param {number} failures - Consecutive failures
+   * @returns {number} - Delay in milliseconds
+   */
+  getDelayMs(failures) {
+    const { baseDelayMs, maxDelayMs } = config.bruteForce;
+
+    if (failures <= 1) return 0;
+    return Math.min(baseDelayMs * 2 ** (failures - 2), maxDelayMs);
+  }
+
+  /**
+   * Clear the account counter after a successful login
+   * @param {Object} attempt - email or emailHash
+   */
+  async recordSuccess(attempt) {
+    try {
+      const [accountKey] = this.getKeys({ email: attempt.email, emailHash: attempt.emailHash });
+      if (!accountKey) return;
+
+      await LoginThrottle.destroy({
+        where: { scope: 'account', key: accountKey.key }
+      });
+    } catch (error) {
+      logService.error('Error clearing login failures:', error);
+    }
+  }
+
+  /**
+   * Lockout state of a user's account
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - failures, locked, lockedUntil
+   */
+  async getAccountStatus(userId) {
+    const user = await User.findByPk(userId, { attributes: ['id', 'email_hash'] });
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const throttle = await LoginThrottle.findOne({
+      where: { scope: 'account', key: user.email_hash }
+    });
+
+    const now = new Date();
+    return {
+      failures: throttle ? throttle.failures : 0,
+      locked: !!throttle?.locked_until && throttle.locked_until > now,
+      lockedUntil: throttle?.locked_until > now ? throttle.locked_until : null,
+      lastFailureAt: throttle ? throttle.last_failure_at : null
+    };
+  }
+
+  /**
+   * Lift the lockout of a user's account (admin action)
+   * @param {string} userId - User ID
+   * @param {string} unlockedBy - Admin user ID
+   * @returns {Promise<boolean>} - Whether there was anything to clear
+   */
+  async unlockAccount(userId, unlockedBy) {
+    try {
+      const user = await User.findByPk(userId, { attributes: ['id', 'email_hash'] });
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      const count = await LoginThrottle.destroy({
+        where: { scope: 'account', key: user.email_hash }
+      });
+
+      logService.logSecurity('login_lockout_cleared', { userId, unlockedBy });
+
+      return count > 0;
+    } catch (error) {
+      logService.error('Error unlocking account:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new LoginThrottleService();
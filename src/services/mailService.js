@@ -0,0 +1,212 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const config = require('../config/config');
+const logService = require('./logService');
+
+/**
+ * Development transport: prints the message to stdout (never to the log files,
+ * since messages carry one-time links)
+ */
+const consoleTransport = {
+  async send(message) {
+    console.log([
+      '📧 ----------------------------------------',
+      `From: ${message.from}`,
+      `To: ${message.to}`,
+      `Subject: ${message.subject}`,
+      '',
+      message.text,
+      '-------------------------------------------'
+    ].join('\n'));
+  }
+};
+
+/**
+ * Development transport: writes each message as an .eml file to config.mail.fileDir
+ */
+const fileTransport = {
+  async send(message) {
+    await fs.promises.mkdir(config.mail.fileDir, { recursive: true });
+
+    const filename = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.eml`;
+    const content = [
+      `From: ${message.from}`,
+      `To: ${message.to}`,
+      `Subject: ${message.subject}`,
+      `Date: ${new Date().toUTCString()}`,
+      'Content-Type: text/plain; charset=utf-8',
+      '',
+      message.text
+    ].join('\r\n');
+
+    await fs.promises.writeFile(path.join(config.mail.fileDir, filename), content);
+  }
+};
+
+/**
+ * Production transport: delivers through the SMTP server in config.mail.smtp
+ */
+const smtpTransport = {
+  async send(message) {
+    if (!this.transporter) {
+      const { host, port, secure, user, password } = config.mail.smtp;
+      this.transporter = nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        auth: user ? { user, pass: password } : undefined
+      });
+    }
+
+    await this.transporter.sendMail(message);
+  }
+};
+
+// Transports that keep one-time links readable on this machine
+const DEVELOPMENT_TRANSPORTS = ['console', 'file'];
+
+class MailService {
+  constructor() {
+    this.transports = new Map([
+      ['smtp', smtpTransport],
+      ['console', consoleTransport],
+      ['file', fileTransport]
+    ]);
+  }
+
+  /**
+   * Register a transport (e.g. SMTP or a provider API) selectable via MAIL_TRANSPORT
+   * @param {string} name - Transport name
+   * @param {Object} transport - Object with an async send(message) method
+   */
+  registerTransport(name, transport) {
+    if (!transport || typeof transport.send !== 'function') {
+      throw new Error('Mail transport must implement send(message)');
+    }
+    this.transports.set(name, transport);
+  }
+
+  /**
+   * Check the configured transport at startup: it must be set and registered, and production
+   * must not print or store one-time links locally
+   * @throws {Error} - When mail could not be delivered safely
+   */
+  assertConfigured() {
+    if (!config.mail.transport) {
+      throw new Error('MAIL_TRANSPORT is not set; the console transport is only a default in development');
+    }
+    if (!this.transports.has(config.mail.transport)) {
+      throw new Error(`Unknown mail transport: ${config.mail.transport}`);
+    }
+    if (config.server.nodeEnv === 'production' && DEVELOPMENT_TRANSPORTS.includes(config.mail.transport)) {
+      throw new Error(`Mail transport '${config.mail.transport}' is for development only and cannot be used in production`);
+    }
+    if (config.mail.transport === 'smtp' && !config.mail.smtp.host) {
+      throw new Error('SMTP_HOST is required for the smtp mail transport');
+    }
+  }
+
+  /**
+   * Send a plain-text message through the configured transport
+   * @param {Object} message - to, subject, text (from defaults to config.mail.from)
+   * @returns {Promise<boolean>} - Success status
+   */
+  async send(message) {
+    if (!config.mail.transport) {
+      throw new Error('MAIL_TRANSPORT is not set');
+    }
+
+    const transport = this.transports.get(config.mail.transport);
+    if (!transport) {
+      throw new Error(`Unknown mail transport: ${config.mail.transport}`);
+    }
+
+    try {
+      await transport.send({ from: config.mail.from, ...message });
+
+      logService.info('Mail sent', { transport: config.mail.transport, subject: message.subject });
+
+      return true;
+    } catch (error) {
+      logService.error('Error sending mail:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send the password reset link
+   * @param {string} to - Recipient email
+   * @param {string} token - Plain reset token
+   * @param {number} expiresInMinutes - Token lifetime
+   * @returns {Promise<boolean>} - Success status
+   */
+  async sendPasswordReset(to, token, expiresInMinutes) {
+    const link = `${config.mail.passwordResetUrl}?token=${encodeURIComponent(token)}`;
+
+    return await this.send({
+      to,
+      subject: 'Restablecer contraseña / Reset your password',
+      text: [
+        'Recibimos una solicitud para restablecer tu contraseña de OpenBlind.',
+        'We received a request to reset your OpenBlind password.',
+        '',
+        link,
+        '',
+        `El enlace caduca en ${expiresInMinutes} minutos y solo puede usarse una vez.`,
+        `The link expires in ${expiresInMinutes} minutes and can only be used once.`,
+        '',
+        'Si no lo solicitaste, ignora este mensaje. / If you did not request it, ignore this message.'
+      ].join('\n')
+    });
+  }
+
+  /**
+   * Send the email verification link
+   * @param {string} to - Recipient email
+   * @param {string} token - Signed verification token
+   * @param {string} expiresIn - Token lifetime (e.g. '24h')
+   * @returns {Promise<boolean>} - Success status
+   */
+  async sendEmailVerification(to, token, expiresIn) {
+    const link = `${config.mail.emailVerificationUrl}?token=${encodeURIComponent(token)}`;
+
+    return await this.send({
+      to,
+      subject: 'Confirma tu correo / Verify your email',
+      text: [
+        'Confirma tu dirección de correo para completar tu registro en OpenBlind.',
+        'Please confirm your email address to finish signing up for OpenBlind.',
+        '',
+        link,
+        '',
+        `El enlace caduca en ${expiresIn}. / The link expires in ${expiresIn}.`
+      ].join('\n')
+    });
+  }
+
+  /**
+   * Tell the holder of a temporary role that it is about to expire
+   * @param {string} to - Recipient email
+   * @param {string} roleName - Display name of the role
+   * @param {Date} expiresAt - When the assignment expires
+   * @returns {Promise<boolean>} - Success status
+   */
+  async sendRoleExpiryNotice(to, roleName, expiresAt) {
+    const when = expiresAt.toISOString();
+
+    return await this.send({
+      to,
+      subject: 'Tu rol temporal caduca pronto / Your temporary role expires soon',
+      text: [
+        `Tu acceso como "${roleName}" en OpenBlind caduca el ${when}.`,
+        `Your "${roleName}" access on OpenBlind expires on ${when}.`,
+        '',
+        'Si necesitas más tiempo, contacta con un administrador. / If you need more time, contact an administrator.'
+      ].join('\n')
+    });
+  }
+}
+
+module.exports = new MailService();
@@ -0,0 +1,333 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { User, UserIdentity, OidcAuthRequest } = require('../models');
+const authService = require('./authService');
+const encryptionService = require('./encryptionService');
+const databaseService = require('./databaseService');
+const loginThrottleService = require('./loginThrottleService');
+const twoFactorService = require('./twoFactorService');
+const logService = require('./logService');
+const config = require('../config/config');
+
+// openid-client is an ES module, so it is loaded on first use
+let clientModule = null;
+const loadClient = async () => {
+  if (!clientModule) {
+    clientModule = await import('openid-client');
+  }
+  return clientModule;
+};
+
+const hashState = (state) => crypto.createHash('sha256').update(state).digest('hex');
+
+class OidcService {
+  constructor() {
+    // provider name -> Promise of the discovered openid-client Configuration
+    this.configurations = new Map();
+  }
+
+  /**
+   * Configured provider settings
+   * @param {string} providerName - Provider name from config.oidc.providers
+   * @returns {Object} - Provider settings
+   */
+  getProvider(providerName) {
+    const provider = config.oidc.providers[providerName];
+    if (!provider) {
+      throw new Error('Unknown OIDC provider');
+    }
+    return provider;
+  }
+
+  /**
+   * Names of the configured providers
+   * @returns {Array<string>} - Provider names
+   */
+  listProviders() {
+    return Object.keys(config.oidc.providers);
+  }
+
+  /**
+   * Callback URL registered with the provider
+   * @param {string} providerName - Provider name
+   * @returns {string} - Redirect URI
+   */
+  getRedirectUri(providerName) {
+    return `${config.oidc.callbackBaseUrl}/api/auth/oidc/${encodeURIComponent(providerName)}/callback`;
+  }
+
+  /**
+   * Discover the provider metadata once and cache it
+   * @param {string} providerName - Provider name
+   * @returns {Promise<Object>} - openid-client Configuration
+   */
+  async getConfiguration(providerName) {
+    const provider = this.getProvider(providerName);
+
+    if (!this.configurations.has(providerName)) {
+      const discovery = (async () => {
+        const client = await loadClient();
+
+        return await client.discovery(
+          new URL(provider.issuer),
+          provider.clientId,
+          {
+            client_secret: provider.clientSecret || undefined,
+            redirect_uris: [this.getRedirectUri(providerName)]
+          },
+          provider.clientSecret ? undefined : client.None(),
+          provider.allowInsecure ? { execute: [client.allowInsecureRequests] } : undefined
+        );
+      })();
+
+      this.configurations.set(providerName, discovery);
+
+      // Do not cache failures: the issuer may just be unreachable right now
+      discovery.catch(() => this.configurations.delete(providerName));
+    }
+
+    return await this.configurations.get(providerName);
+  }
+
+  /**
+   * Start an authorization code flow with PKCE
+   * @param {string} providerName - Provider name
+   * @param {Object} requestInfo - ipAddress of the client
+   * @returns {Promise<Object>} - authorizationUrl to send the user to
+   */
+  async startLogin(providerName, requestInfo = {}) {
+    try {
+      const provider = this.getProvider(providerName);
+      const configuration = await this.getConfiguration(providerName);
+      const client = await loadClient();
+
+      const state = client.randomState();
+      const nonce = client.randomNonce();
+      const codeVerifier = client.randomPKCECodeVerifier();
+      const codeChallenge = await client.calculatePKCECodeChallenge(codeVerifier);
+
+      // Abandoned flows are cleaned up whenever a new one starts
+      await OidcAuthRequest.destroy({
+        where: { expires_at: { [Op.lt]: new Date() } }
+      });
+
+      await OidcAuthRequest.create({
+        state_hash: hashState(state),
+        provider: providerName,
+        code_verifier: encryptionService.encryptFields({ codeVerifier }, ['codeVerifier']).codeVerifier,
+        nonce,
+        requested_ip: requestInfo.ipAddress || null,
+        expires_at: new Date(Date.now() + config.oidc.stateExpiresInMinutes * 60 * 1000)
+      });
+
+      const authorizationUrl = client.buildAuthorizationUrl(configuration, {
+        redirect_uri: this.getRedirectUri(providerName),
+        scope: provider.scope,
+        state,
+        nonce,
+        code_challenge: codeChallenge,
+        code_challenge_method: 'S256'
+      });
+
+      return { authorizationUrl: authorizationUrl.href };
+    } catch (error) {
+      logService.error('Error starting OIDC login:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Complete the flow: exchange the code, resolve the local user and log them in
+   * @param {string} providerName - Provider name
+   * @param {URL} currentUrl - Callback URL including the provider's query parameters
+   * @param {Object} loginInfo - Additional login information
+   * @returns {Promise<Object>} - Same result as authService.login
+   */
+  async handleCallback(providerName, currentUrl, loginInfo = {}) {
+    try {
+      this.getProvider(providerName);
+
+      const state = currentUrl.searchParams.get('state');
+      if (!state) {
+        throw new Error('Invalid or expired OIDC login request');
+      }
+
+      // Single use: the request is deleted whether or not the exchange succeeds
+      const authRequest = await OidcAuthRequest.findOne({
+        where: { state_hash: hashState(state), provider: providerName }
+      });
+      const consumed = authRequest && await OidcAuthRequest.destroy({ where: { id: authRequest.id } });
+      if (!consumed || authRequest.expires_at <= new Date()) {
+        throw new Error('Invalid or expired OIDC login request');
+      }
+
+      const providerError = currentUrl.searchParams.get('error');
+      if (providerError) {
+        throw new Error(`OIDC provider returned an error: ${providerError}`);
+      }
+
+      const { codeVerifier } = encryptionService.decryptFields(
+        { codeVerifier: authRequest.code_verifier },
+        ['codeVerifier']
+      );
+
+      let claims;
+      try {
+        const configuration = await this.getConfiguration(providerName);
+        const client = await loadClient();
+
+        const tokens = await client.authorizationCodeGrant(configuration, currentUrl, {
+          pkceCodeVerifier: codeVerifier,
+          expectedState: state,
+          expectedNonce: authRequest.nonce,
+          idTokenExpected: true
+        });
+        claims = tokens.claims();
+      } catch (error) {
+        logService.logSecurity('oidc_login_failed', {
+          provider: providerName,
+          ipAddress: loginInfo.ipAddress,
+          reason: error.code || error.message
+        });
+        throw new Error('OIDC authentication failed');
+      }
+
+      const user = await this.resolveUser(providerName, claims);
+
+      if (!user.is_active) {
+        throw new Error('User account is deactivated');
+      }
+
+      // Accounts with 2FA still need the second step, exactly like a password login
+      if (await twoFactorService.isEnabled(user.id)) {
+        logService.logAuth('login_two_factor_challenge', { userId: user.id, ipAddress: loginInfo.ipAddress, provider: providerName });
+
+        return {
+          twoFactorRequired: true,
+          challengeToken: twoFactorService.generateChallengeToken(user.id)
+        };
+      }
+
+      await loginThrottleService.recordSuccess({ emailHash: user.email_hash });
+
+      return await authService.completeLogin(user, { ...loginInfo, provider: providerName });
+    } catch (error) {
+      logService.error('OIDC login failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the user linked to a provider identity, linking or provisioning on first login
+   * @param {string} providerName - Provider name
+   * @param {Object} claims - Validated ID token claims
+   * @returns {Promise<Object>} - User model instance
+   */
+  async resolveUser(providerName, claims) {
+    const identity = await UserIdentity.findOne({
+      where: { provider: providerName, subject: claims.sub },
+      include: [{ model: User, as: 'user' }]
+    });
+
+    if (identity) {
+      await identity.update({ last_login_at: new Date() });
+      return identity.user;
+    }
+
+    if (!claims.email) {
+      throw new Error('OIDC provider did not return an email address');
+    }
+
+    const emailHash = encryptionService.hashEmail(claims.email);
+    const existingUser = await User.findOne({ where: { email_hash: emailHash } });
+
+    if (existingUser) {
+      // Linking by email is only safe when the provider vouches for the address
+      if (claims.email_verified !== true) {
+        throw new Error('An account with this email already exists and the provider has not verified the email');
+      }
+
+      await this.linkIdentity(existingUser, providerName, claims);
+
+      if (!existingUser.email_verified_at) {
+        await existingUser.update({ email_verified_at: new Date() });
+      }
+
+      return existingUser;
+    }
+
+    return await this.provisionUser(providerName, claims);
+  }
+
+  /**
+   * Link a provider identity to an existing user
+   * @param {Object} user - User model instance
+   * @param {string} providerName - Provider name
+   * @param {Object} claims - Validated ID token claims
+   * @param {Object} transaction - Optional transaction
+   * @returns {Promise<Object>} - Created identity
+   */
+  async linkIdentity(user, providerName, claims, transaction = null) {
+    const identity = await UserIdentity.create({
+      user_id: user.id,
+      provider: providerName,
+      subject: claims.sub,
+      email_hash: claims.email ? encryptionService.hashEmail(claims.email) : null,
+      last_login_at: new Date()
+    }, { transaction });
+
+    logService.logSecurity('oidc_identity_linked', { userId: user.id, provider: providerName });
+
+    return identity;
+  }
+
+  /**
+   * Create a local account for a first-time OIDC user
+   * @param {string} providerName - Provider name
+   * @param {Object} claims - Validated ID token claims
+   * @returns {Promise<Object>} - Created user
+   */
+  async provisionUser(providerName, claims) {
+    const userData = {
+      email: claims.email,
+      nombres: claims.given_name || claims.name || null,
+      apellidos: claims.family_name || null
+    };
+
+    // No usable password: the account signs in through the provider (or sets one via forgot-password)
+    const hashedPassword = await encryptionService.hashPassword(crypto.randomBytes(32).toString('base64url'));
+
+    const user = await databaseService.executeTransaction(async (transaction) => {
+      const created = await User.create({
+        ...encryptionService.encryptUserData(userData),
+        email_hash: encryptionService.hashEmail(claims.email),
+        search_tokens: encryptionService.buildSearchTokens(userData),
+        password_hash: hashedPassword,
+        rol: 'user',
+        is_active: true,
+        email_verified_at: claims.email_verified === true ? new Date() : null
+      }, { transaction });
+
+      await this.linkIdentity(created, providerName, claims, transaction);
+
+      return created;
+    });
+
+    await authService.createDefaultProfile(user.id);
+    await authService.assignLegacyRole(user);
+
+    if (!user.email_verified_at) {
+      try {
+        await authService.sendVerificationEmail(user);
+      } catch (mailError) {
+        logService.error('Could not send verification email:', mailError);
+      }
+    }
+
+    logService.logAuth('register', { userId: user.id, email: claims.email, provider: providerName });
+
+    return user;
+  }
+}
+
+module.exports = new OidcService();
@@ -0,0 +1,185 @@
+const config = require('../config/config');
+const logService = require('./logService');
+
+const MAX_MEMORY_ENTRIES = 10000;
+
+/**
+ * Default store: a per-process Map with expiry, evicting the oldest entries when full
+ */
+const createMemoryStore = () => {
+  const entries = new Map();
+
+  return {
+    name: 'memory',
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return null;
+      }
+      return entry.value;
+    },
+    async set(key, value, ttlMs) {
+      // Re-inserting moves the key to the end, so the first key is always the oldest
+      entries.delete(key);
+      if (entries.size >= MAX_MEMORY_ENTRIES) {
+        entries.delete(entries.keys().next().value);
+      }
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+    async clear() {
+      entries.clear();
+    },
+    size() {
+      return entries.size;
+    }
+  };
+};
+
+class PermissionCacheService {
+  constructor() {
+    this.store = createMemoryStore();
+    // User ID -> { generation, load } of the database load in progress
+    this.pending = new Map();
+    // Bumped on every invalidation so loads that started earlier are not cached
+    this.generation = 0;
+    this.stats = { hits: 0, misses: 0, invalidations: 0, errors: 0 };
+  }
+
+  /**
+   * Replace the backing store (e.g. Redis, to share the cache between instances)
+   * @param {Object} store - name plus async get(key), set(key, value, ttlMs), delete(key), clear()
+   */
+  setStore(store) {
+    const methods = ['get', 'set', 'delete', 'clear'];
+    if (!store || methods.some(method => typeof store[method] !== 'function')) {
+      throw new Error('Permission cache store must implement get, set, delete and clear');
+    }
+    this.store = store;
+  }
+
+  /**
+   * Cache lifetime in milliseconds; 0 disables caching
+   * @returns {number} - TTL
+   */
+  getTtlMs() {
+    const seconds = config.rbac.permissionCacheTtlSeconds;
+    return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : 0;
+  }
+
+  /**
+   * Return the cached access of a user, loading and caching it on a miss
+   * @param {string} userId - User ID
+   * @param {Function} loader - async () => access ({ roles, permissions, validUntil })
+   * @returns {Promise<Object>} - Cached or freshly loaded access
+   */
+  async getOrLoad(userId, loader) {
+    const ttlMs = this.getTtlMs();
+    if (ttlMs === 0) {
+      return await loader();
+    }
+
+    try {
+      const cached = await this.store.get(userId);
+      if (cached) {
+        this.stats.hits++;
+        return cached;
+      }
+    } catch (error) {
+      // A failing store only costs the database round trip
+      this.stats.errors++;
+      logService.error('Permission cache read failed:', error);
+    }
+
+    this.stats.misses++;
+
+    // Concurrent misses for the same user share one database load, unless it started before an
+    // invalidation and may return the access from before the change
+    const generation = this.generation;
+    const inFlight = this.pending.get(userId);
+    if (inFlight && inFlight.generation === generation) {
+      return await inFlight.load;
+    }
+
+    const load = (async () => {
+      const access = await loader();
+
+      // Never serve access past the moment one of its role assignments expires
+      const entryTtlMs = access.validUntil ? Math.min(ttlMs, access.validUntil - Date.now()) : ttlMs;
+
+      if (generation === this.generation && entryTtlMs > 0) {
+        try {
+          await this.store.set(userId, access, entryTtlMs);
+        } catch (error) {
+          this.stats.errors++;
+          logService.error('Permission cache write failed:', error);
+        }
+      }
+      return access;
+    })();
+
+    this.pending.set(userId, { generation, load });
+    try {
+      return await load;
+    } finally {
+      // A newer load may have replaced this one after an invalidation
+      if (this.pending.get(userId)?.load === load) {
+        this.pending.delete(userId);
+      }
+    }
+  }
+
+  /**
+   * Drop the cached access of one user (role assigned or removed)
+   * @param {string} userId - User ID
+   */
+  async invalidateUser(userId) {
+    this.generation++;
+    this.stats.invalidations++;
+
+    try {
+      await this.store.delete(userId);
+    } catch (error) {
+      this.stats.errors++;
+      logService.error('Permission cache invalidation failed:', error);
+    }
+  }
+
+  /**
+   * Drop every cached entry (a role or its permissions changed)
+   */
+  async invalidateAll() {
+    this.generation++;
+    this.stats.invalidations++;
+
+    try {
+      await this.store.clear();
+    } catch (error) {
+      this.stats.errors++;
+      logService.error('Permission cache invalidation failed:', error);
+    }
+  }
+
+  /**
+   * Counters for /health
+   * @returns {Object} - store, ttlSeconds, hits, misses, hitRate, invalidations, errors, size
+   */
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+
+    return {
+      store: this.store.name || 'custom',
+      ttlSeconds: this.getTtlMs() / 1000,
+      ...this.stats,
+      hitRate: lookups > 0 ? Number((this.stats.hits / lookups).toFixed(4)) : null,
+      size: typeof this.store.size === 'function' ? this.store.size() : null
+    };
+  }
+}
+
+module.exports = new PermissionCacheService();
@@ -0,0 +1,503 @@
+const yaml = require('js-yaml');
+const { Op } = require('sequelize');
+const { Role, Permission, RolePermission, UserRole, User } = require('../models');
+const rbacService = require('./rbacService');
+const permissionCacheService = require('./permissionCacheService');
+const databaseService = require('./databaseService');
+const logService = require('./logService');
+const { rbacSchemas } = require('../middleware/validation');
+const { RBAC } = require('../utils/constants');
+const { findMatchingPermission, permissionMatches } = require('../utils/helpers');
+
+const ROLE_FIELDS = ['display_name', 'description', 'is_active', 'requires_two_factor'];
+const PERMISSION_FIELDS = ['display_name', 'description', 'resource', 'is_active'];
+
+/**
+ * JSON with object keys sorted, so that JSONB values read back from Postgres compare equal
+ * @param {*} value - Value to serialize
+ * @returns {string} - Canonical JSON
+ */
+const canonicalJson = (value) => JSON.stringify(value, (key, item) =>
+  item && typeof item === 'object' && !Array.isArray(item)
+    ? Object.fromEntries(Object.keys(item).sort().map(name => [name, item[name]]))
+    : item
+);
+
+/**
+ * Fields whose value differs, as { field: { from, to } }
+ * @param {Object} current - Stored values
+ * @param {Object} next - Document values
+ * @param {Array<string>} fields - Fields to compare
+ * @returns {Object} - Changes (empty when identical)
+ */
+const diffFields = (current, next, fields) => {
+  const changes = {};
+  fields.forEach(field => {
+    const from = current[field] ?? null;
+    const to = next[field] ?? null;
+    if (canonicalJson(from) !== canonicalJson(to)) {
+      changes[field] = { from, to };
+    }
+  });
+  return changes;
+};
+
+const toTime = (date) => (date ? new Date(date).getTime() : null);
+
+class RBACConfigService {
+  /**
+   * Build the configuration document: permissions, roles with their grants and, optionally,
+   * active role assignments
+   * @param {Object} options - includeAssignments
+   * @returns {Promise<Object>} - Document (see rbacSchemas.configDocument)
+   */
+  async exportConfig(options = {}) {
+    const { includeAssignments = false } = options;
+
+    const permissions = await Permission.findAll({ order: [['name', 'ASC']] });
+    const roles = await Role.findAll({
+      include: [
+        { model: Role, as: 'parent', attributes: ['id', 'name'] },
+        {
+          model: Permission,
+          as: 'permissions',
+          attributes: ['id', 'name'],
+          through: { attributes: ['conditions'] }
+        }
+      ],
+      order: [['name', 'ASC']]
+    });
+
+    const document = {
+      version: RBAC.CONFIG_FORMAT_VERSION,
+      exported_at: new Date().toISOString(),
+      permissions: permissions.map(permission => ({
+        name: permission.name,
+        display_name: permission.display_name,
+        description: permission.description,
+        resource: permission.resource,
+        is_active: permission.is_active
+      })),
+      roles: roles.map(role => ({
+        name: role.name,
+        display_name: role.display_name,
+        description: role.description,
+        parent: role.parent ? role.parent.name : null,
+        is_active: role.is_active,
+        requires_two_factor: role.requires_two_factor,
+        permissions: role.permissions
+          .map(permission => {
+            const conditions = permission.role_permissions.conditions;
+            return conditions ? { name: permission.name, conditions } : permission.name;
+          })
+          .sort((a, b) => (a.name || a).localeCompare(b.name || b))
+      }))
+    };
+
+    if (includeAssignments) {
+      const userRoles = await UserRole.findAll({
+        where: rbacService.activeAssignmentWhere(),
+        include: [{ model: Role, as: 'role', attributes: ['id', 'name'] }],
+        order: [['user_id', 'ASC'], ['assigned_at', 'ASC']]
+      });
+
+      document.assignments = userRoles.map(userRole => ({
+        user_id: userRole.user_id,
+        role: userRole.role.name,
+        expires_at: userRole.expires_at ? new Date(userRole.expires_at).toISOString() : null,
+        conditions: userRole.conditions
+      }));
+    }
+
+    return document;
+  }
+
+  /**
+   * Serialize a document
+   * @param {Object} document - Configuration document
+   * @param {string} format - 'json' or 'yaml'
+   * @returns {string} - Serialized document
+   */
+  serialize(document, format = 'json') {
+    return format === 'yaml'
+      ? yaml.dump(document, { noRefs: true, lineWidth: 120 })
+      : JSON.stringify(document, null, 2);
+  }
+
+  /**
+   * Parse a serialized document (YAML is a superset of JSON, so either is accepted)
+   * @param {string} text - Serialized document
+   * @returns {Object} - Parsed document
+   */
+  parse(text) {
+    try {
+      return yaml.load(text);
+    } catch (error) {
+      throw new Error(`Invalid RBAC configuration: ${error.reason || error.message}`);
+    }
+  }
+
+  /**
+   * Validate a document and normalize role grants to { name, conditions }
+   * @param {Object} document - Parsed document
+   * @returns {Object} - Validated document
+   */
+  validateDocument(document) {
+    const { error, value } = rbacSchemas.configDocument.validate(document, { abortEarly: false });
+    if (error) {
+      throw new Error(`Invalid RBAC configuration: ${error.details.map(detail => detail.message).join('; ')}`);
+    }
+
+    value.roles.forEach(role => {
+      role.permissions = role.permissions.map(grant =>
+        typeof grant === 'string' ? { name: grant, conditions: null } : grant
+      );
+    });
+    return value;
+  }
+
+  /**
+   * Compare a document with the stored configuration
+   * @param {Object} document - Validated document
+   * @returns {Promise<Object>} - diff (what the import would change), errors, and the
+   *   stored roles and permissions needed to apply it
+   */
+  async planImport(document) {
+    const errors = [];
+    const diff = {
+      permissions: { created: [], updated: [] },
+      roles: { created: [], updated: [] },
+      grants: [],
+      assignments: { created: [], updated: [] }
+    };
+
+    const storedPermissions = await Permission.findAll();
+    const storedRoles = await Role.findAll({
+      include: [{
+        model: Permission,
+        as: 'permissions',
+        attributes: ['id', 'name'],
+        through: { attributes: ['conditions'] }
+      }]
+    });
+    const permissionsByName = new Map(storedPermissions.map(permission => [permission.name, permission]));
+    const rolesByName = new Map(storedRoles.map(role => [role.name, role]));
+    const roleNamesById = new Map(storedRoles.map(role => [role.id, role.name]));
+
+    document.permissions.forEach(permission => {
+      const [prefix] = permission.name.split('.');
+      const next = { ...permission, resource: permission.resource || prefix };
+      const stored = permissionsByName.get(permission.name);
+
+      if (!stored) {
+        diff.permissions.created.push(permission.name);
+        return;
+      }
+
+      const changes = diffFields(stored, next, PERMISSION_FIELDS);
+      if (Object.keys(changes).length > 0) {
+        diff.permissions.updated.push({ name: permission.name, changes });
+      }
+    });
+
+    const knownPermissions = new Set([...permissionsByName.keys(), ...document.permissions.map(permission => permission.name)]);
+    const knownRoles = new Set([...rolesByName.keys(), ...document.roles.map(role => role.name)]);
+
+    // Parents after the import: stored ones, overridden by the document
+    const parents = new Map(storedRoles.map(role => [role.name, roleNamesById.get(role.parent_role_id) || null]));
+    document.roles.forEach(role => parents.set(role.name, role.parent));
+
+    document.roles.forEach(role => {
+      const stored = rolesByName.get(role.name);
+
+      if (role.parent && !knownRoles.has(role.parent)) {
+        errors.push(`Role '${role.name}': parent role '${role.parent}' not found`);
+      }
+
+      // Walk up from the role; reaching it again is a cycle
+      const visited = new Set([role.name]);
+      let current = role.parent;
+      while (current && !visited.has(current) && visited.size <= RBAC.MAX_ROLE_DEPTH) {
+        visited.add(current);
+        current = parents.get(current);
+      }
+      if (current && visited.has(current)) {
+        errors.push(`Role '${role.name}': role hierarchy cannot contain cycles`);
+      } else if (visited.size > RBAC.MAX_ROLE_DEPTH) {
+        errors.push(`Role '${role.name}': role hierarchy cannot be deeper than ${RBAC.MAX_ROLE_DEPTH} levels`);
+      }
+
+      role.permissions
+        .filter(grant => !knownPermissions.has(grant.name))
+        .forEach(grant => errors.push(`Role '${role.name}': permission '${grant.name}' not found`));
+
+      if (!stored) {
+        diff.roles.created.push(role.name);
+      } else {
+        const changes = diffFields(
+          { ...stored.get({ plain: true }), parent: roleNamesById.get(stored.parent_role_id) || null },
+          role,
+          [...ROLE_FIELDS, 'parent']
+        );
+
+        // As through PUT /roles/:id, only the two-factor flag of a system role may change
+        const systemChanges = Object.keys(changes).filter(field => field !== 'requires_two_factor');
+        if (stored.is_system && systemChanges.length > 0) {
+          errors.push(`Cannot modify system role '${role.name}' (${systemChanges.join(', ')})`);
+        }
+
+        if (Object.keys(changes).length > 0) {
+          diff.roles.updated.push({ name: role.name, changes });
+        }
+      }
+
+      const held = new Map((stored ? stored.permissions : []).map(permission => [
+        permission.name,
+        permission.role_permissions.conditions
+      ]));
+      const grants = {
+        role: role.name,
+        added: role.permissions.filter(grant => !held.has(grant.name)).map(grant => grant.name),
+        removed: [...held.keys()].filter(name => !role.permissions.some(grant => grant.name === name)),
+        conditions_changed: role.permissions
+          .filter(grant => held.has(grant.name) && canonicalJson(held.get(grant.name)) !== canonicalJson(grant.conditions))
+          .map(grant => grant.name)
+      };
+
+      if (stored && stored.is_system) {
+        const lost = RBAC.CRITICAL_PERMISSIONS.filter(critical =>
+          findMatchingPermission([...held.keys()], critical) &&
+          !findMatchingPermission(role.permissions.map(grant => grant.name), critical)
+        );
+        if (lost.length > 0) {
+          errors.push(`System role '${role.name}' cannot lose critical permissions: ${lost.join(', ')}`);
+        }
+
+        role.permissions
+          .filter(grant => grant.conditions && RBAC.CRITICAL_PERMISSIONS.some(critical => permissionMatches(grant.name, critical)))
+          .forEach(grant => errors.push(`Critical permission '${grant.name}' of system role '${role.name}' cannot have conditions`));
+      }
+
+      if (grants.added.length > 0 || grants.removed.length > 0 || grants.conditions_changed.length > 0) {
+        diff.grants.push(grants);
+      }
+    });
+
+    if (document.assignments) {
+      await this.planAssignments(document.assignments, knownRoles, rolesByName, diff, errors);
+    }
+
+    return { diff, errors, permissionsByName, rolesByName };
+  }
+
+  /**
+   * Add the assignment part of an import plan
+   * @param {Array<Object>} assignments - Document assignments
+   * @param {Set} knownRoles - Role names after the import
+   * @param {Map} rolesByName - Stored roles
+   * @param {Object} diff - Plan diff to fill
+   * @param {Array<string>} errors - Plan errors to fill
+   */
+  async planAssignments(assignments, knownRoles, rolesByName, diff, errors) {
+    const userIds = [...new Set(assignments.map(assignment => assignment.user_id))];
+    const users = await User.findAll({ where: { id: { [Op.in]: userIds } }, attributes: ['id'] });
+    const knownUsers = new Set(users.map(user => user.id));
+
+    const storedRoleIds = [...rolesByName.values()].map(role => role.id);
+    const userRoles = await UserRole.findAll({
+      where: { user_id: { [Op.in]: userIds }, role_id: { [Op.in]: storedRoleIds } }
+    });
+
+    assignments.forEach(assignment => {
+      const key = { user_id: assignment.user_id, role: assignment.role };
+
+      if (!knownUsers.has(assignment.user_id)) {
+        errors.push(`Assignment of '${assignment.role}': user ${assignment.user_id} not found`);
+        return;
+      }
+      if (!knownRoles.has(assignment.role)) {
+        errors.push(`Assignment of '${assignment.role}' to user ${assignment.user_id}: role not found`);
+        return;
+      }
+      if (assignment.expires_at && assignment.expires_at <= new Date()) {
+        errors.push(`Assignment of '${assignment.role}' to user ${assignment.user_id}: expiry date must be in the future`);
+        return;
+      }
+
+      const role = rolesByName.get(assignment.role);
+      const stored = role && userRoles.find(userRole =>
+        userRole.user_id === assignment.user_id && userRole.role_id === role.id
+      );
+
+      if (!stored) {
+        diff.assignments.created.push(key);
+        return;
+      }
+
+      const changes = diffFields(stored, assignment, ['conditions']);
+      if (toTime(stored.expires_at) !== toTime(assignment.expires_at)) {
+        changes.expires_at = { from: stored.expires_at, to: assignment.expires_at };
+      }
+
+      const expired = stored.expires_at && stored.expires_at <= new Date();
+      if (!stored.is_active || expired) {
+        changes.is_active = { from: false, to: true };
+      }
+
+      if (Object.keys(changes).length > 0) {
+        diff.assignments.updated.push({ ...key, changes });
+      }
+    });
+  }
+
+  /**
+   * Import a configuration document. Permissions and roles in the document are created or
+   * updated, each listed role gets exactly the listed grants, and listed assignments are
+   * created or updated; nothing absent from the document is deleted.
+   * @param {Object} document - Parsed document
+   * @param {Object} options - dryRun to only compute the diff, importedBy (null from the CLI)
+   * @returns {Promise<Object>} - applied and diff
+   */
+  async importConfig(document, options = {}) {
+    const { dryRun = false, importedBy = null } = options;
+
+    try {
+      const validated = this.validateDocument(document);
+      const { diff, errors, permissionsByName, rolesByName } = await this.planImport(validated);
+
+      if (errors.length > 0) {
+        throw new Error(`Invalid RBAC configuration: ${errors.join('; ')}`);
+      }
+
+      if (dryRun) {
+        return { applied: false, diff };
+      }
+
+      await databaseService.executeTransaction(async (transaction) => {
+        const permissionIds = new Map([...permissionsByName].map(([name, permission]) => [name, permission.id]));
+
+        for (const permission of validated.permissions) {
+          const [prefix, action] = permission.name.split('.');
+
+          if (diff.permissions.created.includes(permission.name)) {
+            const created = await Permission.create({
+              name: permission.name,
+              display_name: permission.display_name,
+              description: permission.description,
+              resource: permission.resource || prefix,
+              action,
+              is_active: permission.is_active
+            }, { transaction });
+            permissionIds.set(permission.name, created.id);
+            continue;
+          }
+
+          const updated = diff.permissions.updated.find(change => change.name === permission.name);
+          if (updated) {
+            const data = Object.fromEntries(Object.entries(updated.changes).map(([field, change]) => [field, change.to]));
+            await permissionsByName.get(permission.name).update(data, { transaction });
+          }
+        }
+
+        // Create missing roles first so that parents can refer to any role of the document
+        const roleIds = new Map([...rolesByName].map(([name, role]) => [name, role.id]));
+        for (const role of validated.roles) {
+          if (!roleIds.has(role.name)) {
+            const created = await Role.create({
+              name: role.name,
+              display_name: role.display_name,
+              description: role.description,
+              is_active: role.is_active,
+              requires_two_factor: role.requires_two_factor
+            }, { transaction });
+            roleIds.set(role.name, created.id);
+          }
+        }
+
+        for (const role of validated.roles) {
+          const roleId = roleIds.get(role.name);
+
+          const updated = diff.roles.updated.find(change => change.name === role.name);
+          const changedFields = updated ? Object.keys(updated.changes) : [];
+          const data = Object.fromEntries(changedFields
+            .filter(field => field !== 'parent')
+            .map(field => [field, role[field]]));
+
+          if (changedFields.includes('parent') || (diff.roles.created.includes(role.name) && role.parent)) {
+            data.parent_role_id = role.parent ? roleIds.get(role.parent) : null;
+          }
+          if (Object.keys(data).length > 0) {
+            await Role.update(data, { where: { id: roleId }, transaction });
+          }
+
+          const grants = diff.grants.find(change => change.role === role.name);
+          if (!grants) continue;
+
+          if (grants.removed.length > 0) {
+            await RolePermission.destroy({
+              where: {
+                role_id: roleId,
+                permission_id: { [Op.in]: grants.removed.map(name => permissionIds.get(name)) }
+              },
+              transaction
+            });
+          }
+
+          for (const grant of role.permissions) {
+            if (grants.added.includes(grant.name)) {
+              await RolePermission.create({
+                role_id: roleId,
+                permission_id: permissionIds.get(grant.name),
+                granted_by: importedBy,
+                granted_at: new Date(),
+                conditions: grant.conditions
+              }, { transaction });
+            } else if (grants.conditions_changed.includes(grant.name)) {
+              await RolePermission.update(
+                { conditions: grant.conditions },
+                { where: { role_id: roleId, permission_id: permissionIds.get(grant.name) }, transaction }
+              );
+            }
+          }
+        }
+
+        for (const assignment of validated.assignments || []) {
+          const data = {
+            is_active: true,
+            expires_at: assignment.expires_at,
+            conditions: assignment.conditions
+          };
+          const key = { user_id: assignment.user_id, role_id: roleIds.get(assignment.role) };
+
+          if (diff.assignments.created.some(change => change.user_id === key.user_id && change.role === assignment.role)) {
+            await UserRole.create({ ...key, ...data, assigned_by: importedBy }, { transaction });
+          } else if (diff.assignments.updated.some(change => change.user_id === key.user_id && change.role === assignment.role)) {
+            await UserRole.update(
+              { ...data, assigned_by: importedBy, expiry_notified_at: null },
+              { where: key, transaction }
+            );
+          }
+        }
+      });
+      await permissionCacheService.invalidateAll();
+
+      logService.logSecurity('rbac_config_imported', {
+        importedBy,
+        permissionsCreated: diff.permissions.created.length,
+        permissionsUpdated: diff.permissions.updated.length,
+        rolesCreated: diff.roles.created.length,
+        rolesUpdated: diff.roles.updated.length,
+        rolesWithGrantChanges: diff.grants.map(change => change.role),
+        assignmentsCreated: diff.assignments.created.length,
+        assignmentsUpdated: diff.assignments.updated.length
+      });
+
+      return { applied: true, diff };
+    } catch (error) {
+      logService.error('Error importing RBAC configuration:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new RBACConfigService();
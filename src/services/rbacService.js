@@ -1,6 +1,13 @@
 const { Role, Permission, User, UserRole, RolePermission } = require('../models');
 const logService = require('./logService');
+const permissionCacheService = require('./permissionCacheService');
+const accessConditionService = require('./accessConditionService');
+const twoFactorService = require('./twoFactorService');
+const databaseService = require('./databaseService');
 const { Op } = require('sequelize');
+const { RBAC } = require('../utils/constants');
+const { findMatchingPermission, permissionMatches } = require('../utils/helpers');
+const config = require('../config/config');
 
 class RBACService {
   /**
@@ -14,13 +21,15 @@ class RBACService {
           name: 'super_admin',
           display_name: 'Super Administrator',
           description: 'Full system access with all permissions',
-          is_system: true
+          is_system: true,
+          requires_two_factor: true
         },
         {
           name: 'admin',
           display_name: 'Administrator',
           description: 'System administrator with management permissions',
-          is_system: true
+          is_system: true,
+          requires_two_factor: true
         },
         {
           name: 'guide',
@@ -240,6 +249,7 @@ class RBACService {
         await userRole.setPermissions(userPermissions);
       }
 
+      await permissionCacheService.invalidateAll();
       logService.info('Default role permissions assigned successfully');
     } catch (error) {
       logService.error('Error assigning default role permissions:', error);
@@ -248,38 +258,323 @@ class RBACService {
   }
 
   /**
-   * Check if user has specific permission
+   * Load every role with its own active permissions
+   * @returns {Promise<Map>} - Role ID -> plain role with parent_role_id and permissions
+   *   (each with the conditions of its grant, null if unconditional)
+   */
+  async loadRoleGraph() {
+    const roles = await Role.findAll({
+      attributes: ['id', 'name', 'display_name', 'parent_role_id', 'is_active'],
+      include: [{
+        model: Permission,
+        as: 'permissions',
+        attributes: ['id', 'name', 'display_name', 'resource', 'action'],
+        where: { is_active: true },
+        required: false,
+        through: { attributes: ['conditions'] }
+      }]
+    });
+
+    return new Map(roles.map(role => {
+      const plainRole = role.get({ plain: true });
+      plainRole.permissions = plainRole.permissions.map(({ role_permissions: grant, ...permission }) => ({
+        ...permission,
+        conditions: grant ? grant.conditions : null
+      }));
+      return [role.id, plainRole];
+    }));
+  }
+
+  /**
+   * A role followed by the active ancestors it inherits from, nearest first
+   * @param {string} roleId - Role ID
+   * @param {Map} roleGraph - Result of loadRoleGraph
+   * @returns {Array<Object>} - Inheritance chain
+   */
+  getRoleChain(roleId, roleGraph) {
+    const chain = [];
+    const visited = new Set();
+    let role = roleGraph.get(roleId);
+
+    // Cycles are rejected when a parent is set; the visited set keeps reads safe regardless
+    while (role && !visited.has(role.id) && chain.length < RBAC.MAX_ROLE_DEPTH) {
+      chain.push(role);
+      visited.add(role.id);
+
+      const parent = role.parent_role_id ? roleGraph.get(role.parent_role_id) : null;
+      role = parent && parent.is_active ? parent : null;
+    }
+
+    return chain;
+  }
+
+  /**
+   * Number of levels of roles inheriting from a role
+   * @param {string} roleId - Role ID
+   * @param {Map} roleGraph - Result of loadRoleGraph
+   * @param {Set} visited - Roles already counted
+   * @returns {number} - 0 when no role inherits from it
+   */
+  getDescendantDepth(roleId, roleGraph, visited = new Set()) {
+    visited.add(roleId);
+
+    let depth = 0;
+    for (const role of roleGraph.values()) {
+      if (role.parent_role_id === roleId && !visited.has(role.id)) {
+        depth = Math.max(depth, 1 + this.getDescendantDepth(role.id, roleGraph, visited));
+      }
+    }
+    return depth;
+  }
+
+  /**
+   * Check that a role may inherit from a parent role
+   * @param {string|null} roleId - Role being changed (null for a new role)
+   * @param {string} parentRoleId - Proposed parent role ID
+   * @returns {Promise<Object>} - Parent role
+   */
+  async validateParentRole(roleId, parentRoleId) {
+    const roleGraph = await this.loadRoleGraph();
+
+    const parent = roleGraph.get(parentRoleId);
+    if (!parent) {
+      throw new Error('Parent role not found');
+    }
+
+    // Walking up from the parent must never reach the role itself
+    let levelsAbove = 0;
+    const visited = new Set();
+    let current = parent;
+    while (current) {
+      if (current.id === roleId || visited.has(current.id)) {
+        throw new Error('Role hierarchy cannot contain cycles');
+      }
+      visited.add(current.id);
+      levelsAbove++;
+      current = current.parent_role_id ? roleGraph.get(current.parent_role_id) : null;
+    }
+
+    const levelsBelow = roleId ? this.getDescendantDepth(roleId, roleGraph) : 0;
+    if (levelsAbove + 1 + levelsBelow > RBAC.MAX_ROLE_DEPTH) {
+      throw new Error(`Role hierarchy cannot be deeper than ${RBAC.MAX_ROLE_DEPTH} levels`);
+    }
+
+    return parent;
+  }
+
+  /**
+   * Permissions of a role including inherited ones, with the roles granting each
+   * @param {string} roleId - Role ID
+   * @returns {Promise<Object>} - role, inheritance_chain and permissions with sources
+   */
+  async getEffectivePermissions(roleId) {
+    const roleGraph = await this.loadRoleGraph();
+
+    const role = roleGraph.get(roleId);
+    if (!role) {
+      throw new Error('Role not found');
+    }
+
+    const chain = this.getRoleChain(roleId, roleGraph);
+    const permissions = new Map();
+
+    chain.forEach((chainRole, depth) => {
+      chainRole.permissions.forEach(({ conditions, ...permission }) => {
+        if (!permissions.has(permission.name)) {
+          permissions.set(permission.name, { ...permission, inherited: true, sources: [] });
+        }
+
+        const entry = permissions.get(permission.name);
+        entry.inherited = entry.inherited && depth > 0;
+        entry.sources.push({
+          role_id: chainRole.id,
+          role_name: chainRole.name,
+          inherited: depth > 0,
+          depth,
+          conditions
+        });
+      });
+    });
+
+    const summary = ({ id, name, display_name }) => ({ id, name, display_name });
+
+    return {
+      role: summary(role),
+      inheritance_chain: chain.map(summary),
+      permissions: Array.from(permissions.values()).sort((a, b) => a.name.localeCompare(b.name))
+    };
+  }
+
+  /**
+   * Where clause for assignments that are active and not past their expiry
+   * @param {Object} where - Additional conditions
+   * @returns {Object} - Sequelize where clause for UserRole
+   */
+  activeAssignmentWhere(where = {}) {
+    return {
+      ...where,
+      is_active: true,
+      [Op.or]: [
+        { expires_at: null },
+        { expires_at: { [Op.gt]: new Date() } }
+      ]
+    };
+  }
+
+  /**
+   * Load the active roles of a user (including inherited roles) and the permissions they grant
    * @param {string} userId - User ID
-   * @param {string} permissionName - Permission name (e.g., 'user.create')
-   * @returns {Promise<boolean>} - Whether user has permission
+   * @returns {Promise<Object>} - roles and permissions (arrays of names), conditionalGrants
+   *   (permissions granted only under conditions: { permission, role, conditions }) and
+   *   validUntil (timestamp of the first assignment expiry, null if none expire)
    */
-  async hasPermission(userId, permissionName) {
-    try {
-      const user = await User.findByPk(userId, {
-        include: [{
-          model: Role,
-          as: 'roles',
-          through: {
-            model: UserRole,
-            where: { is_active: true }
-          },
-          include: [{
-            model: Permission,
-            as: 'permissions',
-            where: { 
-              name: permissionName,
-              is_active: true 
-            }
-          }]
-        }]
+  async loadUserAccess(userId) {
+    const [userRoles, twoFactor] = await Promise.all([
+      UserRole.findAll({
+        where: this.activeAssignmentWhere({ user_id: userId }),
+        attributes: ['role_id', 'expires_at', 'conditions']
+      }),
+      this.loadTwoFactorState(userId)
+    ]);
+
+    if (userRoles.length === 0) {
+      return { roles: [], permissions: [], conditionalGrants: [], validUntil: null, twoFactor };
+    }
+
+    const roleGraph = await this.loadRoleGraph();
+    const roles = new Set();
+    const permissions = new Set();
+    const conditionalGrants = [];
+
+    userRoles.forEach(userRole => {
+      this.getRoleChain(userRole.role_id, roleGraph).forEach(role => {
+        roles.add(role.name);
+        role.permissions.forEach(permission => {
+          // Conditions of the assignment and of the role's grant must both hold
+          const conditions = [userRole.conditions, permission.conditions].filter(Boolean);
+
+          if (conditions.length === 0) {
+            permissions.add(permission.name);
+          } else {
+            conditionalGrants.push({ permission: permission.name, role: role.name, conditions });
+          }
+        });
       });
+    });
 
-      if (!user) return false;
+    const expiries = userRoles
+      .filter(userRole => userRole.expires_at)
+      .map(userRole => new Date(userRole.expires_at).getTime());
 
-      // Check if user has any role with the required permission
-      return user.roles && user.roles.length > 0 && 
-             user.roles.some(role => role.permissions && role.permissions.length > 0);
+    return {
+      roles: Array.from(roles),
+      permissions: Array.from(permissions),
+      conditionalGrants: conditionalGrants.filter(grant => !permissions.has(grant.permission)),
+      validUntil: expiries.length > 0 ? Math.min(...expiries) : null,
+      twoFactor
+    };
+  }
 
+  /**
+   * Two-factor state cached with a user's access (refreshed when 2FA is enabled or disabled,
+   * and with every role or assignment change)
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - enabled and required
+   */
+  async loadTwoFactorState(userId) {
+    let legacyRole = null;
+    if (config.rbac.roleSource !== 'rbac') {
+      const user = await User.findByPk(userId, { attributes: ['rol'] });
+      legacyRole = user ? user.rol : null;
+    }
+
+    const [enabled, required] = await Promise.all([
+      twoFactorService.isEnabled(userId),
+      twoFactorService.isRequired(userId, legacyRole)
+    ]);
+
+    return { enabled, required };
+  }
+
+  /**
+   * Whether the user's roles demand 2FA and it is not enabled yet, from the permission cache
+   * @param {string} userId - User ID
+   * @returns {Promise<boolean>} - True if the user must enrol before using the API
+   */
+  async isTwoFactorSetupPending(userId) {
+    const { twoFactor } = await this.getUserAccess(userId);
+
+    // Entries cached before the two-factor state was added
+    if (!twoFactor) {
+      const state = await this.loadTwoFactorState(userId);
+      return state.required && !state.enabled;
+    }
+
+    return twoFactor.required && !twoFactor.enabled;
+  }
+
+  /**
+   * Active roles and permissions of a user, served from the permission cache
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - roles, permissions and conditionalGrants
+   */
+  async getUserAccess(userId) {
+    return await permissionCacheService.getOrLoad(userId, () => this.loadUserAccess(userId));
+  }
+
+  /**
+   * Find the permission of a user that grants a required one (exact, wildcard or manage)
+   * @param {string} userId - User ID
+   * @param {string} permissionName - Permission name (e.g., 'user.create')
+   * @param {Object} context - resource attributes ({ coordinates, location }) for conditional grants
+   * @returns {Promise<string|null>} - Granting permission name, or null
+   */
+  async findGrantingPermission(userId, permissionName, context = {}) {
+    const { permissions, conditionalGrants = [] } = await this.getUserAccess(userId);
+
+    const granting = findMatchingPermission(permissions, permissionName);
+    if (granting) {
+      return granting;
+    }
+
+    const conditionalGrant = conditionalGrants.find(grant =>
+      permissionMatches(grant.permission, permissionName) &&
+      accessConditionService.isSatisfied(grant.conditions, context)
+    );
+    return conditionalGrant ? conditionalGrant.permission : null;
+  }
+
+  /**
+   * Whether the conditional grants of a permission allow a resource that does not exist yet
+   * (creation). Creating stays open to users without any grant of the permission, as they only
+   * get to manage what they own; users holding it only under conditions must meet one of them.
+   * @param {string} userId - User ID
+   * @param {string} permissionName - Permission name (e.g., 'route.create')
+   * @param {Object} context - resource attributes ({ coordinates, location }) of the new resource
+   * @returns {Promise<boolean>} - Whether the user may create it
+   */
+  async meetsCreateConditions(userId, permissionName, context = {}) {
+    const { permissions, conditionalGrants = [] } = await this.getUserAccess(userId);
+
+    if (findMatchingPermission(permissions, permissionName)) {
+      return true;
+    }
+
+    const grants = conditionalGrants.filter(grant => permissionMatches(grant.permission, permissionName));
+    return grants.length === 0 ||
+      grants.some(grant => accessConditionService.isSatisfied(grant.conditions, context));
+  }
+
+  /**
+   * Check if user has specific permission
+   * @param {string} userId - User ID
+   * @param {string} permissionName - Permission name (e.g., 'user.create')
+   * @param {Object} context - resource attributes for conditional grants (see findGrantingPermission)
+   * @returns {Promise<boolean>} - Whether user has permission
+   */
+  async hasPermission(userId, permissionName, context = {}) {
+    try {
+      return (await this.findGrantingPermission(userId, permissionName, context)) !== null;
     } catch (error) {
       logService.error('Error checking user permission:', error);
       return false;
@@ -293,49 +588,46 @@ class RBACService {
    */
   async getUserPermissions(userId) {
     try {
-      const user = await User.findByPk(userId, {
-        include: [{
-          model: Role,
-          as: 'roles',
-          through: {
-            model: UserRole,
-            where: { is_active: true }
-          },
-          include: [{
-            model: Permission,
-            as: 'permissions',
-            where: { is_active: true }
-          }]
-        }]
-      });
-
-      if (!user || !user.roles) return [];
-
-      const permissions = new Set();
-      user.roles.forEach(role => {
-        if (role.permissions) {
-          role.permissions.forEach(permission => {
-            permissions.add(permission.name);
-          });
-        }
-      });
-
-      return Array.from(permissions);
+      const { permissions } = await this.getUserAccess(userId);
+      return [...permissions];
     } catch (error) {
       logService.error('Error getting user permissions:', error);
       return [];
     }
   }
 
+  /**
+   * Get the permissions a user holds only under conditions
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} - permission, role and conditions of each conditional grant
+   */
+  async getConditionalPermissions(userId) {
+    try {
+      const { conditionalGrants = [] } = await this.getUserAccess(userId);
+      return [...conditionalGrants];
+    } catch (error) {
+      logService.error('Error getting conditional user permissions:', error);
+      return [];
+    }
+  }
+
   /**
    * Assign role to user
    * @param {string} userId - User ID
    * @param {string} roleName - Role name
    * @param {string} assignedBy - ID of user assigning the role
+   * @param {Object} options - expiresAt for a temporary assignment, conditions to restrict it
+   *   (null clears them, undefined keeps them on an active assignment)
    * @returns {Promise<Object>} - UserRole record
    */
-  async assignRole(userId, roleName, assignedBy) {
+  async assignRole(userId, roleName, assignedBy, options = {}) {
     try {
+      const expiresAt = options.expiresAt ? new Date(options.expiresAt) : null;
+      const { conditions } = options;
+      if (expiresAt && expiresAt <= new Date()) {
+        throw new Error('Expiry date must be in the future');
+      }
+
       const role = await Role.findOne({ where: { name: roleName, is_active: true } });
       if (!role) {
         throw new Error(`Role '${roleName}' not found`);
@@ -346,25 +638,53 @@ class RBACService {
       });
 
       if (existingUserRole) {
-        // Reactivate if inactive
-        if (!existingUserRole.is_active) {
+        const expired = existingUserRole.expires_at && existingUserRole.expires_at <= new Date();
+
+        // Reactivate if inactive or expired
+        if (!existingUserRole.is_active || expired) {
           await existingUserRole.update({ 
             is_active: true,
             assigned_by: assignedBy,
-            assigned_at: new Date()
+            assigned_at: new Date(),
+            expires_at: expiresAt,
+            expiry_notified_at: null,
+            conditions: conditions || null
           });
+          await permissionCacheService.invalidateUser(userId);
+          logService.info('Role assigned to user', { userId, roleName, assignedBy, expiresAt, conditions });
           return existingUserRole;
         }
+
+        // Assigning again extends or shortens a temporary assignment and changes its conditions
+        const changes = {};
+        if (expiresAt && existingUserRole.expires_at) {
+          changes.expires_at = expiresAt;
+          changes.expiry_notified_at = null;
+        }
+        if (conditions !== undefined) {
+          changes.conditions = conditions;
+        }
+
+        if (Object.keys(changes).length > 0) {
+          await existingUserRole.update({ assigned_by: assignedBy, ...changes });
+          await permissionCacheService.invalidateUser(userId);
+          logService.info('Role assignment changed', { userId, roleName, assignedBy, ...changes });
+          return existingUserRole;
+        }
+
         throw new Error('User already has this role');
       }
 
       const userRole = await UserRole.create({
         user_id: userId,
         role_id: role.id,
-        assigned_by: assignedBy
+        assigned_by: assignedBy,
+        expires_at: expiresAt,
+        conditions: conditions || null
       });
+      await permissionCacheService.invalidateUser(userId);
 
-      logService.info('Role assigned to user', { userId, roleName, assignedBy });
+      logService.info('Role assigned to user', { userId, roleName, assignedBy, expiresAt, conditions });
       return userRole;
     } catch (error) {
       logService.error('Error assigning role to user:', error);
@@ -394,6 +714,7 @@ class RBACService {
       }
 
       await userRole.update({ is_active: false });
+      await permissionCacheService.invalidateUser(userId);
       logService.info('Role removed from user', { userId, roleName });
       return true;
     } catch (error) {
@@ -402,6 +723,454 @@ class RBACService {
     }
   }
 
+  /**
+   * Role with its permissions and who granted them
+   * @param {string} roleId - Role ID
+   * @returns {Promise<Object>} - Role model instance
+   */
+  async getRoleWithPermissions(roleId) {
+    const role = await Role.findByPk(roleId, {
+      include: [{
+        model: Permission,
+        as: 'permissions',
+        attributes: ['id', 'name', 'display_name', 'resource', 'action'],
+        through: { attributes: ['granted_by', 'granted_at', 'conditions'] }
+      }]
+    });
+
+    if (!role) {
+      throw new Error('Role not found');
+    }
+    return role;
+  }
+
+  /**
+   * Load active permissions by ID, failing if any is missing
+   * @param {Array<string>} permissionIds - Permission IDs
+   * @returns {Promise<Array>} - Permission model instances
+   */
+  async findPermissionsByIds(permissionIds) {
+    const ids = [...new Set(permissionIds)];
+    if (ids.length === 0) {
+      return [];
+    }
+
+    const permissions = await Permission.findAll({
+      where: { id: { [Op.in]: ids }, is_active: true }
+    });
+
+    const missing = ids.filter(id => !permissions.some(permission => permission.id === id));
+    if (missing.length > 0) {
+      throw new Error(`Permissions not found: ${missing.join(', ')}`);
+    }
+    return permissions;
+  }
+
+  /**
+   * System roles must keep every critical permission they currently cover
+   * @param {Object} role - Role model instance
+   * @param {Array<string>} currentNames - Permission names the role holds now
+   * @param {Array<string>} nextNames - Permission names it would hold after the change
+   */
+  assertCriticalPermissionsKept(role, currentNames, nextNames) {
+    if (!role.is_system) return;
+
+    const lost = RBAC.CRITICAL_PERMISSIONS.filter(critical =>
+      findMatchingPermission(currentNames, critical) && !findMatchingPermission(nextNames, critical)
+    );
+
+    if (lost.length > 0) {
+      throw new Error(`System role '${role.name}' cannot lose critical permissions: ${lost.join(', ')}`);
+    }
+  }
+
+  /**
+   * Critical permissions of system roles must stay unconditional, or admins could lock
+   * themselves out outside a time window
+   * @param {Object} role - Role model instance
+   * @param {Array<Object>} permissions - Permissions that would become conditional
+   */
+  assertUnconditionalCriticalPermissions(role, permissions) {
+    if (!role.is_system) return;
+
+    const critical = permissions.filter(permission =>
+      RBAC.CRITICAL_PERMISSIONS.some(name => permissionMatches(permission.name, name))
+    );
+
+    if (critical.length > 0) {
+      throw new Error(`Critical permissions of system role '${role.name}' cannot have conditions: ${critical.map(permission => permission.name).join(', ')}`);
+    }
+  }
+
+  /**
+   * Grant permissions to a role, recording who granted them
+   * @param {string} roleId - Role ID
+   * @param {Array<string>} permissionIds - Permission IDs to add
+   * @param {string} grantedBy - Admin user ID
+   * @param {Object} options - conditions restricting the new grants
+   * @returns {Promise<Object>} - Role with its permissions
+   */
+  async grantPermissions(roleId, permissionIds, grantedBy, options = {}) {
+    try {
+      const conditions = options.conditions || null;
+      const role = await this.getRoleWithPermissions(roleId);
+      const permissions = await this.findPermissionsByIds(permissionIds);
+
+      const added = permissions.filter(permission => !role.permissions.some(held => held.id === permission.id));
+      if (conditions) {
+        this.assertUnconditionalCriticalPermissions(role, added);
+      }
+
+      if (added.length > 0) {
+        await RolePermission.bulkCreate(added.map(permission => ({
+          role_id: role.id,
+          permission_id: permission.id,
+          granted_by: grantedBy,
+          granted_at: new Date(),
+          conditions
+        })));
+        await permissionCacheService.invalidateAll();
+      }
+
+      logService.logSecurity('role_permissions_granted', {
+        roleId: role.id,
+        roleName: role.name,
+        permissions: added.map(permission => permission.name),
+        conditions,
+        grantedBy
+      });
+
+      return await this.getRoleWithPermissions(roleId);
+    } catch (error) {
+      logService.error('Error granting role permissions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke one permission from a role
+   * @param {string} roleId - Role ID
+   * @param {string} permissionId - Permission ID
+   * @param {string} revokedBy - Admin user ID
+   * @returns {Promise<Object>} - Role with its remaining permissions
+   */
+  async revokePermission(roleId, permissionId, revokedBy) {
+    try {
+      const role = await this.getRoleWithPermissions(roleId);
+
+      const permission = role.permissions.find(held => held.id === permissionId);
+      if (!permission) {
+        throw new Error('Role does not have this permission');
+      }
+
+      const currentNames = role.permissions.map(held => held.name);
+      this.assertCriticalPermissionsKept(role, currentNames, currentNames.filter(name => name !== permission.name));
+
+      await RolePermission.destroy({ where: { role_id: role.id, permission_id: permissionId } });
+      await permissionCacheService.invalidateAll();
+
+      logService.logSecurity('role_permission_revoked', {
+        roleId: role.id,
+        roleName: role.name,
+        permission: permission.name,
+        revokedBy
+      });
+
+      return await this.getRoleWithPermissions(roleId);
+    } catch (error) {
+      logService.error('Error revoking role permission:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Set or clear the conditions of one permission grant of a role
+   * @param {string} roleId - Role ID
+   * @param {string} permissionId - Permission ID
+   * @param {Object|null} conditions - Conditions (see accessConditionService), null to clear
+   * @param {string} updatedBy - Admin user ID
+   * @returns {Promise<Object>} - Role with its permissions
+   */
+  async setPermissionConditions(roleId, permissionId, conditions, updatedBy) {
+    try {
+      const role = await this.getRoleWithPermissions(roleId);
+
+      const permission = role.permissions.find(held => held.id === permissionId);
+      if (!permission) {
+        throw new Error('Role does not have this permission');
+      }
+
+      if (conditions) {
+        this.assertUnconditionalCriticalPermissions(role, [permission]);
+      }
+
+      await RolePermission.update(
+        { conditions: conditions || null },
+        { where: { role_id: role.id, permission_id: permissionId } }
+      );
+      await permissionCacheService.invalidateAll();
+
+      logService.logSecurity('role_permission_conditions_changed', {
+        roleId: role.id,
+        roleName: role.name,
+        permission: permission.name,
+        conditions: conditions || null,
+        updatedBy
+      });
+
+      return await this.getRoleWithPermissions(roleId);
+    } catch (error) {
+      logService.error('Error setting role permission conditions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Make a role's grants match a permission set; unchanged grants keep their granted_by
+   * @param {Object} role - Role model instance loaded with its permissions
+   * @param {Array<Object>} permissions - Complete permission set
+   * @param {string} grantedBy - Admin user ID
+   * @param {Object} transaction - Transaction
+   * @returns {Promise<Object>} - added and removed permissions
+   */
+  async applyPermissionSet(role, permissions, grantedBy, transaction) {
+    const added = permissions.filter(permission => !role.permissions.some(held => held.id === permission.id));
+    const removed = role.permissions.filter(held => !permissions.some(permission => permission.id === held.id));
+
+    if (removed.length > 0) {
+      await RolePermission.destroy({
+        where: { role_id: role.id, permission_id: { [Op.in]: removed.map(held => held.id) } },
+        transaction
+      });
+    }
+
+    if (added.length > 0) {
+      await RolePermission.bulkCreate(added.map(permission => ({
+        role_id: role.id,
+        permission_id: permission.id,
+        granted_by: grantedBy,
+        granted_at: new Date()
+      })), { transaction });
+    }
+
+    return { added, removed };
+  }
+
+  /**
+   * Update the details of a custom role and optionally replace its permission set
+   * @param {string} roleId - Role ID
+   * @param {Object} updates - name, display_name, description, requires_two_factor,
+   *   parent_role_id and permission_ids (complete list), each optional
+   * @param {string} updatedBy - Admin user ID
+   * @returns {Promise<Object>} - Role with its permissions
+   */
+  async updateRole(roleId, updates, updatedBy) {
+    try {
+      const role = await this.getRoleWithPermissions(roleId);
+
+      if (role.is_system) {
+        throw new Error('Cannot modify system roles');
+      }
+
+      if (updates.parent_role_id) {
+        await this.validateParentRole(role.id, updates.parent_role_id);
+      }
+
+      const updateData = Object.fromEntries(
+        ['name', 'display_name', 'description', 'requires_two_factor', 'parent_role_id']
+          .filter(field => updates[field] !== undefined)
+          .map(field => [field, updates[field]])
+      );
+      const permissions = updates.permission_ids !== undefined
+        ? await this.findPermissionsByIds(updates.permission_ids)
+        : null;
+
+      const changes = await databaseService.executeTransaction(async (transaction) => {
+        await role.update(updateData, { transaction });
+        return permissions ? await this.applyPermissionSet(role, permissions, updatedBy, transaction) : null;
+      });
+
+      // Users holding this role (or a child of it) may now have different permissions
+      await permissionCacheService.invalidateAll();
+
+      logService.logSecurity('role_updated', {
+        roleId: role.id,
+        roleName: role.name,
+        fields: Object.keys(updateData),
+        added: changes ? changes.added.map(permission => permission.name) : [],
+        removed: changes ? changes.removed.map(held => held.name) : [],
+        updatedBy
+      });
+
+      return await this.getRoleWithPermissions(roleId);
+    } catch (error) {
+      logService.error('Error updating role:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the whole permission set of a role; unchanged grants keep their granted_by
+   * @param {string} roleId - Role ID
+   * @param {Array<string>} permissionIds - Complete list of permission IDs
+   * @param {string} grantedBy - Admin user ID
+   * @returns {Promise<Object>} - Role with its new permissions
+   */
+  async replacePermissions(roleId, permissionIds, grantedBy) {
+    try {
+      const role = await this.getRoleWithPermissions(roleId);
+      const permissions = await this.findPermissionsByIds(permissionIds);
+
+      this.assertCriticalPermissionsKept(
+        role,
+        role.permissions.map(held => held.name),
+        permissions.map(permission => permission.name)
+      );
+
+      const { added, removed } = await databaseService.executeTransaction(transaction =>
+        this.applyPermissionSet(role, permissions, grantedBy, transaction)
+      );
+      await permissionCacheService.invalidateAll();
+
+      logService.logSecurity('role_permissions_replaced', {
+        roleId: role.id,
+        roleName: role.name,
+        added: added.map(permission => permission.name),
+        removed: removed.map(held => held.name),
+        grantedBy
+      });
+
+      return await this.getRoleWithPermissions(roleId);
+    } catch (error) {
+      logService.error('Error replacing role permissions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a custom permission (e.g. 'festival.manage' or a wildcard like 'route.*')
+   * @param {Object} permissionData - name, display_name, description, resource
+   * @param {string} createdBy - Admin user ID
+   * @returns {Promise<Object>} - Created permission
+   */
+  async createPermission(permissionData, createdBy) {
+    try {
+      const { name, display_name, description } = permissionData;
+      const [prefix, action] = name.split('.');
+      const resource = permissionData.resource || prefix;
+
+      const existing = await Permission.findOne({ where: { name } });
+      if (existing) {
+        throw new Error('Permission with this name already exists');
+      }
+
+      const permission = await Permission.create({
+        name,
+        display_name,
+        description: description || `Permission to ${action} ${resource}`,
+        resource,
+        action
+      });
+
+      logService.logSecurity('permission_created', { permissionId: permission.id, name, createdBy });
+
+      return permission;
+    } catch (error) {
+      logService.error('Error creating permission:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Legacy users.rol value matching the RBAC roles of a user (highest precedence wins)
+   * @param {string} userId - User ID
+   * @returns {Promise<string|null>} - Legacy role, or null without a mapped RBAC role
+   */
+  async resolveLegacyRole(userId) {
+    const { roles } = await this.getUserAccess(userId);
+
+    const match = Object.keys(RBAC.LEGACY_ROLE_MAP).find(name => roles.includes(name));
+    return match ? RBAC.LEGACY_ROLE_MAP[match] : null;
+  }
+
+  /**
+   * Role exposed as user.rol (request user, JWT payload, profile responses)
+   * @param {Object} user - User with id and rol
+   * @returns {Promise<string|null>} - users.rol, or the RBAC-derived role when config.rbac.roleSource is 'rbac'
+   */
+  async getEffectiveRol(user) {
+    if (config.rbac.roleSource !== 'rbac') {
+      return user.rol;
+    }
+    return await this.resolveLegacyRole(user.id);
+  }
+
+  /**
+   * Mirror a users.rol value into UserRole: ensure the matching RBAC role is assigned,
+   * and deactivate the role matching the previous value
+   * @param {string} userId - User ID
+   * @param {string} rol - Legacy role (also the RBAC role name)
+   * @param {string} previousRol - Legacy role being replaced, if any
+   * @param {Object} options - assignedBy, transaction, dryRun (report without writing)
+   * @returns {Promise<string>} - 'created', 'reactivated' or 'unchanged'
+   */
+  async syncLegacyRole(userId, rol, previousRol = null, options = {}) {
+    const { assignedBy = null, transaction = null, dryRun = false } = options;
+
+    const role = await Role.findOne({ where: { name: rol }, transaction });
+    if (!role) {
+      throw new Error(`Role '${rol}' not found`);
+    }
+
+    const existing = await UserRole.findOne({
+      where: { user_id: userId, role_id: role.id },
+      transaction
+    });
+    const expired = existing?.expires_at && existing.expires_at <= new Date();
+
+    let result = 'unchanged';
+    if (!existing) {
+      result = 'created';
+    } else if (!existing.is_active || expired) {
+      result = 'reactivated';
+    }
+
+    if (dryRun) {
+      return result;
+    }
+
+    if (result === 'created') {
+      await UserRole.create({ user_id: userId, role_id: role.id, assigned_by: assignedBy }, { transaction });
+    } else if (result === 'reactivated') {
+      await existing.update({
+        is_active: true,
+        assigned_by: assignedBy,
+        assigned_at: new Date(),
+        expires_at: null,
+        expiry_notified_at: null
+      }, { transaction });
+    }
+
+    let removedPrevious = false;
+    if (previousRol && previousRol !== rol) {
+      const previousRole = await Role.findOne({ where: { name: previousRol }, transaction });
+      if (previousRole) {
+        const [count] = await UserRole.update(
+          { is_active: false },
+          { where: { user_id: userId, role_id: previousRole.id, is_active: true }, transaction }
+        );
+        removedPrevious = count > 0;
+      }
+    }
+
+    if (result !== 'unchanged' || removedPrevious) {
+      await permissionCacheService.invalidateUser(userId);
+      logService.info('Legacy role synchronized to RBAC', { userId, rol, previousRol, result });
+    }
+
+    return result;
+  }
+
   /**
    * Initialize complete RBAC system
    */
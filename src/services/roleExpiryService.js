@@ -0,0 +1,177 @@
+const { Op } = require('sequelize');
+const { UserRole, Role, User } = require('../models');
+const encryptionService = require('./encryptionService');
+const mailService = require('./mailService');
+const permissionCacheService = require('./permissionCacheService');
+const logService = require('./logService');
+const config = require('../config/config');
+
+/**
+ * Default expiry handler: email the holder of the role
+ */
+const emailHandler = async ({ user, role, expiresAt }) => {
+  const { email } = encryptionService.decryptFields(user.toJSON(), ['email']);
+  await mailService.sendRoleExpiryNotice(email, role.display_name, expiresAt);
+};
+
+class RoleExpiryService {
+  constructor() {
+    this.timer = null;
+    this.sweeping = false;
+    this.handlers = [emailHandler];
+  }
+
+  /**
+   * Register a handler called once per temporary assignment shortly before it expires
+   * (config.rbac.roleExpiryNoticeHours), e.g. to notify through another channel
+   * @param {Function} handler - async ({ userRole, user, role, expiresAt }) => void
+   */
+  registerExpiryHandler(handler) {
+    if (typeof handler !== 'function') {
+      throw new Error('Role expiry handler must be a function');
+    }
+    this.handlers.push(handler);
+  }
+
+  /**
+   * Run the expiry handlers for assignments entering the notice window
+   * @returns {Promise<number>} - Number of assignments notified
+   */
+  async notifyExpiring() {
+    const now = new Date();
+    const noticeUntil = new Date(now.getTime() + config.rbac.roleExpiryNoticeHours * 60 * 60 * 1000);
+
+    const expiring = await UserRole.findAll({
+      where: {
+        is_active: true,
+        expiry_notified_at: null,
+        expires_at: { [Op.gt]: now, [Op.lte]: noticeUntil }
+      },
+      include: [
+        { model: Role, as: 'role' },
+        { model: User, as: 'user' }
+      ]
+    });
+
+    let notified = 0;
+    for (const userRole of expiring) {
+      // Claim the notice first so that concurrent sweepers notify only once
+      const [claimed] = await UserRole.update(
+        { expiry_notified_at: now },
+        { where: { id: userRole.id, expiry_notified_at: null } }
+      );
+      if (!claimed) continue;
+
+      const event = { userRole, user: userRole.user, role: userRole.role, expiresAt: userRole.expires_at };
+      for (const handler of this.handlers) {
+        try {
+          await handler(event);
+        } catch (error) {
+          logService.error('Role expiry handler failed:', error);
+        }
+      }
+
+      logService.logSecurity('role_assignment_expiring', {
+        userId: userRole.user_id,
+        roleId: userRole.role_id,
+        roleName: userRole.role?.name,
+        expiresAt: userRole.expires_at
+      });
+      notified++;
+    }
+
+    return notified;
+  }
+
+  /**
+   * Deactivate assignments past their expiry
+   * @returns {Promise<number>} - Number of assignments deactivated
+   */
+  async deactivateExpired() {
+    const expired = await UserRole.findAll({
+      where: {
+        is_active: true,
+        expires_at: { [Op.lte]: new Date() }
+      },
+      include: [{ model: Role, as: 'role', attributes: ['id', 'name'] }]
+    });
+
+    let deactivated = 0;
+    for (const userRole of expired) {
+      const [updated] = await UserRole.update(
+        { is_active: false },
+        { where: { id: userRole.id, is_active: true } }
+      );
+      if (!updated) continue;
+
+      await permissionCacheService.invalidateUser(userRole.user_id);
+
+      logService.logSecurity('role_assignment_expired', {
+        userId: userRole.user_id,
+        roleId: userRole.role_id,
+        roleName: userRole.role?.name,
+        assignedBy: userRole.assigned_by,
+        expiresAt: userRole.expires_at
+      });
+      deactivated++;
+    }
+
+    return deactivated;
+  }
+
+  /**
+   * One sweep: notify upcoming expiries, then deactivate expired assignments
+   * @returns {Promise<Object>} - notified and deactivated counts
+   */
+  async sweep() {
+    // A slow sweep must not overlap with the next tick
+    if (this.sweeping) {
+      return { notified: 0, deactivated: 0 };
+    }
+
+    this.sweeping = true;
+    try {
+      const notified = await this.notifyExpiring();
+      const deactivated = await this.deactivateExpired();
+
+      if (notified > 0 || deactivated > 0) {
+        logService.info('Role expiry sweep completed', { notified, deactivated });
+      }
+
+      return { notified, deactivated };
+    } finally {
+      this.sweeping = false;
+    }
+  }
+
+  /**
+   * Start sweeping every config.rbac.roleExpirySweepIntervalMinutes
+   */
+  start() {
+    const intervalMinutes = config.rbac.roleExpirySweepIntervalMinutes;
+    if (this.timer || !(intervalMinutes > 0)) {
+      return;
+    }
+
+    const run = () => this.sweep().catch(error => logService.error('Role expiry sweep failed:', error));
+
+    this.timer = setInterval(run, intervalMinutes * 60 * 1000);
+    // The sweeper alone must not keep the process alive
+    this.timer.unref();
+    run();
+
+    logService.info('Role expiry sweeper started', { intervalMinutes });
+  }
+
+  /**
+   * Stop the sweeper
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = new RoleExpiryService();
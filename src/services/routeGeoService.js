@@ -0,0 +1,344 @@
+const { XMLParser, XMLBuilder } = require('fast-xml-parser');
+const { validateCoordinates } = require('../utils/helpers');
+const { GEOGRAPHIC } = require('../utils/constants');
+
+const MAX_TEXT_LENGTH = 1000;
+const CREATOR = 'BackendOpen';
+
+const EXPORT_FORMATS = {
+  geojson: { contentType: 'application/geo+json', extension: 'geojson' },
+  gpx: { contentType: 'application/gpx+xml', extension: 'gpx' },
+  kml: { contentType: 'application/vnd.google-earth.kml+xml', extension: 'kml' }
+};
+
+const xmlBuilder = new XMLBuilder({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  format: true,
+  suppressEmptyNode: true
+});
+
+const gpxParser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '',
+  removeNSPrefix: true,
+  parseTagValue: false,
+  parseAttributeValue: false,
+  isArray: (name) => ['trk', 'trkseg', 'trkpt', 'rte', 'rtept'].includes(name)
+});
+
+/**
+ * Text of an optional GPX element (null when missing or blank)
+ * @param {*} value - Parsed element
+ * @returns {string|null} - Trimmed text
+ */
+const textOf = (value) => {
+  if (value === undefined || value === null || typeof value === 'object') return null;
+  const text = String(value).trim();
+  return text.length > 0 ? text : null;
+};
+
+/**
+ * Safe file name for a route export
+ * @param {string} name - Route name
+ * @returns {string} - Slug
+ */
+const fileNameOf = (name) => name
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^a-zA-Z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .toLowerCase() || 'route';
+
+class RouteGeoService {
+  /**
+   * Supported export formats
+   * @returns {Array<string>} - Format names
+   */
+  getExportFormats() {
+    return Object.keys(EXPORT_FORMATS);
+  }
+
+  /**
+   * Serialize a route with its waypoints (as returned by routeService.getRouteById)
+   * @param {Object} route - Route with waypoints sorted by position
+   * @param {string} format - geojson, gpx or kml
+   * @returns {Object} - content, contentType and fileName
+   */
+  exportRoute(route, format) {
+    const exporters = {
+      geojson: () => JSON.stringify(this.toGeoJSON(route), null, 2),
+      gpx: () => this.toGPX(route),
+      kml: () => this.toKML(route)
+    };
+
+    if (!exporters[format]) {
+      throw new Error(`Export format must be one of: ${this.getExportFormats().join(', ')}`);
+    }
+
+    return {
+      content: exporters[format](),
+      contentType: EXPORT_FORMATS[format].contentType,
+      fileName: `${fileNameOf(route.name)}.${EXPORT_FORMATS[format].extension}`
+    };
+  }
+
+  /**
+   * GeoJSON FeatureCollection: the route LineString plus one Point per waypoint
+   * @param {Object} route - Route with waypoints
+   * @returns {Object} - FeatureCollection
+   */
+  toGeoJSON(route) {
+    const features = [];
+
+    if (route.geometry) {
+      features.push({
+        type: 'Feature',
+        geometry: route.geometry,
+        properties: {
+          name: route.name,
+          location: route.location,
+          transport_name: route.transport_name,
+          total_length_km: route.total_length_km
+        }
+      });
+    }
+
+    route.waypoints.forEach(waypoint => features.push({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [waypoint.longitude, waypoint.latitude] },
+      properties: {
+        position: waypoint.position,
+        landmark_description: waypoint.landmark_description,
+        accessibility_notes: waypoint.accessibility_notes
+      }
+    }));
+
+    return {
+      type: 'FeatureCollection',
+      properties: { name: route.name, location: route.location },
+      features
+    };
+  }
+
+  /**
+   * GPX 1.1 track; landmark descriptions go to <desc> and accessibility notes to <cmt>
+   * @param {Object} route - Route with waypoints
+   * @returns {string} - GPX document
+   */
+  toGPX(route) {
+    return xmlBuilder.build({
+      '?xml': { '@_version': '1.0', '@_encoding': 'UTF-8' },
+      gpx: {
+        '@_version': '1.1',
+        '@_creator': CREATOR,
+        '@_xmlns': 'http://www.topografix.com/GPX/1/1',
+        metadata: { name: route.name, desc: route.location },
+        trk: {
+          name: route.name,
+          type: route.transport_name,
+          trkseg: {
+            trkpt: route.waypoints.map(waypoint => ({
+              '@_lat': waypoint.latitude,
+              '@_lon': waypoint.longitude,
+              cmt: waypoint.accessibility_notes || undefined,
+              desc: waypoint.landmark_description || undefined
+            }))
+          }
+        }
+      }
+    });
+  }
+
+  /**
+   * KML document with the route line and a placemark per waypoint
+   * @param {Object} route - Route with waypoints
+   * @returns {string} - KML document
+   */
+  toKML(route) {
+    const placemarks = route.waypoints.map(waypoint => ({
+      name: `${waypoint.position}`,
+      description: [waypoint.landmark_description, waypoint.accessibility_notes].filter(Boolean).join('\n') || undefined,
+      Point: { coordinates: `${waypoint.longitude},${waypoint.latitude}` }
+    }));
+
+    if (route.geometry) {
+      placemarks.unshift({
+        name: route.name,
+        description: route.location,
+        LineString: {
+          tessellate: 1,
+          coordinates: route.geometry.coordinates.map(([lng, lat]) => `${lng},${lat}`).join(' ')
+        }
+      });
+    }
+
+    return xmlBuilder.build({
+      '?xml': { '@_version': '1.0', '@_encoding': 'UTF-8' },
+      kml: {
+        '@_xmlns': 'http://www.opengis.net/kml/2.2',
+        Document: {
+          name: route.name,
+          Placemark: placemarks
+        }
+      }
+    });
+  }
+
+  /**
+   * Parse a GeoJSON or GPX file into waypoints
+   * @param {string|Object} data - File content, or an already parsed GeoJSON object
+   * @param {string} format - geojson or gpx; detected from the content when omitted
+   * @returns {Object} - name (from the file, if any), waypoints, and errors (one per invalid
+   *   point: { point, issues }); waypoints are only usable when errors is empty
+   */
+  parseWaypoints(data, format = null) {
+    const content = Buffer.isBuffer(data) ? data.toString('utf8') : data;
+    const detected = format || (typeof content === 'string' && content.trim().startsWith('<') ? 'gpx' : 'geojson');
+
+    const { name, points } = detected === 'gpx' ? this.readGPX(content) : this.readGeoJSON(content);
+
+    if (points.length === 0) {
+      throw new Error(detected === 'gpx'
+        ? 'GPX file contains no track or route points'
+        : 'GeoJSON contains no LineString');
+    }
+    if (points.length > GEOGRAPHIC.MAX_WAYPOINTS_PER_ROUTE) {
+      throw new Error(`A route cannot have more than ${GEOGRAPHIC.MAX_WAYPOINTS_PER_ROUTE} waypoints`);
+    }
+
+    const errors = [];
+    const waypoints = points.map((point, index) => {
+      const { issues } = validateCoordinates(point.latitude, point.longitude);
+
+      ['landmark_description', 'accessibility_notes'].forEach(field => {
+        if (point[field] && point[field].length > MAX_TEXT_LENGTH) {
+          issues.push(`${field} cannot exceed ${MAX_TEXT_LENGTH} characters`);
+        }
+      });
+
+      if (issues.length > 0) {
+        errors.push({ point: index + 1, issues });
+      }
+
+      return {
+        latitude: point.latitude,
+        longitude: point.longitude,
+        landmark_description: point.landmark_description || null,
+        accessibility_notes: point.accessibility_notes || null
+      };
+    });
+
+    return { name, waypoints, errors };
+  }
+
+  /**
+   * Points of the LineStrings (and MultiLineStrings) of a GeoJSON object, in order. Point
+   * features annotate the vertex at their position property, or with the same coordinates.
+   * @param {string|Object} content - GeoJSON text or object
+   * @returns {Object} - name and points
+   */
+  readGeoJSON(content) {
+    let geojson = content;
+    if (typeof content === 'string') {
+      try {
+        geojson = JSON.parse(content);
+      } catch (error) {
+        throw new Error('Invalid GeoJSON: not valid JSON');
+      }
+    }
+
+    if (!geojson || typeof geojson !== 'object') {
+      throw new Error('Invalid GeoJSON: expected an object');
+    }
+
+    let features;
+    if (geojson.type === 'FeatureCollection') {
+      features = Array.isArray(geojson.features) ? geojson.features : [];
+    } else if (geojson.type === 'Feature') {
+      features = [geojson];
+    } else {
+      features = [{ type: 'Feature', geometry: geojson, properties: {} }];
+    }
+
+    const points = [];
+    let name = (geojson.properties && geojson.properties.name) || null;
+
+    features.forEach(feature => {
+      const geometry = feature && feature.geometry;
+      if (!geometry) return;
+
+      const lines = geometry.type === 'LineString' ? [geometry.coordinates]
+        : geometry.type === 'MultiLineString' ? geometry.coordinates
+          : [];
+
+      lines.forEach(line => (Array.isArray(line) ? line : []).forEach(position => {
+        const [longitude, latitude] = Array.isArray(position) ? position : [];
+        points.push({ latitude, longitude });
+      }));
+
+      if (lines.length > 0 && !name && feature.properties && feature.properties.name) {
+        name = feature.properties.name;
+      }
+    });
+
+    features
+      .filter(feature => feature && feature.geometry && feature.geometry.type === 'Point')
+      .forEach(feature => {
+        const properties = feature.properties || {};
+        const [longitude, latitude] = feature.geometry.coordinates || [];
+        const point = Number.isInteger(properties.position)
+          ? points[properties.position - 1]
+          : points.find(candidate => candidate.latitude === latitude && candidate.longitude === longitude);
+
+        if (point) {
+          point.landmark_description = textOf(properties.landmark_description ?? properties.description ?? properties.name);
+          point.accessibility_notes = textOf(properties.accessibility_notes);
+        }
+      });
+
+    return { name: textOf(name), points };
+  }
+
+  /**
+   * Points of the tracks of a GPX document, or of its routes when it has no tracks
+   * @param {string} content - GPX text
+   * @returns {Object} - name and points
+   */
+  readGPX(content) {
+    if (typeof content !== 'string') {
+      throw new Error('Invalid GPX: expected XML text');
+    }
+
+    let gpx;
+    try {
+      gpx = gpxParser.parse(content).gpx;
+    } catch (error) {
+      throw new Error(`Invalid GPX: ${error.message}`);
+    }
+
+    if (!gpx) {
+      throw new Error('Invalid GPX: missing <gpx> element');
+    }
+
+    const tracks = gpx.trk || [];
+    let rawPoints = tracks.flatMap(track => (track.trkseg || []).flatMap(segment => segment.trkpt || []));
+    if (rawPoints.length === 0) {
+      rawPoints = (gpx.rte || []).flatMap(route => route.rtept || []);
+    }
+
+    const points = rawPoints.map(point => ({
+      latitude: parseFloat(point.lat),
+      longitude: parseFloat(point.lon),
+      landmark_description: textOf(point.desc) || textOf(point.name),
+      accessibility_notes: textOf(point.cmt)
+    }));
+
+    const name = textOf(gpx.metadata && gpx.metadata.name) || textOf(tracks[0] && tracks[0].name) ||
+      textOf(gpx.rte && gpx.rte[0] && gpx.rte[0].name);
+
+    return { name, points };
+  }
+}
+
+module.exports = new RouteGeoService();
@@ -1,6 +1,26 @@
-const { Route, User } = require('../models');
+const { Route, RouteWaypoint, RouteRevision, PersonalizedMessage, User } = require('../models');
+const RouteAnalytics = require('../models/nosql/RouteAnalytics');
+const VoiceGuide = require('../models/nosql/VoiceGuide');
+const UserProfile = require('../models/nosql/UserProfile');
 const logService = require('./logService');
+const databaseService = require('./databaseService');
+const geoSearchService = require('./geoSearchService');
 const { Op } = require('sequelize');
+const { calculateDistance, calculateBearing, toCompassDirection } = require('../utils/helpers');
+const { GEOGRAPHIC, SUPPORTED_LANGUAGES } = require('../utils/constants');
+
+const WAYPOINT_FIELDS = ['latitude', 'longitude', 'landmark_description', 'accessibility_notes'];
+const ROUTE_FIELDS = ['name', 'location', 'transport_name', 'status'];
+
+/**
+ * Copy the listed fields of an object
+ * @param {Object} source - Source object
+ * @param {Array<string>} fields - Fields to keep
+ * @returns {Object} - New object with only those fields
+ */
+const pick = (source, fields) => Object.fromEntries(
+  fields.filter(field => source[field] !== undefined).map(field => [field, source[field]])
+);
 
 class RouteService {
   /**
@@ -58,10 +78,45 @@ class RouteService {
     }
   }
 
+  /**
+   * Waypoint as returned by the API, with numeric coordinates
+   * @param {Object} waypoint - RouteWaypoint instance
+   * @returns {Object} - Plain waypoint
+   */
+  formatWaypoint(waypoint) {
+    return {
+      ...waypoint.toJSON(),
+      latitude: parseFloat(waypoint.latitude),
+      longitude: parseFloat(waypoint.longitude)
+    };
+  }
+
+  /**
+   * Geometry of an ordered list of waypoints
+   * @param {Array<Object>} waypoints - Waypoints sorted by position
+   * @returns {Object} - geometry (GeoJSON LineString, null below two waypoints) and
+   *   total_length_km (sum of the haversine distances between consecutive waypoints)
+   */
+  buildGeometry(waypoints) {
+    const coordinates = waypoints.map(waypoint => [parseFloat(waypoint.longitude), parseFloat(waypoint.latitude)]);
+
+    let totalLength = 0;
+    for (let i = 1; i < coordinates.length; i++) {
+      const [previousLng, previousLat] = coordinates[i - 1];
+      const [lng, lat] = coordinates[i];
+      totalLength += calculateDistance(previousLat, previousLng, lat, lng);
+    }
+
+    return {
+      geometry: coordinates.length >= 2 ? { type: 'LineString', coordinates } : null,
+      total_length_km: Number(totalLength.toFixed(3))
+    };
+  }
+
   /**
    * Get route by ID
    * @param {string} routeId - Route ID
-   * @returns {Promise<Object|null>} - Route data
+   * @returns {Promise<Object|null>} - Route data with its waypoints, geometry and length
    */
   async getRouteById(routeId) {
     try {
@@ -70,7 +125,11 @@ class RouteService {
           model: User,
           as: 'creator',
           attributes: ['id', 'nombres', 'apellidos']
-        }]
+        }, {
+          model: RouteWaypoint,
+          as: 'waypoints'
+        }],
+        order: [[{ model: RouteWaypoint, as: 'waypoints' }, 'position', 'ASC']]
       });
 
       if (!route) {
@@ -82,6 +141,9 @@ class RouteService {
 
       return {
         ...route.toJSON(),
+        revision: await this.getCurrentRevision(routeId),
+        waypoints: route.waypoints.map(waypoint => this.formatWaypoint(waypoint)),
+        ...this.buildGeometry(route.waypoints),
         analytics: analytics || null
       };
     } catch (error) {
@@ -92,20 +154,34 @@ class RouteService {
 
   /**
    * Create new route
-   * @param {Object} routeData - Route data
+   * @param {Object} routeData - Route data, optionally with its waypoints in order
    * @param {string} userId - User ID creating the route
    * @returns {Promise<Object>} - Created route
    */
   async createRoute(routeData, userId) {
     try {
-      const { name, location, transport_name, status = 'active' } = routeData;
-
-      const route = await Route.create({
-        name,
-        location,
-        transport_name,
-        status,
-        created_by: userId
+      const { name, location, transport_name, status = 'active', waypoints = [] } = routeData;
+
+      const route = await databaseService.executeTransaction(async (transaction) => {
+        const created = await Route.create({
+          name,
+          location,
+          transport_name,
+          status,
+          created_by: userId
+        }, { transaction });
+
+        if (waypoints.length > 0) {
+          await RouteWaypoint.bulkCreate(waypoints.map((waypoint, index) => ({
+            ...pick(waypoint, WAYPOINT_FIELDS),
+            route_id: created.id,
+            position: index + 1
+          })), { transaction, validate: true });
+        }
+
+        await this.recordRevision(created.id, userId, 'created', transaction);
+
+        return created;
       });
 
       // Initialize analytics in MongoDB
@@ -156,11 +232,6 @@ class RouteService {
    */
   async updateRoute(routeId, updateData, userId) {
     try {
-      const route = await Route.findByPk(routeId);
-      if (!route) {
-        throw new Error('Route not found');
-      }
-
       const { name, location, transport_name, status } = updateData;
       const updates = {};
 
@@ -169,7 +240,11 @@ class RouteService {
       if (transport_name !== undefined) updates.transport_name = transport_name;
       if (status !== undefined) updates.status = status;
 
-      await route.update(updates);
+      await databaseService.executeTransaction(async (transaction) => {
+        const route = await this.lockRoute(routeId, transaction);
+        await route.update(updates, { transaction });
+        await this.recordRevision(routeId, userId, 'updated', transaction);
+      });
 
       logService.info('Route updated', { routeId, userId, fields: Object.keys(updates) });
 
@@ -188,13 +263,12 @@ class RouteService {
    */
   async deleteRoute(routeId, userId) {
     try {
-      const route = await Route.findByPk(routeId);
-      if (!route) {
-        throw new Error('Route not found');
-      }
-
       // Soft delete by updating status
-      await route.update({ status: 'inactive' });
+      await databaseService.executeTransaction(async (transaction) => {
+        const route = await this.lockRoute(routeId, transaction);
+        await route.update({ status: 'inactive' }, { transaction });
+        await this.recordRevision(routeId, userId, 'deleted', transaction);
+      });
 
       logService.info('Route deleted (deactivated)', { routeId, userId });
 
@@ -205,6 +279,400 @@ class RouteService {
     }
   }
 
+  /**
+   * Lock a route for a change, so concurrent changes cannot interleave waypoint positions
+   * or revision numbers
+   * @param {string} routeId - Route ID
+   * @param {Object} transaction - Sequelize transaction
+   * @returns {Promise<Object>} - Route instance
+   */
+  async lockRoute(routeId, transaction) {
+    const route = await Route.findByPk(routeId, { transaction, lock: transaction.LOCK.UPDATE });
+    if (!route) {
+      throw new Error('Route not found');
+    }
+    return route;
+  }
+
+  /**
+   * Add waypoints to a route
+   * @param {string} routeId - Route ID
+   * @param {Array<Object>} waypoints - latitude, longitude, landmark_description, accessibility_notes
+   * @param {string} userId - User ID making the change
+   * @param {number} position - Insert before the waypoint at this position (appended when omitted)
+   * @returns {Promise<Object>} - Route with its waypoints and geometry
+   */
+  async addWaypoints(routeId, waypoints, userId, position = null) {
+    try {
+      await databaseService.executeTransaction(async (transaction) => {
+        await this.lockRoute(routeId, transaction);
+
+        const count = await RouteWaypoint.count({ where: { route_id: routeId }, transaction });
+        if (count + waypoints.length > GEOGRAPHIC.MAX_WAYPOINTS_PER_ROUTE) {
+          throw new Error(`A route cannot have more than ${GEOGRAPHIC.MAX_WAYPOINTS_PER_ROUTE} waypoints`);
+        }
+
+        const insertAt = position && position <= count ? position : count + 1;
+        if (insertAt <= count) {
+          await RouteWaypoint.increment('position', {
+            by: waypoints.length,
+            where: { route_id: routeId, position: { [Op.gte]: insertAt } },
+            transaction
+          });
+        }
+
+        await RouteWaypoint.bulkCreate(waypoints.map((waypoint, index) => ({
+          ...pick(waypoint, WAYPOINT_FIELDS),
+          route_id: routeId,
+          position: insertAt + index
+        })), { transaction, validate: true });
+
+        await this.recordRevision(routeId, userId, 'waypoints_added', transaction);
+      });
+
+      logService.info('Route waypoints added', { routeId, userId, count: waypoints.length, position });
+
+      return await this.getRouteById(routeId);
+    } catch (error) {
+      logService.error('Error adding route waypoints:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Replace every waypoint of a route
+   * @param {string} routeId - Route ID
+   * @param {Array<Object>} waypoints - New waypoints in order (empty to clear the geometry)
+   * @param {string} userId - User ID making the change
+   * @returns {Promise<Object>} - Route with its waypoints and geometry
+   */
+  async replaceWaypoints(routeId, waypoints, userId) {
+    try {
+      await databaseService.executeTransaction(async (transaction) => {
+        await this.lockRoute(routeId, transaction);
+
+        await RouteWaypoint.destroy({ where: { route_id: routeId }, transaction });
+        await RouteWaypoint.bulkCreate(waypoints.map((waypoint, index) => ({
+          ...pick(waypoint, WAYPOINT_FIELDS),
+          route_id: routeId,
+          position: index + 1
+        })), { transaction, validate: true });
+
+        await this.recordRevision(routeId, userId, 'waypoints_replaced', transaction);
+      });
+
+      logService.info('Route waypoints replaced', { routeId, userId, count: waypoints.length });
+
+      return await this.getRouteById(routeId);
+    } catch (error) {
+      logService.error('Error replacing route waypoints:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reorder the waypoints of a route
+   * @param {string} routeId - Route ID
+   * @param {Array<string>} waypointIds - Every waypoint ID of the route, in the new order
+   * @param {string} userId - User ID making the change
+   * @returns {Promise<Object>} - Route with its waypoints and geometry
+   */
+  async reorderWaypoints(routeId, waypointIds, userId) {
+    try {
+      await databaseService.executeTransaction(async (transaction) => {
+        await this.lockRoute(routeId, transaction);
+
+        const waypoints = await RouteWaypoint.findAll({
+          where: { route_id: routeId },
+          attributes: ['id'],
+          transaction
+        });
+
+        const sameSet = waypoints.length === waypointIds.length &&
+          waypoints.every(waypoint => waypointIds.includes(waypoint.id));
+        if (!sameSet) {
+          throw new Error('Waypoint order must list every waypoint of the route exactly once');
+        }
+
+        for (const [index, id] of waypointIds.entries()) {
+          await RouteWaypoint.update({ position: index + 1 }, { where: { id }, transaction });
+        }
+
+        await this.recordRevision(routeId, userId, 'waypoints_reordered', transaction);
+      });
+
+      logService.info('Route waypoints reordered', { routeId, userId, count: waypointIds.length });
+
+      return await this.getRouteById(routeId);
+    } catch (error) {
+      logService.error('Error reordering route waypoints:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Route fields and ordered waypoints, as stored in a revision snapshot
+   * @param {string} routeId - Route ID
+   * @param {Object} transaction - Sequelize transaction
+   * @returns {Promise<Object>} - Snapshot
+   */
+  async buildSnapshot(routeId, transaction) {
+    const route = await Route.findByPk(routeId, {
+      include: [{ model: RouteWaypoint, as: 'waypoints' }],
+      order: [[{ model: RouteWaypoint, as: 'waypoints' }, 'position', 'ASC']],
+      transaction
+    });
+
+    return {
+      ...pick(route, ROUTE_FIELDS),
+      waypoints: route.waypoints.map(waypoint => ({
+        position: waypoint.position,
+        ...pick(this.formatWaypoint(waypoint), WAYPOINT_FIELDS)
+      }))
+    };
+  }
+
+  /**
+   * Record the current state of a route as its next revision. Callers hold the route lock
+   * (or have just created the route) inside the same transaction. Nothing is recorded when
+   * the state equals the latest revision.
+   * @param {string} routeId - Route ID
+   * @param {string} userId - Author of the change
+   * @param {string} changeType - baseline, created, updated, deleted, waypoints_added,
+   *   waypoints_replaced, waypoints_reordered or restored
+   * @param {Object} transaction - Sequelize transaction
+   * @param {number} restoredFrom - Restored revision, for restores
+   * @returns {Promise<Object|null>} - Created revision, or null when nothing changed
+   */
+  async recordRevision(routeId, userId, changeType, transaction, restoredFrom = null) {
+    const snapshot = await this.buildSnapshot(routeId, transaction);
+    const latest = await RouteRevision.findOne({
+      where: { route_id: routeId },
+      order: [['revision', 'DESC']],
+      transaction
+    });
+
+    if (latest && !this.hasChanges(this.diffSnapshots(latest.snapshot, snapshot))) {
+      return null;
+    }
+
+    return await RouteRevision.create({
+      route_id: routeId,
+      revision: latest ? latest.revision + 1 : 1,
+      change_type: changeType,
+      snapshot,
+      restored_from: restoredFrom,
+      created_by: userId
+    }, { transaction });
+  }
+
+  /**
+   * Latest revision number of a route, which new voice guides and messages are pinned to
+   * @param {string} routeId - Route ID
+   * @param {Object} transaction - Sequelize transaction (optional)
+   * @returns {Promise<number|null>} - Revision number, null for routes without history
+   */
+  async getCurrentRevision(routeId, transaction = null) {
+    return await RouteRevision.max('revision', { where: { route_id: routeId }, transaction }) || null;
+  }
+
+  /**
+   * Revisions of a route, newest first, without their snapshots, with the number of voice
+   * guides and messages pinned to each
+   * @param {string} routeId - Route ID
+   * @param {Object} options - page and limit
+   * @returns {Promise<Object>} - revisions and total
+   */
+  async getRevisions(routeId, options = {}) {
+    try {
+      const { page = 1, limit = 20 } = options;
+
+      const { count, rows } = await RouteRevision.findAndCountAll({
+        where: { route_id: routeId },
+        attributes: { exclude: ['snapshot'] },
+        limit,
+        offset: (page - 1) * limit,
+        order: [['revision', 'DESC']],
+        include: [{
+          model: User,
+          as: 'author',
+          attributes: ['id']
+        }]
+      });
+
+      const revisionNumbers = rows.map(revision => revision.revision);
+      const [messageCounts, guideCounts] = await Promise.all([
+        PersonalizedMessage.count({
+          where: { route_id: routeId, route_revision: revisionNumbers },
+          group: ['route_revision']
+        }),
+        VoiceGuide.aggregate([
+          { $match: { route_id: routeId, route_revision: { $in: revisionNumbers } } },
+          { $group: { _id: '$route_revision', count: { $sum: 1 } } }
+        ])
+      ]);
+
+      const countOf = (counts, revision, key) => {
+        const entry = counts.find(item => Number(item[key]) === revision);
+        return entry ? Number(entry.count) : 0;
+      };
+
+      return {
+        revisions: rows.map(revision => ({
+          ...revision.toJSON(),
+          pinned_voice_guides: countOf(guideCounts, revision.revision, '_id'),
+          pinned_messages: countOf(messageCounts, revision.revision, 'route_revision')
+        })),
+        total: count
+      };
+    } catch (error) {
+      logService.error('Error getting route revisions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * One revision of a route with its snapshot
+   * @param {string} routeId - Route ID
+   * @param {number} revision - Revision number
+   * @returns {Promise<Object>} - Revision
+   */
+  async getRevision(routeId, revision) {
+    const found = await RouteRevision.findOne({
+      where: { route_id: routeId, revision },
+      include: [{
+        model: User,
+        as: 'author',
+        attributes: ['id']
+      }]
+    });
+
+    if (!found) {
+      throw new Error('Revision not found');
+    }
+
+    return found;
+  }
+
+  /**
+   * Changes between two snapshots; waypoints are compared by position
+   * @param {Object} from - Older snapshot
+   * @param {Object} to - Newer snapshot
+   * @returns {Object} - fields ({ field: { from, to } }) and waypoints (added, removed and
+   *   changed, each change being { position, changes: { field: { from, to } } })
+   */
+  diffSnapshots(from, to) {
+    const changesOf = (before, after, fields) => Object.fromEntries(fields
+      .filter(field => (before[field] ?? null) !== (after[field] ?? null))
+      .map(field => [field, { from: before[field] ?? null, to: after[field] ?? null }]));
+
+    const waypoints = { added: [], removed: [], changed: [] };
+    const fromWaypoints = new Map((from.waypoints || []).map(waypoint => [waypoint.position, waypoint]));
+    const toWaypoints = new Map((to.waypoints || []).map(waypoint => [waypoint.position, waypoint]));
+
+    toWaypoints.forEach((waypoint, position) => {
+      if (!fromWaypoints.has(position)) {
+        waypoints.added.push(waypoint);
+        return;
+      }
+
+      const changes = changesOf(fromWaypoints.get(position), waypoint, WAYPOINT_FIELDS);
+      if (Object.keys(changes).length > 0) {
+        waypoints.changed.push({ position, changes });
+      }
+    });
+    fromWaypoints.forEach((waypoint, position) => {
+      if (!toWaypoints.has(position)) {
+        waypoints.removed.push(waypoint);
+      }
+    });
+
+    return {
+      fields: changesOf(from, to, ROUTE_FIELDS),
+      waypoints
+    };
+  }
+
+  /**
+   * Whether a diff contains any change
+   * @param {Object} diff - Result of diffSnapshots
+   * @returns {boolean} - Has changes
+   */
+  hasChanges(diff) {
+    return Object.keys(diff.fields).length > 0 ||
+      Object.values(diff.waypoints).some(list => list.length > 0);
+  }
+
+  /**
+   * Diff between two revisions of a route
+   * @param {string} routeId - Route ID
+   * @param {number} from - Older revision number
+   * @param {number} to - Newer revision number (latest when omitted)
+   * @returns {Promise<Object>} - from, to and the diff
+   */
+  async diffRevisions(routeId, from, to = null) {
+    try {
+      const target = to || await this.getCurrentRevision(routeId);
+      const [fromRevision, toRevision] = await Promise.all([
+        this.getRevision(routeId, from),
+        this.getRevision(routeId, target)
+      ]);
+
+      return {
+        from: fromRevision.revision,
+        to: toRevision.revision,
+        ...this.diffSnapshots(fromRevision.snapshot, toRevision.snapshot)
+      };
+    } catch (error) {
+      logService.error('Error diffing route revisions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Bring a route back to the state of a revision, recorded as a new revision
+   * @param {string} routeId - Route ID
+   * @param {number} revision - Revision to restore
+   * @param {string} userId - User ID making the change
+   * @param {Object} options - authorize(fields): async check that the caller may set the restored
+   *   route fields (e.g. a location outside their conditional grants)
+   * @returns {Promise<Object>} - Restored route with its waypoints and geometry
+   */
+  async restoreRevision(routeId, revision, userId, options = {}) {
+    try {
+      await databaseService.executeTransaction(async (transaction) => {
+        const route = await this.lockRoute(routeId, transaction);
+
+        const target = await RouteRevision.findOne({ where: { route_id: routeId, revision }, transaction });
+        if (!target) {
+          throw new Error('Revision not found');
+        }
+
+        const fields = pick(target.snapshot, ROUTE_FIELDS);
+        if (options.authorize && !(await options.authorize(fields))) {
+          throw new Error('Insufficient permissions to restore this revision');
+        }
+
+        await route.update(fields, { transaction });
+        await RouteWaypoint.destroy({ where: { route_id: routeId }, transaction });
+        await RouteWaypoint.bulkCreate(target.snapshot.waypoints.map(waypoint => ({
+          ...pick(waypoint, WAYPOINT_FIELDS),
+          route_id: routeId,
+          position: waypoint.position
+        })), { transaction, validate: true });
+
+        await this.recordRevision(routeId, userId, 'restored', transaction, revision);
+      });
+
+      logService.info('Route revision restored', { routeId, userId, revision });
+
+      return await this.getRouteById(routeId);
+    } catch (error) {
+      logService.error('Error restoring route revision:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get routes by user
    * @param {string} userId - User ID
@@ -433,6 +901,123 @@ class RouteService {
     }
   }
 
+  /**
+   * Waypoints of active routes near a point, nearest first
+   * @param {Object} search - latitude, longitude, radiusKm, page and limit
+   * @returns {Promise<Object>} - waypoints (with distance_km and their route), total and radiusKm
+   */
+  async findNearbyWaypoints(search) {
+    try {
+      const nearby = await geoSearchService.findNearby('route_waypoints', {
+        ...search,
+        conditions: ["route_id IN (SELECT id FROM routes WHERE status = 'active')"]
+      });
+
+      const waypoints = await RouteWaypoint.findAll({
+        where: { id: nearby.results.map(result => result.id) },
+        include: [{
+          model: Route,
+          as: 'route',
+          attributes: ['id', 'name', 'location', 'transport_name']
+        }]
+      });
+
+      return {
+        waypoints: geoSearchService.attachDistances(nearby.results, waypoints, waypoint => this.formatWaypoint(waypoint)),
+        total: nearby.total,
+        radiusKm: nearby.radiusKm
+      };
+    } catch (error) {
+      logService.error('Error finding nearby waypoints:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Active routes starting near a point, nearest first, limited to those with a voice guide in
+   * the requested language (by default the caller's preferred one). Distances are straight-line,
+   * not along streets, hence straight_line_distance_m.
+   * @param {Object} search - latitude, longitude, radiusKm, page, limit, language and userId (both optional)
+   * @returns {Promise<Object>} - routes (with start, straight_line_distance_m, bearing_degrees,
+   *   direction and voice_guide), total, radiusKm and language
+   */
+  async findNearestRoutes(search) {
+    try {
+      const { latitude, longitude, radiusKm, page, limit, userId } = search;
+
+      const profile = userId
+        ? await UserProfile.findOne({ user_id: userId }, { preferences: 1 }).lean()
+        : null;
+      const preferences = (profile && profile.preferences) || {};
+      const language = search.language || preferences.language || SUPPORTED_LANGUAGES.SPANISH;
+
+      // Every active route starting within the radius (a route starts at its first waypoint)
+      const nearby = await geoSearchService.findNearby('route_waypoints', {
+        latitude,
+        longitude,
+        radiusKm,
+        limit: null,
+        where: { position: 1 },
+        conditions: ["route_id IN (SELECT id FROM routes WHERE status = 'active')"],
+        columns: ['route_id']
+      });
+
+      // Only those routes are looked up for a voice guide in the language
+      const guidedRouteIds = new Set(nearby.results.length === 0 ? [] : await VoiceGuide.distinct('route_id', {
+        language,
+        route_id: { $in: nearby.results.map(result => result.route_id) }
+      }));
+      const guided = nearby.results.filter(result => guidedRouteIds.has(result.route_id));
+      const results = guided.slice((page - 1) * limit, page * limit);
+
+      const starts = await RouteWaypoint.findAll({
+        where: { id: results.map(result => result.id) },
+        include: [{
+          model: Route,
+          as: 'route',
+          attributes: ['id', 'name', 'location', 'transport_name']
+        }]
+      });
+
+      const guides = await VoiceGuide.find(
+        { route_id: { $in: starts.map(start => start.route_id) }, language },
+        { route_id: 1, language: 1, voice_settings: 1, 'audio_metadata.duration': 1 }
+      ).lean();
+
+      const routes = geoSearchService.attachDistances(results, starts, waypoint => this.formatWaypoint(waypoint))
+        .map(({ route, distance_km, ...start }) => {
+          const routeGuides = guides.filter(guide => guide.route_id === route.id);
+          const guide = routeGuides.find(candidate => candidate.voice_settings &&
+            candidate.voice_settings.voice_type === preferences.voice_type) || routeGuides[0];
+          const bearing = calculateBearing(latitude, longitude, start.latitude, start.longitude);
+
+          return {
+            ...route,
+            start: pick(start, ['id', ...WAYPOINT_FIELDS]),
+            straight_line_distance_m: Math.round(distance_km * 1000),
+            bearing_degrees: Math.round(bearing),
+            direction: toCompassDirection(bearing),
+            voice_guide: guide ? {
+              id: guide._id,
+              language: guide.language,
+              voice_type: guide.voice_settings ? guide.voice_settings.voice_type : null,
+              duration: guide.audio_metadata ? guide.audio_metadata.duration : null
+            } : null
+          };
+        });
+
+      return {
+        routes,
+        total: guided.length,
+        radiusKm: nearby.radiusKm,
+        language
+      };
+    } catch (error) {
+      logService.error('Error finding nearest routes:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get route statistics
    * @param {string} routeId - Route ID
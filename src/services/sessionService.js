@@ -0,0 +1,290 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { UserSession, RefreshToken } = require('../models');
+const UserProfile = require('../models/nosql/UserProfile');
+const databaseService = require('./databaseService');
+const logService = require('./logService');
+const config = require('../config/config');
+
+const REFRESH_TOKEN_BYTES = 48;
+
+class SessionService {
+  /**
+   * Hash a refresh token for storage and lookup
+   * @param {string} token - Plain refresh token
+   * @returns {string} - SHA-256 hex digest
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Compute the expiry date for a new refresh token
+   * @returns {Date} - Expiry date
+   */
+  getRefreshTokenExpiry() {
+    return new Date(Date.now() + config.security.refreshTokenTtlDays * 24 * 60 * 60 * 1000);
+  }
+
+  /**
+   * Create a new session for a user and issue its first refresh token
+   * @param {string} userId - User ID
+   * @param {Object} loginInfo - ipAddress, userAgent, deviceInfo
+   * @returns {Promise<Object>} - Session and plain refresh token
+   */
+  async createSession(userId, loginInfo = {}) {
+    try {
+      const { ipAddress, userAgent, deviceInfo } = loginInfo;
+      const expiresAt = this.getRefreshTokenExpiry();
+
+      return await databaseService.executeTransaction(async (transaction) => {
+        const session = await UserSession.create({
+          user_id: userId,
+          ip_address: ipAddress || null,
+          user_agent: userAgent || null,
+          device_info: deviceInfo || null,
+          last_used_at: new Date(),
+          expires_at: expiresAt
+        }, { transaction });
+
+        const { token } = await this.issueRefreshToken(session.id, expiresAt, transaction);
+
+        return { session, refreshToken: token };
+      });
+    } catch (error) {
+      logService.error('Error creating session:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Persist a new refresh token for a session
+   * @param {string} sessionId - Session ID
+   * @param {Date} expiresAt - Token expiry
+   * @param {Object} transaction - Sequelize transaction
+   * @returns {Promise<Object>} - Plain token and its record
+   */
+  async issueRefreshToken(sessionId, expiresAt, transaction) {
+    const token = crypto.randomBytes(REFRESH_TOKEN_BYTES).toString('base64url');
+
+    const record = await RefreshToken.create({
+      session_id: sessionId,
+      token_hash: this.hashToken(token),
+      expires_at: expiresAt
+    }, { transaction });
+
+    return { token, record };
+  }
+
+  /**
+   * Exchange a refresh token for a new one.
+   * Presenting a token that was already rotated revokes the whole session.
+   * @param {string} token - Plain refresh token
+   * @returns {Promise<Object>} - Session and new plain refresh token
+   */
+  async rotateRefreshToken(token) {
+    const tokenHash = this.hashToken(token);
+
+    const result = await databaseService.executeTransaction(async (transaction) => {
+      const current = await RefreshToken.findOne({
+        where: { token_hash: tokenHash },
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      if (!current) {
+        return { error: 'Invalid refresh token' };
+      }
+
+      const session = await UserSession.findByPk(current.session_id, { transaction });
+      if (!session || session.revoked_at) {
+        return { error: 'Session has been revoked' };
+      }
+
+      if (current.used_at) {
+        return { reuse: true, session };
+      }
+
+      if (current.expires_at <= new Date() || session.expires_at <= new Date()) {
+        return { error: 'Refresh token has expired' };
+      }
+
+      const expiresAt = this.getRefreshTokenExpiry();
+      const { token: nextToken, record } = await this.issueRefreshToken(session.id, expiresAt, transaction);
+
+      await current.update({ used_at: new Date(), replaced_by: record.id }, { transaction });
+      await session.update({ last_used_at: new Date(), expires_at: expiresAt }, { transaction });
+
+      return { session, refreshToken: nextToken };
+    });
+
+    if (result.reuse) {
+      await this.revokeSession(result.session.id, 'refresh_token_reuse');
+      logService.logSecurity('refresh_token_reuse', {
+        userId: result.session.user_id,
+        sessionId: result.session.id
+      });
+      throw new Error('Refresh token has already been used');
+    }
+
+    if (result.error) {
+      throw new Error(result.error);
+    }
+
+    return result;
+  }
+
+  /**
+   * Check whether a session can still be used
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<boolean>} - Whether the session is active
+   */
+  async isSessionActive(sessionId) {
+    if (!sessionId) return false;
+
+    const session = await UserSession.findByPk(sessionId, {
+      attributes: ['id', 'revoked_at', 'expires_at']
+    });
+
+    return !!session && !session.revoked_at && session.expires_at > new Date();
+  }
+
+  /**
+   * List the live sessions of a user, enriched with login history
+   * @param {string} userId - User ID
+   * @param {Object} options - currentSessionId to flag the caller's session
+   * @returns {Promise<Array>} - Active sessions, most recently used first
+   */
+  async listUserSessions(userId, options = {}) {
+    try {
+      const { currentSessionId } = options;
+
+      const sessions = await UserSession.findAll({
+        where: {
+          user_id: userId,
+          revoked_at: null,
+          expires_at: { [Op.gt]: new Date() }
+        },
+        order: [['last_used_at', 'DESC']]
+      });
+
+      const loginHistory = await this.getLoginHistoryBySession(userId);
+
+      return sessions.map(session => {
+        const login = loginHistory.get(session.id);
+
+        return {
+          id: session.id,
+          ip_address: session.ip_address,
+          user_agent: session.user_agent,
+          device_info: session.device_info,
+          logged_in_at: login ? login.timestamp : session.created_at,
+          last_used_at: session.last_used_at,
+          expires_at: session.expires_at,
+          current: session.id === currentSessionId
+        };
+      });
+    } catch (error) {
+      logService.error('Error listing user sessions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Index a user's login history entries by session ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Map>} - session_id -> login history entry
+   */
+  async getLoginHistoryBySession(userId) {
+    const history = new Map();
+
+    try {
+      const profile = await UserProfile.findOne({ user_id: userId }, { login_history: 1 }).lean();
+
+      (profile?.login_history || []).forEach(entry => {
+        if (entry.session_id) {
+          history.set(entry.session_id, entry);
+        }
+      });
+    } catch (error) {
+      logService.warn('Could not load login history (MongoDB not available):', error);
+    }
+
+    return history;
+  }
+
+  /**
+   * Revoke a session only if it belongs to the given user
+   * @param {string} userId - User ID
+   * @param {string} sessionId - Session ID
+   * @param {string} reason - Revocation reason
+   * @returns {Promise<boolean>} - False if the user has no such active session
+   */
+  async revokeUserSession(userId, sessionId, reason = 'logout') {
+    const session = await UserSession.findOne({
+      where: { id: sessionId, user_id: userId, revoked_at: null }
+    });
+
+    if (!session) {
+      return false;
+    }
+
+    return await this.revokeSession(session.id, reason);
+  }
+
+  /**
+   * Revoke a single session
+   * @param {string} sessionId - Session ID
+   * @param {string} reason - Revocation reason
+   * @returns {Promise<boolean>} - Whether a session was revoked
+   */
+  async revokeSession(sessionId, reason = 'logout') {
+    try {
+      const [count] = await UserSession.update(
+        { revoked_at: new Date(), revoked_reason: reason },
+        { where: { id: sessionId, revoked_at: null } }
+      );
+
+      if (count > 0) {
+        logService.logAuth('session_revoked', { sessionId, reason });
+      }
+
+      return count > 0;
+    } catch (error) {
+      logService.error('Error revoking session:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke every active session of a user
+   * @param {string} userId - User ID
+   * @param {string} reason - Revocation reason
+   * @param {Object} options - exceptSessionId to keep the current session alive
+   * @returns {Promise<number>} - Number of revoked sessions
+   */
+  async revokeAllUserSessions(userId, reason = 'logout_all', options = {}) {
+    try {
+      const { exceptSessionId } = options;
+
+      const whereClause = { user_id: userId, revoked_at: null };
+      if (exceptSessionId) {
+        whereClause.id = { [Op.ne]: exceptSessionId };
+      }
+
+      const [count] = await UserSession.update(
+        { revoked_at: new Date(), revoked_reason: reason },
+        { where: whereClause }
+      );
+
+      logService.logAuth('sessions_revoked', { userId, reason, count });
+
+      return count;
+    } catch (error) {
+      logService.error('Error revoking user sessions:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new SessionService();
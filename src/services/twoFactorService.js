@@ -0,0 +1,415 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { Op } = require('sequelize');
+const { UserTwoFactor, UserRole, Role } = require('../models');
+const encryptionService = require('./encryptionService');
+const databaseService = require('./databaseService');
+const permissionCacheService = require('./permissionCacheService');
+const logService = require('./logService');
+const config = require('../config/config');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_WINDOW = 1; // Accept one step of clock drift either way
+
+/**
+ * Encode bytes as RFC 4648 base32 (no padding), the format authenticator apps expect
+ * @param {Buffer} buffer - Raw bytes
+ * @returns {string} - Base32 string
+ */
+const base32Encode = (buffer) => {
+  let bits = '';
+  buffer.forEach(byte => { bits += byte.toString(2).padStart(8, '0'); });
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+/**
+ * Decode an RFC 4648 base32 string
+ * @param {string} input - Base32 string
+ * @returns {Buffer} - Raw bytes
+ */
+const base32Decode = (input) => {
+  let bits = '';
+  input.replace(/=+$/, '').toUpperCase().split('').forEach(char => {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+    bits += index.toString(2).padStart(5, '0');
+  });
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * RFC 4226 HOTP value for a counter
+ * @param {Buffer} key - Shared secret
+ * @param {number} counter - Moving factor (TOTP time step)
+ * @returns {string} - Zero-padded code
+ */
+const hotp = (key, counter) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const digest = crypto.createHmac('sha1', key).update(message).digest();
+  const offset = digest[digest.length - 1] & 0x0f;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Hash a recovery code, ignoring case and separators
+ * @param {string} code - Recovery code
+ * @returns {string} - SHA-256 hex digest
+ */
+const hashRecoveryCode = (code) => {
+  const normalized = String(code).toLowerCase().replace(/[^0-9a-f]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+};
+
+class TwoFactorService {
+  /**
+   * Current TOTP time step
+   * @returns {number} - Step number
+   */
+  getCurrentStep() {
+    return Math.floor(Date.now() / 1000 / TOTP_PERIOD_SECONDS);
+  }
+
+  /**
+   * Find the time step a TOTP code belongs to, within the drift window
+   * @param {string} secret - Base32 secret
+   * @param {string} code - Code entered by the user
+   * @returns {number|null} - Matching step or null
+   */
+  matchTotpStep(secret, code) {
+    if (!/^\d{6}$/.test(code)) return null;
+
+    const key = base32Decode(secret);
+    const current = this.getCurrentStep();
+
+    for (let step = current - TOTP_WINDOW; step <= current + TOTP_WINDOW; step++) {
+      const expected = hotp(key, step);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+        return step;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Generate a fresh set of recovery codes
+   * @returns {Object} - Plain codes (shown once) and their hashes (stored)
+   */
+  generateRecoveryCodes() {
+    const codes = Array.from({ length: config.twoFactor.recoveryCodeCount }, () => {
+      const hex = crypto.randomBytes(5).toString('hex');
+      return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+
+    return { codes, hashes: codes.map(hashRecoveryCode) };
+  }
+
+  /**
+   * Two-factor state of a user
+   * @param {string} userId - User ID
+   * @param {string} legacyRole - users.rol value
+   * @returns {Promise<Object>} - enabled, pending, required, recoveryCodesRemaining
+   */
+  async getStatus(userId, legacyRole) {
+    const [record, required] = await Promise.all([
+      UserTwoFactor.findOne({ where: { user_id: userId } }),
+      this.isRequired(userId, legacyRole)
+    ]);
+
+    return {
+      enabled: !!record?.enabled_at,
+      pending: !!record && !record.enabled_at,
+      required,
+      enabledAt: record?.enabled_at || null,
+      recoveryCodesRemaining: record?.enabled_at ? record.recovery_codes.length : 0
+    };
+  }
+
+  /**
+   * Whether the user has confirmed a TOTP enrolment
+   * @param {string} userId - User ID
+   * @returns {Promise<boolean>} - True if 2FA is on
+   */
+  async isEnabled(userId) {
+    const count = await UserTwoFactor.count({
+      where: { user_id: userId, enabled_at: { [Op.ne]: null } }
+    });
+    return count > 0;
+  }
+
+  /**
+   * Whether any of the user's roles demands two-factor authentication.
+   * Both active UserRole assignments and the legacy users.rol column are considered.
+   * @param {string} userId - User ID
+   * @param {string} legacyRole - users.rol value
+   * @returns {Promise<boolean>} - True if 2FA is mandatory
+   */
+  async isRequired(userId, legacyRole) {
+    const assigned = await UserRole.count({
+      where: {
+        user_id: userId,
+        is_active: true,
+        [Op.or]: [{ expires_at: null }, { expires_at: { [Op.gt]: new Date() } }]
+      },
+      include: [{
+        model: Role,
+        as: 'role',
+        where: { requires_two_factor: true, is_active: true }
+      }]
+    });
+
+    if (assigned > 0) return true;
+    // With RBAC as the source of truth the assignments above are all there is
+    if (!legacyRole || config.rbac.roleSource === 'rbac') return false;
+
+    const legacy = await Role.count({
+      where: { name: legacyRole, requires_two_factor: true, is_active: true }
+    });
+    return legacy > 0;
+  }
+
+  /**
+   * Whether the user still has to enrol before using the API
+   * @param {Object} user - User with id and rol
+   * @returns {Promise<boolean>} - True if required but not enabled
+   */
+  async isSetupPending(user) {
+    if (await this.isEnabled(user.id)) return false;
+    return await this.isRequired(user.id, user.rol);
+  }
+
+  /**
+   * Start enrolment: store a new encrypted secret awaiting confirmation
+   * @param {string} userId - User ID
+   * @param {string} accountLabel - Label shown in the authenticator app (email)
+   * @returns {Promise<Object>} - secret and otpauth URL for QR codes
+   */
+  async beginSetup(userId, accountLabel) {
+    try {
+      if (await this.isEnabled(userId)) {
+        throw new Error('Two-factor authentication is already enabled');
+      }
+
+      const secret = base32Encode(crypto.randomBytes(20));
+      const { secret: encryptedSecret } = encryptionService.encryptFields({ secret }, ['secret']);
+
+      await UserTwoFactor.destroy({ where: { user_id: userId } });
+      await UserTwoFactor.create({
+        user_id: userId,
+        secret: encryptedSecret,
+        recovery_codes: []
+      });
+
+      const issuer = encodeURIComponent(config.twoFactor.issuer);
+      const label = encodeURIComponent(`${config.twoFactor.issuer}:${accountLabel}`);
+      const otpauthUrl = `otpauth://totp/${label}?secret=${secret}&issuer=${issuer}` +
+        `&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_PERIOD_SECONDS}`;
+
+      logService.logAuth('two_factor_setup_started', { userId });
+
+      return { secret, otpauthUrl };
+    } catch (error) {
+      logService.error('Error starting two-factor setup:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Confirm enrolment with a first code and issue recovery codes
+   * @param {string} userId - User ID
+   * @param {string} code - TOTP code from the authenticator app
+   * @returns {Promise<Array<string>>} - Plain recovery codes (shown once)
+   */
+  async enable(userId, code) {
+    try {
+      const recoveryCodes = await databaseService.executeTransaction(async (transaction) => {
+        const record = await UserTwoFactor.findOne({
+          where: { user_id: userId },
+          lock: transaction.LOCK.UPDATE,
+          transaction
+        });
+
+        if (!record) {
+          throw new Error('Two-factor setup has not been started');
+        }
+        if (record.enabled_at) {
+          throw new Error('Two-factor authentication is already enabled');
+        }
+
+        const { secret } = encryptionService.decryptFields(record.toJSON(), ['secret']);
+        const step = this.matchTotpStep(secret, code);
+        if (step === null) {
+          throw new Error('Invalid two-factor code');
+        }
+
+        const { codes, hashes } = this.generateRecoveryCodes();
+        await record.update({
+          enabled_at: new Date(),
+          last_used_step: step,
+          recovery_codes: hashes
+        }, { transaction });
+
+        return codes;
+      });
+
+      // The cached access carries the two-factor state checked on every request
+      await permissionCacheService.invalidateUser(userId);
+
+      logService.logSecurity('two_factor_enabled', { userId });
+
+      return recoveryCodes;
+    } catch (error) {
+      logService.error('Error enabling two-factor authentication:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check a TOTP or recovery code and consume it
+   * @param {string} userId - User ID
+   * @param {string} code - TOTP code or recovery code
+   * @returns {Promise<Object|null>} - method used ('totp' | 'recovery_code'), or null if invalid
+   */
+  async verifyCode(userId, code) {
+    const result = await databaseService.executeTransaction(async (transaction) => {
+      const record = await UserTwoFactor.findOne({
+        where: { user_id: userId, enabled_at: { [Op.ne]: null } },
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      if (!record || !code) return null;
+
+      const { secret } = encryptionService.decryptFields(record.toJSON(), ['secret']);
+      const step = this.matchTotpStep(secret, String(code).trim());
+
+      if (step !== null) {
+        // A step at or before the last accepted one is a replay
+        if (record.last_used_step !== null && step <= Number(record.last_used_step)) {
+          return null;
+        }
+        await record.update({ last_used_step: step }, { transaction });
+        return { method: 'totp' };
+      }
+
+      const hash = hashRecoveryCode(code);
+      if (record.recovery_codes.includes(hash)) {
+        const remaining = record.recovery_codes.filter(stored => stored !== hash);
+        await record.update({ recovery_codes: remaining }, { transaction });
+        return { method: 'recovery_code', remaining: remaining.length };
+      }
+
+      return null;
+    });
+
+    if (result?.method === 'recovery_code') {
+      logService.logSecurity('two_factor_recovery_code_used', { userId, remaining: result.remaining });
+    }
+
+    return result;
+  }
+
+  /**
+   * Replace all recovery codes
+   * @param {string} userId - User ID
+   * @param {string} code - Current TOTP or recovery code
+   * @returns {Promise<Array<string>>} - New plain recovery codes
+   */
+  async regenerateRecoveryCodes(userId, code) {
+    try {
+      if (!await this.verifyCode(userId, code)) {
+        throw new Error('Invalid two-factor code');
+      }
+
+      const { codes, hashes } = this.generateRecoveryCodes();
+      await UserTwoFactor.update(
+        { recovery_codes: hashes },
+        { where: { user_id: userId } }
+      );
+
+      logService.logSecurity('two_factor_recovery_codes_regenerated', { userId });
+
+      return codes;
+    } catch (error) {
+      logService.error('Error regenerating recovery codes:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Turn two-factor authentication off
+   * @param {Object} user - User with id and rol
+   * @param {string} code - Current TOTP or recovery code
+   * @returns {Promise<boolean>} - Success status
+   */
+  async disable(user, code) {
+    try {
+      if (await this.isRequired(user.id, user.rol)) {
+        throw new Error('Two-factor authentication is required for your role');
+      }
+
+      if (!await this.verifyCode(user.id, code)) {
+        throw new Error('Invalid two-factor code');
+      }
+
+      await UserTwoFactor.destroy({ where: { user_id: user.id } });
+      await permissionCacheService.invalidateUser(user.id);
+
+      logService.logSecurity('two_factor_disabled', { userId: user.id });
+
+      return true;
+    } catch (error) {
+      logService.error('Error disabling two-factor authentication:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Short-lived token proving the password step of a two-step login
+   * @param {string} userId - User ID
+   * @returns {string} - Signed challenge token
+   */
+  generateChallengeToken(userId) {
+    return jwt.sign({ sub: userId, purpose: 'two_factor_challenge' }, config.security.jwtSecret, {
+      expiresIn: config.twoFactor.challengeExpiresIn
+    });
+  }
+
+  /**
+   * Validate a challenge token
+   * @param {string} token - Challenge token
+   * @returns {string} - User ID
+   */
+  verifyChallengeToken(token) {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, config.security.jwtSecret);
+    } catch (error) {
+      throw new Error('Invalid or expired two-factor challenge');
+    }
+
+    if (decoded.purpose !== 'two_factor_challenge') {
+      throw new Error('Invalid or expired two-factor challenge');
+    }
+
+    return decoded.sub;
+  }
+}
+
+module.exports = new TwoFactorService();
@@ -1,8 +1,12 @@
 const { User } = require('../models');
 const encryptionService = require('./encryptionService');
 const logService = require('./logService');
+const rbacService = require('./rbacService');
+const config = require('../config/config');
 const { Op } = require('sequelize');
 
+const { SEARCHABLE_FIELDS } = encryptionService;
+
 class UserService {
   /**
    * Get all users with pagination
@@ -24,6 +28,14 @@ class UserService {
         whereClause.is_active = isActive;
       }
 
+      if (search) {
+        const searchCondition = this.buildSearchCondition(search);
+        if (!searchCondition) {
+          return this.emptyPage(page, limit);
+        }
+        whereClause[Op.and] = searchCondition;
+      }
+
       const { count, rows } = await User.findAndCountAll({
         where: whereClause,
         limit: parseInt(limit),
@@ -37,19 +49,8 @@ class UserService {
         encryptionService.decryptUserData(user.toJSON())
       );
 
-      // Filter by search term if provided (after decryption)
-      let filteredUsers = decryptedUsers;
-      if (search) {
-        const searchTerm = search.toLowerCase();
-        filteredUsers = decryptedUsers.filter(user => 
-          (user.nombres && user.nombres.toLowerCase().includes(searchTerm)) ||
-          (user.apellidos && user.apellidos.toLowerCase().includes(searchTerm)) ||
-          (user.email && user.email.toLowerCase().includes(searchTerm))
-        );
-      }
-
       return {
-        users: filteredUsers,
+        users: decryptedUsers,
         pagination: {
           currentPage: parseInt(page),
           totalPages: Math.ceil(count / limit),
@@ -107,6 +108,8 @@ class UserService {
         throw new Error('User not found');
       }
 
+      const previousRol = user.rol;
+
       // Separate SQL and NoSQL updates
       const sqlUpdates = {};
       const profileUpdates = {};
@@ -131,9 +134,25 @@ class UserService {
       // Update SQL data
       if (Object.keys(sqlUpdates).length > 0) {
         const encryptedUpdates = encryptionService.encryptUserData(sqlUpdates);
+        if (sqlUpdates.email !== undefined) {
+          encryptedUpdates.email_hash = encryptionService.hashEmail(sqlUpdates.email);
+          // A new address has to be verified again
+          if (encryptedUpdates.email_hash !== user.email_hash) {
+            encryptedUpdates.email_verified_at = null;
+          }
+        }
+        if (SEARCHABLE_FIELDS.some(field => sqlUpdates[field] !== undefined)) {
+          const current = encryptionService.decryptFields(user.toJSON(), SEARCHABLE_FIELDS);
+          encryptedUpdates.search_tokens = encryptionService.buildSearchTokens({ ...current, ...sqlUpdates });
+        }
         await user.update(encryptedUpdates);
       }
 
+      // Keep the RBAC assignments in step with the legacy role
+      if (sqlUpdates.rol !== undefined && sqlUpdates.rol !== previousRol) {
+        await rbacService.syncLegacyRole(userId, sqlUpdates.rol, previousRol, { assignedBy: updatedBy });
+      }
+
       // Update NoSQL profile
       if (Object.keys(profileUpdates).length > 0) {
         await UserProfile.findOneAndUpdate(
@@ -348,45 +367,101 @@ class UserService {
   }
 
   /**
-   * Search users
+   * Search users by name or email through the blind-index tokens,
+   * so only the requested page is ever decrypted
    * @param {string} searchTerm - Search term
    * @param {Object} options - Search options
-   * @returns {Promise<Array>} - Found users
+   * @returns {Promise<Object>} - Found users with pagination info
    */
   async searchUsers(searchTerm, options = {}) {
     try {
-      const { limit = 10, role } = options;
-      
-      const whereClause = { is_active: true };
+      const { page = 1, role } = options;
+      const limit = Math.min(
+        parseInt(options.limit) || config.pagination.defaultLimit,
+        config.pagination.maxLimit
+      );
+      const offset = (page - 1) * limit;
+
+      const searchCondition = this.buildSearchCondition(searchTerm);
+      if (!searchCondition) {
+        return this.emptyPage(page, limit);
+      }
+
+      const whereClause = { is_active: true, [Op.and]: searchCondition };
       if (role) {
         whereClause.rol = role;
       }
 
-      const users = await User.findAll({
+      const { count, rows } = await User.findAndCountAll({
         where: whereClause,
-        limit: parseInt(limit),
+        limit,
+        offset,
         attributes: { exclude: ['password_hash'] },
         order: [['created_at', 'DESC']]
       });
 
-      // Decrypt and filter users
-      const decryptedUsers = users.map(user => 
+      const decryptedUsers = rows.map(user => 
         encryptionService.decryptUserData(user.toJSON())
       );
 
-      const searchTermLower = searchTerm.toLowerCase();
-      const filteredUsers = decryptedUsers.filter(user => 
-        (user.nombres && user.nombres.toLowerCase().includes(searchTermLower)) ||
-        (user.apellidos && user.apellidos.toLowerCase().includes(searchTermLower)) ||
-        (user.email && user.email.toLowerCase().includes(searchTermLower))
-      );
-
-      return filteredUsers.slice(0, limit);
+      return {
+        users: decryptedUsers,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(count / limit),
+          totalItems: count,
+          itemsPerPage: limit
+        }
+      };
     } catch (error) {
       logService.error('Error searching users:', error);
       throw error;
     }
   }
+
+  /**
+   * Translate a free-text term into a condition on users.search_tokens.
+   * Every word must match nombres, apellidos or email.
+   * @param {string} searchTerm - Search term
+   * @returns {Array|null} - Sequelize conditions, or null if no word is searchable
+   */
+  buildSearchCondition(searchTerm) {
+    const words = encryptionService.normalizeSearchText(searchTerm)
+      .split(' ')
+      .filter(word => word.length >= 2);
+
+    if (words.length === 0) {
+      return null;
+    }
+
+    return words.map(word => {
+      const tokensByField = encryptionService.getSearchTokens(word);
+
+      return {
+        [Op.or]: SEARCHABLE_FIELDS.map(field => ({
+          search_tokens: { [Op.contains]: tokensByField[field] }
+        }))
+      };
+    });
+  }
+
+  /**
+   * Empty result page for searches that cannot match anything
+   * @param {number} page - Requested page
+   * @param {number} limit - Page size
+   * @returns {Object} - Empty users list with pagination info
+   */
+  emptyPage(page, limit) {
+    return {
+      users: [],
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: 0,
+        totalItems: 0,
+        itemsPerPage: parseInt(limit)
+      }
+    };
+  }
 }
 
 module.exports = new UserService();
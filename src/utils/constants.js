@@ -105,7 +105,8 @@ const GEOGRAPHIC = {
   LONGITUDE_MIN: -180,
   LONGITUDE_MAX: 180,
   DEFAULT_RADIUS_KM: 10,
-  MAX_RADIUS_KM: 100
+  MAX_RADIUS_KM: 100,
+  MAX_WAYPOINTS_PER_ROUTE: 500
 };
 
 // Voice Settings Constraints
@@ -133,7 +134,7 @@ const TIME = {
   HOUR_MAX: 23,
   DAY_MIN: 0,
   DAY_MAX: 6,
-  JWT_EXPIRES_IN: '24h',
+  JWT_EXPIRES_IN: '15m',
   SESSION_TTL: 7 * 24 * 60 * 60 * 1000, // 7 days in milliseconds
   PASSWORD_RESET_EXPIRES: 60 * 60 * 1000, // 1 hour in milliseconds
   RATE_LIMIT_WINDOW: 15 * 60 * 1000, // 15 minutes in milliseconds
@@ -144,7 +145,8 @@ const TIME = {
 const FILE_UPLOAD = {
   MAX_SIZE: 10 * 1024 * 1024, // 10MB
   ALLOWED_AUDIO_TYPES: ['audio/mpeg', 'audio/wav', 'audio/ogg', 'audio/m4a'],
-  ALLOWED_IMAGE_TYPES: ['image/jpeg', 'image/png', 'image/gif', 'image/webp']
+  ALLOWED_IMAGE_TYPES: ['image/jpeg', 'image/png', 'image/gif', 'image/webp'],
+  ALLOWED_ROUTE_EXTENSIONS: ['.geojson', '.json', '.gpx']
 };
 
 // Error Codes
@@ -210,6 +212,8 @@ const ERROR_MESSAGES = {
 const TABLES = {
   USERS: 'users',
   ROUTES: 'routes',
+  ROUTE_WAYPOINTS: 'route_waypoints',
+  ROUTE_REVISIONS: 'route_revisions',
   PERSONALIZED_MESSAGES: 'personalized_messages',
   TOURIST_REGISTRATIONS: 'tourist_registrations'
 };
@@ -232,6 +236,42 @@ const ENCRYPTION = {
   BCRYPT_ROUNDS: 12
 };
 
+// API keys for kiosks and partner integrations
+const API_KEYS = {
+  PREFIX: 'obk',
+  // Permissions a key may be granted: read access to public content only
+  ALLOWED_PERMISSIONS: [
+    'route.read',
+    'voice_guide.read',
+    'tourist.read'
+  ],
+  // Account and access-management endpoints always need a user token
+  EXCLUDED_PATHS: ['/api/auth', '/api/users', '/api/rbac'],
+  LAST_USED_UPDATE_INTERVAL: 60 * 1000, // 1 minute in milliseconds
+  MAX_TTL_DAYS: 365
+};
+
+// Role-based access control
+const RBAC = {
+  MAX_ROLE_DEPTH: 10, // Longest allowed chain of parent roles
+  WILDCARD: '*', // 'route.*' grants every route action, '*.read' every read
+  MANAGE_ACTION: 'manage',
+  MANAGE_IMPLIED_ACTIONS: ['create', 'read', 'update', 'delete'],
+  // System roles cannot lose these through the API, so administrators cannot lock themselves out
+  CRITICAL_PERMISSIONS: ['system.admin', 'role.read', 'role.update', 'role.assign'],
+  PERMISSION_NAME_PATTERN: /^([a-z][a-z0-9_]*|\*)\.([a-z][a-z0-9_]*|\*)$/,
+  CONFIG_FORMAT_VERSION: 1, // Version of the export/import document
+  // RBAC role -> legacy users.rol value, highest precedence first
+  LEGACY_ROLE_MAP: {
+    super_admin: 'admin',
+    admin: 'admin',
+    moderator: 'moderator',
+    guide: 'guide',
+    tourist: 'tourist',
+    user: 'user'
+  }
+};
+
 // API Endpoints
 const API_ENDPOINTS = {
   AUTH: '/api/auth',
@@ -274,6 +314,8 @@ module.exports = {
   TABLES,
   COLLECTIONS,
   ENCRYPTION,
+  API_KEYS,
+  RBAC,
   API_ENDPOINTS,
   REGEX
 };
@@ -1,5 +1,5 @@
 const crypto = require('crypto');
-const { REGEX, VALIDATION, GEOGRAPHIC } = require('./constants');
+const { REGEX, VALIDATION, GEOGRAPHIC, RBAC } = require('./constants');
 
 /**
  * Generate a random string of specified length
@@ -145,6 +145,33 @@ const calculateDistance = (lat1, lon1, lat2, lon2) => {
   return R * c;
 };
 
+/**
+ * Calculate the initial bearing from one point towards another
+ * @param {number} lat1 - Latitude of the origin
+ * @param {number} lon1 - Longitude of the origin
+ * @param {number} lat2 - Latitude of the destination
+ * @param {number} lon2 - Longitude of the destination
+ * @returns {number} - Bearing in degrees clockwise from north (0-360)
+ */
+const calculateBearing = (lat1, lon1, lat2, lon2) => {
+  const phi1 = lat1 * Math.PI / 180;
+  const phi2 = lat2 * Math.PI / 180;
+  const dLon = (lon2 - lon1) * Math.PI / 180;
+  const y = Math.sin(dLon) * Math.cos(phi2);
+  const x = Math.cos(phi1) * Math.sin(phi2) - Math.sin(phi1) * Math.cos(phi2) * Math.cos(dLon);
+  return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+};
+
+/**
+ * Eight-point compass direction of a bearing
+ * @param {number} bearing - Bearing in degrees
+ * @returns {string} - N, NE, E, SE, S, SW, W or NW
+ */
+const toCompassDirection = (bearing) => {
+  const directions = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+  return directions[Math.round(bearing / 45) % 8];
+};
+
 /**
  * Sanitize string for database storage
  * @param {string} str - String to sanitize
@@ -370,6 +397,49 @@ const toSnakeCase = (obj) => {
   return snakeCased;
 };
 
+/**
+ * Check whether a granted permission covers a required one.
+ * Supports "resource.*", "*.action" and "resource.manage" implying the CRUD actions.
+ * @param {string} granted - Permission held (e.g. 'route.manage', 'route.*', '*.read')
+ * @param {string} required - Permission needed (e.g. 'route.update')
+ * @returns {boolean} - Whether granted covers required
+ */
+const permissionMatches = (granted, required) => {
+  if (granted === required) return true;
+
+  const [grantedResource, grantedAction] = splitPermission(granted);
+  const [requiredResource, requiredAction] = splitPermission(required);
+  if (!grantedAction || !requiredAction) return false;
+
+  const resourceMatches = grantedResource === RBAC.WILDCARD || grantedResource === requiredResource;
+  const actionMatches = grantedAction === RBAC.WILDCARD ||
+    grantedAction === requiredAction ||
+    (grantedAction === RBAC.MANAGE_ACTION && RBAC.MANAGE_IMPLIED_ACTIONS.includes(requiredAction));
+
+  return resourceMatches && actionMatches;
+};
+
+/**
+ * Split a permission name into resource and action at the first dot
+ * @param {string} permission - Permission name
+ * @returns {Array<string>} - [resource, action]; action is undefined without a dot
+ */
+const splitPermission = (permission) => {
+  const dot = permission.indexOf('.');
+  return dot === -1 ? [permission, undefined] : [permission.slice(0, dot), permission.slice(dot + 1)];
+};
+
+/**
+ * Find the first granted permission that covers a required one
+ * @param {Array<string>} grantedPermissions - Permissions held
+ * @param {string} required - Permission needed
+ * @returns {string|null} - Matching granted permission, exact matches first
+ */
+const findMatchingPermission = (grantedPermissions, required) => {
+  if (grantedPermissions.includes(required)) return required;
+  return grantedPermissions.find(granted => permissionMatches(granted, required)) || null;
+};
+
 module.exports = {
   generateRandomString,
   generateUUID,
@@ -380,6 +450,10 @@ module.exports = {
   validatePasswordStrength,
   validateCoordinates,
   calculateDistance,
+  calculateBearing,
+  toCompassDirection,
+  permissionMatches,
+  findMatchingPermission,
   sanitizeString,
   formatDate,
   parsePagination,